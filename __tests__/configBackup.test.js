@@ -0,0 +1,31 @@
+const { parseInterval, MAX_INTERVAL } = require('../src/services/configBackup');
+
+describe('parseInterval', () => {
+  it('should parse minutes, hours, days and weeks', () => {
+    expect(parseInterval('30m')).toBe(30 * 60 * 1000);
+    expect(parseInterval('12h')).toBe(12 * 60 * 60 * 1000);
+    expect(parseInterval('1d')).toBe(24 * 60 * 60 * 1000);
+    expect(parseInterval('2w')).toBe(14 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should allow spaces around and inside the interval', () => {
+    expect(parseInterval(' 6 h ')).toBe(6 * 60 * 60 * 1000);
+  });
+
+  it('should reject intervals that are not a positive number and a unit', () => {
+    for (const interval of ['', '0d', '-1d', '1.5h', '10', 'd', '1y', '1 day', null, undefined]) {
+      expect(() => parseInterval(interval)).toThrow(/Invalid backup interval/);
+    }
+  });
+
+  it('should accept the longest interval a timer can wait', () => {
+    expect(parseInterval('24d')).toBeLessThanOrEqual(MAX_INTERVAL);
+    expect(parseInterval('35791m')).toBeLessThanOrEqual(MAX_INTERVAL);
+  });
+
+  it('should reject intervals longer than a timer can wait', () => {
+    for (const interval of ['25d', '4w', '597h', '35792m']) {
+      expect(() => parseInterval(interval)).toThrow(/too long/);
+    }
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../src/utils/logger');
+const { JsonFileStorage, migrateConfigs, openConfigStorage } = require('../src/utils/configStorage');
+
+const GOOD_ID = '222222222222222222';
+const CORRUPT_ID = '111111111111111111';
+const KEEP = 10;
+
+describe('config storage migration', () => {
+  let dir;
+
+  const guildPath = (configDir, guildId) => path.join(configDir, 'guilds', `${guildId}.json`);
+
+  /**
+   * Write a guild config file, and its history if given
+   * @param {string} guildId - The guild
+   * @param {string} contents - The file contents
+   * @param {Object[]} [history] - Revisions to write alongside it
+   */
+  function writeGuild(guildId, contents, history) {
+    fs.mkdirSync(path.join(dir, 'source', 'guilds', 'history'), { recursive: true });
+    fs.writeFileSync(guildPath(path.join(dir, 'source'), guildId), contents);
+    if (history) {
+      fs.writeFileSync(path.join(dir, 'source', 'guilds', 'history', `${guildId}.json`), JSON.stringify(history));
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('migrateConfigs', () => {
+    it('should skip a guild it cannot read and copy the rest', async () => {
+      writeGuild(CORRUPT_ID, '{"enabled": tru');
+      writeGuild(GOOD_ID, JSON.stringify({ enabled: false }), [{ revision: 1, settings: { enabled: false } }]);
+      const target = new JsonFileStorage(path.join(dir, 'target'));
+
+      const result = await migrateConfigs(new JsonFileStorage(path.join(dir, 'source')), target, KEEP);
+
+      expect(result).toEqual({ migrated: [GOOD_ID], skipped: [CORRUPT_ID] });
+      expect(await target.listGuildIds()).toEqual([GOOD_ID]);
+      expect(await target.read(GOOD_ID)).toEqual({ enabled: false });
+      expect(await target.readHistory(GOOD_ID)).toEqual([{ revision: 1, settings: { enabled: false } }]);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(`Skipped guild ${CORRUPT_ID}`));
+    });
+
+    it('should only copy the guilds it is given', async () => {
+      writeGuild(CORRUPT_ID, JSON.stringify({ enabled: true }));
+      writeGuild(GOOD_ID, JSON.stringify({ enabled: false }));
+      const target = new JsonFileStorage(path.join(dir, 'target'));
+
+      const result = await migrateConfigs(new JsonFileStorage(path.join(dir, 'source')), target, KEEP, [GOOD_ID]);
+
+      expect(result).toEqual({ migrated: [GOOD_ID], skipped: [] });
+      expect(await target.listGuildIds()).toEqual([GOOD_ID]);
+    });
+  });
+
+  describe('openConfigStorage', () => {
+    const open = () => openConfigStorage(
+      { enabled: true, type: 'sqlite', path: path.join(dir, 'bot.db') },
+      { configDir: path.join(dir, 'source'), keep: KEEP }
+    );
+
+    it('should report skipped guilds as an error and import them once they can be read', async () => {
+      writeGuild(CORRUPT_ID, '{"enabled": tru');
+      writeGuild(GOOD_ID, JSON.stringify({ enabled: false }));
+
+      let storage = await open();
+      expect(await storage.listGuildIds()).toEqual([GOOD_ID]);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining(CORRUPT_ID));
+      storage.close();
+
+      writeGuild(CORRUPT_ID, JSON.stringify({ enabled: true }));
+      storage = await open();
+      expect(await storage.listGuildIds()).toEqual([CORRUPT_ID, GOOD_ID]);
+      expect(await storage.read(CORRUPT_ID)).toEqual({ enabled: true });
+      storage.close();
+    });
+
+    it('should not import the imported guilds again', async () => {
+      writeGuild(CORRUPT_ID, '{"enabled": tru');
+      writeGuild(GOOD_ID, JSON.stringify({ enabled: false }));
+
+      let storage = await open();
+      await storage.write(GOOD_ID, { enabled: true });
+      storage.close();
+
+      storage = await open();
+      expect(await storage.read(GOOD_ID)).toEqual({ enabled: true });
+      storage.close();
+    });
+
+    it('should not replace a skipped guild that has been saved in the database since', async () => {
+      writeGuild(CORRUPT_ID, '{"enabled": tru');
+
+      let storage = await open();
+      await storage.write(CORRUPT_ID, { enabled: false, channelRoles: {} });
+      storage.close();
+
+      writeGuild(CORRUPT_ID, JSON.stringify({ enabled: true }));
+      storage = await open();
+      expect(await storage.read(CORRUPT_ID)).toEqual({ enabled: false, channelRoles: {} });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(`Not importing ${guildPath(path.join(dir, 'source'), CORRUPT_ID)}`));
+      storage.close();
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * A clock whose timers only fire when tick() moves time forward
+ * @param {number} [start] - The time to start at, in milliseconds since the epoch
+ * @returns {Object} The clock, to pass to PresenceService as `clock`
+ */
+function createFakeClock(start = Date.parse('2025-01-06T12:00:00')) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  const add = (callback, ms, repeat) => {
+    const id = nextId++;
+    timers.set(id, { callback, ms, repeat, due: now + ms });
+    return id;
+  };
+
+  return {
+    now: () => now,
+    setInterval: (callback, ms) => add(callback, ms, true),
+    setTimeout: (callback, ms) => add(callback, ms, false),
+    clearInterval: id => timers.delete(id),
+    clearTimeout: id => timers.delete(id),
+    tick(ms) {
+      const end = now + ms;
+      for (;;) {
+        const [id, timer] = [...timers].sort((a, b) => a[1].due - b[1].due)[0] || [];
+        if (!timer || timer.due > end) break;
+        now = timer.due;
+        if (timer.repeat) timer.due += timer.ms; else timers.delete(id);
+        timer.callback();
+      }
+      now = end;
+    }
+  };
+}
+
+/**
+ * The parts of the client PresenceService uses, recording every presence it is given
+ * @param {Object} [options]
+ * @param {Object[]} [options.guilds] - Guilds the bot is in
+ * @param {function(Object): void} [options.onPresence] - Called with each presence set
+ * @returns {Object} The client
+ */
+function createFakeClient({ guilds = [], onPresence = () => {} } = {}) {
+  const cache = new Map(guilds.map((guild, index) => [String(index + 1), guild]));
+  cache.reduce = (fn, initial) => [...cache.values()].reduce(fn, initial);
+
+  const presences = [];
+  return {
+    presences,
+    names: () => presences.map(presence => presence.activities[0].name),
+    user: {
+      setPresence: async presence => {
+        presences.push(presence);
+        onPresence(presence);
+      }
+    },
+    guilds: { cache },
+    uptime: 0,
+    on: () => {},
+    off: () => {}
+  };
+}
+
+module.exports = { createFakeClock, createFakeClient };
@@ -0,0 +1,110 @@
+const { PermissionsBitField } = require('discord.js');
+
+// Settings by key, and per-guild overrides by guild ID then key
+const settings = { 'permissions.ownerID': '100000000000000001' };
+const guildSettings = {};
+
+jest.mock('../src/config', () => ({
+  get: key => settings[key],
+  getForGuild: async (guildId, key, defaultValue) => guildSettings[guildId]?.[key] ?? settings[key] ?? defaultValue
+}));
+
+const logger = require('../src/utils/logger');
+const { checkCommandPermission } = require('../src/utils/permissions');
+
+const OWNER_ID = '100000000000000001';
+const APP_OWNER_ID = '100000000000000002';
+const GUILD_ID = '200000000000000001';
+const OTHER_GUILD_ID = '200000000000000002';
+const MODERATOR_ROLE = '300000000000000001';
+
+/**
+ * Who is running a command
+ * @param {Object} [options]
+ * @param {string} [options.userId] - The user
+ * @param {?string} [options.guildId] - The guild, null in DMs
+ * @param {string[]} [options.roles] - Role IDs the member holds
+ * @param {string[]} [options.permissions] - Discord permissions the member has
+ * @returns {import('../src/utils/permissions').PermissionContext}
+ */
+function createContext({ userId = '100000000000000009', guildId = GUILD_ID, roles = [], permissions = [] } = {}) {
+  return {
+    user: { id: userId },
+    member: guildId ? { roles } : null,
+    memberPermissions: guildId ? new PermissionsBitField(permissions) : null,
+    guildId,
+    client: { application: { owner: { id: APP_OWNER_ID } } }
+  };
+}
+
+describe('checkCommandPermission', () => {
+  const adminCommand = { data: { name: 'vc-config' }, permission: { level: 'admin', permissions: ['ManageRoles'] } };
+  const ownerCommand = { data: { name: 'presence' }, permission: { level: 'owner' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    guildSettings[GUILD_ID] = {
+      'permissions.moderatorRoles': [MODERATOR_ROLE],
+      'commandPermissions.vc-config': { level: 'moderator', permissions: [] },
+      'commandPermissions.presence': { level: 'everyone' }
+    };
+    guildSettings[OTHER_GUILD_ID] = { 'permissions.moderatorRoles': [MODERATOR_ROLE] };
+  });
+
+  it('should enforce the level and permissions a command declares', async () => {
+    const moderator = createContext({ guildId: OTHER_GUILD_ID, roles: [MODERATOR_ROLE], permissions: ['ManageRoles'] });
+    const admin = createContext({ guildId: OTHER_GUILD_ID, permissions: ['Administrator'] });
+    const member = createContext({ guildId: OTHER_GUILD_ID });
+
+    expect(await checkCommandPermission(adminCommand, moderator)).toMatchObject({ allowed: false, level: 'moderator' });
+    expect(await checkCommandPermission(adminCommand, admin)).toMatchObject({ allowed: true, level: 'admin' });
+    expect(await checkCommandPermission(adminCommand, member)).toMatchObject({ allowed: false, level: 'everyone' });
+  });
+
+  it('should apply a guild override of the level and permissions', async () => {
+    const moderator = createContext({ roles: [MODERATOR_ROLE] });
+
+    const result = await checkCommandPermission(adminCommand, moderator);
+
+    expect(result).toMatchObject({ allowed: true, level: 'moderator', required: { level: 'moderator', permissions: [] } });
+  });
+
+  it('should keep the declared permissions when an override only sets the level', async () => {
+    guildSettings[GUILD_ID]['commandPermissions.vc-config'] = { level: 'moderator' };
+
+    const result = await checkCommandPermission(adminCommand, createContext({ roles: [MODERATOR_ROLE] }));
+
+    expect(result).toMatchObject({ allowed: false, missing: ['ManageRoles'] });
+  });
+
+  it('should not apply one guild\'s override in another guild', async () => {
+    const moderator = createContext({ guildId: OTHER_GUILD_ID, roles: [MODERATOR_ROLE] });
+
+    const result = await checkCommandPermission(adminCommand, moderator);
+
+    expect(result).toMatchObject({ allowed: false, required: { level: 'admin', permissions: ['ManageRoles'] } });
+  });
+
+  it('should ignore a guild override of an owner command, and only warn once', async () => {
+    const member = createContext({ permissions: ['Administrator'] });
+
+    expect(await checkCommandPermission(ownerCommand, member)).toMatchObject({ allowed: false, required: { level: 'owner' } });
+    await checkCommandPermission(ownerCommand, member);
+
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('owner command presence'));
+  });
+
+  it('should let the configured owner and the application owner run owner commands anywhere', async () => {
+    for (const userId of [OWNER_ID, APP_OWNER_ID]) {
+      expect(await checkCommandPermission(ownerCommand, createContext({ userId }))).toMatchObject({ allowed: true, level: 'owner' });
+      expect(await checkCommandPermission(ownerCommand, createContext({ userId, guildId: null }))).toMatchObject({ allowed: true });
+    }
+  });
+
+  it('should refuse commands that need roles or permissions in DMs', async () => {
+    const result = await checkCommandPermission(adminCommand, createContext({ guildId: null }));
+
+    expect(result).toMatchObject({ allowed: false, reason: 'This command can only be used in a server.' });
+  });
+});
@@ -0,0 +1,95 @@
+const { isScheduleActive, parseCron } = require('../src/utils/presenceSchedule');
+
+// 2025-01-03 is a Friday
+const at = time => new Date(`${time}Z`);
+
+describe('isScheduleActive', () => {
+  describe('time windows', () => {
+    const gameNight = { days: ['fri'], start: '19:00', end: '23:00', timezone: 'UTC' };
+
+    it('should be active from the start up to, not including, the end', () => {
+      expect(isScheduleActive(gameNight, at('2025-01-03T18:59'))).toBe(false);
+      expect(isScheduleActive(gameNight, at('2025-01-03T19:00'))).toBe(true);
+      expect(isScheduleActive(gameNight, at('2025-01-03T22:59'))).toBe(true);
+      expect(isScheduleActive(gameNight, at('2025-01-03T23:00'))).toBe(false);
+    });
+
+    it('should only be active on its days', () => {
+      expect(isScheduleActive(gameNight, at('2025-01-02T20:00'))).toBe(false);
+      expect(isScheduleActive(gameNight, at('2025-01-04T20:00'))).toBe(false);
+    });
+
+    it('should be active every day when no days are given', () => {
+      const evenings = { start: '19:00', end: '23:00', timezone: 'UTC' };
+      for (let day = 1; day <= 7; day++) {
+        expect(isScheduleActive(evenings, at(`2025-01-0${day}T20:00`))).toBe(true);
+      }
+    });
+
+    it('should use the schedule timezone', () => {
+      const newYork = { ...gameNight, timezone: 'America/New_York' };
+      expect(isScheduleActive(newYork, at('2025-01-03T20:00'))).toBe(false);
+      expect(isScheduleActive(newYork, at('2025-01-04T00:30'))).toBe(true);
+    });
+  });
+
+  describe('windows past midnight', () => {
+    const lateNight = { days: ['fri'], start: '22:00', end: '02:00', timezone: 'UTC' };
+
+    it('should run into the next day', () => {
+      expect(isScheduleActive(lateNight, at('2025-01-03T21:59'))).toBe(false);
+      expect(isScheduleActive(lateNight, at('2025-01-03T23:30'))).toBe(true);
+      expect(isScheduleActive(lateNight, at('2025-01-04T00:00'))).toBe(true);
+      expect(isScheduleActive(lateNight, at('2025-01-04T01:59'))).toBe(true);
+      expect(isScheduleActive(lateNight, at('2025-01-04T02:00'))).toBe(false);
+    });
+
+    it('should belong to the day it starts on', () => {
+      // Early Friday is the tail of Thursday's window, which isn't scheduled
+      expect(isScheduleActive(lateNight, at('2025-01-03T01:00'))).toBe(false);
+      expect(isScheduleActive(lateNight, at('2025-01-04T22:30'))).toBe(false);
+    });
+
+    it('should carry Saturday into Sunday across the end of the week', () => {
+      const weekend = { days: ['sat'], start: '23:00', end: '01:00', timezone: 'UTC' };
+      expect(isScheduleActive(weekend, at('2025-01-05T00:30'))).toBe(true);
+      expect(isScheduleActive(weekend, at('2025-01-06T00:30'))).toBe(false);
+    });
+
+    it('should treat an end equal to the start as a whole day', () => {
+      const allDay = { days: ['fri'], start: '06:00', end: '06:00', timezone: 'UTC' };
+      expect(isScheduleActive(allDay, at('2025-01-03T06:00'))).toBe(true);
+      expect(isScheduleActive(allDay, at('2025-01-04T05:59'))).toBe(true);
+      expect(isScheduleActive(allDay, at('2025-01-04T06:00'))).toBe(false);
+    });
+  });
+
+  describe('cron', () => {
+    it('should be active during every minute the expression matches', () => {
+      const schedule = { cron: '* 19-22 * * 5', timezone: 'UTC' };
+      expect(isScheduleActive(schedule, at('2025-01-03T19:00'))).toBe(true);
+      expect(isScheduleActive(schedule, at('2025-01-03T22:59'))).toBe(true);
+      expect(isScheduleActive(schedule, at('2025-01-03T23:00'))).toBe(false);
+      expect(isScheduleActive(schedule, at('2025-01-04T20:00'))).toBe(false);
+    });
+
+    it('should accept 7 as Sunday', () => {
+      const schedule = { cron: '* * * * 7', timezone: 'UTC' };
+      expect(isScheduleActive(schedule, at('2025-01-05T12:00'))).toBe(true);
+      expect(isScheduleActive(schedule, at('2025-01-06T12:00'))).toBe(false);
+    });
+
+    it('should match either day field when both are restricted', () => {
+      const schedule = { cron: '0 12 1 * 5', timezone: 'UTC' };
+      expect(isScheduleActive(schedule, at('2025-01-01T12:00'))).toBe(true);
+      expect(isScheduleActive(schedule, at('2025-01-03T12:00'))).toBe(true);
+      expect(isScheduleActive(schedule, at('2025-01-02T12:00'))).toBe(false);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCron('* * * *')).toThrow(/5 fields/);
+      expect(() => parseCron('60 * * * *')).toThrow(/Invalid minute/);
+      expect(() => parseCron('* 22-19 * * *')).toThrow(/Invalid hour/);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PresenceService } = require('../src/services/presenceService');
+const { PresenceConfig } = require('../src/utils/presence-loader');
+const { createFakeClock, createFakeClient } = require('./helpers/presenceFakes');
+
+describe('PresenceService', () => {
+  let dir;
+  let clock;
+  let client;
+
+  /**
+   * Start a service on a presence config with the activities A, B and C
+   * @param {Object} [rotation] - Rotation settings to use
+   * @param {function(): number} [random] - Random source for randomized rotation
+   * @returns {Promise<PresenceService>} The running service
+   */
+  async function startService(rotation = {}, random = Math.random) {
+    const configPath = path.join(dir, 'presence-config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      status: 'online',
+      activities: [{ name: 'A' }, { name: 'B' }, { name: 'C' }],
+      rotation: { enabled: true, interval: 60000, randomize: false, ...rotation }
+    }));
+
+    const service = new PresenceService({ clock, config: new PresenceConfig(configPath), version: 'test', random });
+    await service.start(client);
+    return service;
+  }
+
+  /**
+   * Move the clock on and wait for the updates it set off
+   * @param {PresenceService} service - The service
+   * @param {number} ms - How far to move
+   */
+  async function advance(service, ms) {
+    clock.tick(ms);
+    await service.pending;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-'));
+    clock = createFakeClock();
+    client = createFakeClient();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should rotate through the activities in order', async () => {
+    const service = await startService();
+
+    for (let i = 0; i < 4; i++) {
+      await advance(service, 60000);
+    }
+
+    expect(client.names()).toEqual(['A', 'B', 'C', 'A', 'B']);
+    service.stop();
+  });
+
+  it('should never show the same activity twice in a row when randomized', async () => {
+    const values = [0, 0.99, 0.5, 0.1, 0.7, 0, 0, 0.99, 0.3, 0.6];
+    let call = 0;
+    const service = await startService({ randomize: true }, () => values[call++ % values.length]);
+
+    for (let i = 0; i < 20; i++) {
+      await advance(service, 60000);
+    }
+
+    const names = client.names();
+    expect(names).toHaveLength(21);
+    names.slice(1).forEach((name, i) => expect(name).not.toBe(names[i]));
+    service.stop();
+  });
+
+  it('should show a forced activity until it expires, then go back to the rotation', async () => {
+    const service = await startService();
+
+    await service.force({ name: 'Maintenance', type: 'watching' }, { status: 'dnd', duration: 90000 });
+    expect(client.presences.at(-1)).toMatchObject({ activities: [{ name: 'Maintenance' }], status: 'dnd' });
+
+    // The rotation waits while the forced activity shows
+    await advance(service, 60000);
+    expect(client.names()).toEqual(['A', 'Maintenance']);
+
+    await advance(service, 60000);
+    expect(service.getStatus().forced).toBeNull();
+    expect(client.presences.at(-1).status).toBe('online');
+    expect(['A', 'B', 'C']).toContain(client.names().at(-1));
+    service.stop();
+  });
+
+  it('should hold the presence while paused and carry on rotating after resume', async () => {
+    const service = await startService();
+
+    expect(service.pause()).toBe(true);
+    expect(service.getStatus().state).toBe('paused');
+    await advance(service, 600000);
+    expect(client.names()).toEqual(['A']);
+
+    expect(await service.resume()).toBe(true);
+    expect(service.getStatus().state).toBe('running');
+    await advance(service, 60000);
+    expect(client.names()).toEqual(['A', 'B']);
+    service.stop();
+  });
+
+  it('should not update again while the same source applies', async () => {
+    const service = await startService({ enabled: false });
+
+    await advance(service, 300000);
+    await Promise.all([service.checkOverrides(), service.checkOverrides(), service.checkOverrides()]);
+
+    expect(client.presences).toHaveLength(1);
+    service.stop();
+  });
+});
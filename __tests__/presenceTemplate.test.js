@@ -0,0 +1,86 @@
+const { renderTemplate, validateTemplate } = require('../src/utils/presenceTemplate');
+
+/**
+ * A client in the given number of guilds, with members split evenly between them
+ * @param {number} guildCount - Guilds the bot is in
+ * @param {number} memberCount - Members across them
+ * @returns {Object} The client
+ */
+function createClient(guildCount, memberCount) {
+  const guilds = new Map();
+  for (let i = 0; i < guildCount; i++) {
+    guilds.set(String(i), {
+      memberCount: memberCount / guildCount,
+      voiceStates: { cache: new Map() },
+      channels: { cache: new Map() }
+    });
+  }
+  guilds.reduce = (fn, initial) => [...guilds.values()].reduce(fn, initial);
+  return { guilds: { cache: guilds }, uptime: 0 };
+}
+
+const render = (text, context = {}) => renderTemplate(text, { client: createClient(1, 1), ...context });
+
+describe('renderTemplate filters', () => {
+  it('should pick the singular or plural word with plural', () => {
+    expect(render('{guilds|plural:server,servers}', { client: createClient(1, 5) })).toBe('1 server');
+    expect(render('{guilds|plural:server,servers}', { client: createClient(2, 5) })).toBe('2 servers');
+    expect(render('{commandsToday|plural:command,commands}')).toBe('0 commands');
+  });
+
+  it('should abbreviate large numbers with abbr', () => {
+    expect(render('{users|abbr}', { client: createClient(1, 999) })).toBe('999');
+    expect(render('{users|abbr}', { client: createClient(1, 1234) })).toBe('1.2k');
+    expect(render('{users|abbr}', { client: createClient(1, 2000000) })).toBe('2M');
+    expect(render('{users|abbr}', { client: createClient(1, 3450000000) })).toBe('3.5B');
+  });
+
+  it('should group thousands with number', () => {
+    expect(render('{users|number}', { client: createClient(1, 12345) })).toBe('12,345');
+    expect(render('{users|number}', { client: createClient(1, 12) })).toBe('12');
+  });
+
+  it('should leave text that is not a number alone in abbr and number', () => {
+    expect(render('{prefix|abbr}', { prefix: '!' })).toBe('!');
+    expect(render('{prefix|number}', { prefix: '' })).toBe('');
+  });
+
+  it('should pad from the left with pad', () => {
+    expect(render('{commandsToday|pad:3}', { commandsToday: 7 })).toBe('  7');
+    expect(render('{commandsToday|pad:3,0}', { commandsToday: 7 })).toBe('007');
+    expect(render('{commandsToday|pad:2}', { commandsToday: 1234 })).toBe('1234');
+  });
+
+  it('should change case with upper and lower', () => {
+    expect(render('{version|upper}', { version: 'beta' })).toBe('BETA');
+    expect(render('{version|lower}', { version: 'RC1' })).toBe('rc1');
+  });
+
+  it('should fill in empty values with default', () => {
+    expect(render('{topChannel|default:nobody in voice}')).toBe('nobody in voice');
+    expect(render('{version|default:dev}', { version: '2.0.0' })).toBe('2.0.0');
+  });
+
+  it('should apply filters left to right', () => {
+    expect(render('{users|abbr|pad:6,_}', { client: createClient(1, 1500) })).toBe('__1.5k');
+    expect(render('{topChannel|default:none|upper}')).toBe('NONE');
+  });
+
+  it('should apply filters to custom placeholders', () => {
+    const templates = { servers: '{guilds|plural:server,servers}' };
+    expect(render('in {servers|upper}', { client: createClient(3, 3), templates })).toBe('in 3 SERVERS');
+  });
+
+  it('should leave unknown placeholders as written', () => {
+    expect(render('{nothing|upper}')).toBe('{nothing|upper}');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('should reject unknown filters and bad filter arguments', () => {
+    expect(() => validateTemplate('{users|shout}')).toThrow(/Unknown filter "shout"/);
+    expect(() => validateTemplate('{users|plural:person}')).toThrow(/takes 2 argument/);
+    expect(() => validateTemplate('{users|pad:0}')).toThrow(/width must be/);
+    expect(() => validateTemplate('{users|pad:3,ab}')).toThrow(/fill must be/);
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VCConfig = require('../src/utils/vc-config');
+
+const GUILD_ID = '123456789012345678';
+
+describe('VCConfig', () => {
+  let dir;
+  let store;
+
+  const configPath = () => path.join(dir, 'guilds', `${GUILD_ID}.json`);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vc-config-'));
+    fs.mkdirSync(path.join(dir, 'guilds'));
+    store = new VCConfig(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('updateVCConfig', () => {
+    it('should apply concurrent updates one after another', async () => {
+      const channelIds = ['111111111111111111', '222222222222222222', '333333333333333333', '444444444444444444'];
+      await store.getVCConfig(GUILD_ID);
+      const before = (await store.getHistory(GUILD_ID)).length;
+
+      await Promise.all(channelIds.map((channelId, index) => store.updateVCConfig(GUILD_ID, async config => {
+        // Yield mid-update so the calls would interleave without the lock
+        await new Promise(resolve => setImmediate(resolve));
+        config.channelRoles[channelId] = [`55555555555555555${index}`];
+      })));
+
+      const saved = JSON.parse(fs.readFileSync(configPath(), 'utf8'));
+      expect(Object.keys(saved.channelRoles).sort()).toEqual(channelIds);
+      const revisions = (await store.getHistory(GUILD_ID)).slice(before).map(entry => entry.revision);
+      expect(revisions).toEqual([before + 1, before + 2, before + 3, before + 4]);
+    });
+
+    it('should leave a config it cannot read as it is', async () => {
+      const corrupt = '{"enabled": true, "channelRoles": {"111111111111111111": ["2222';
+      fs.writeFileSync(configPath(), corrupt);
+      const mutate = jest.fn(config => {
+        config.channelRoles['333333333333333333'] = ['444444444444444444'];
+      });
+
+      await expect(store.updateVCConfig(GUILD_ID, mutate)).rejects.toThrow(/could not be read/);
+
+      expect(mutate).not.toHaveBeenCalled();
+      expect(fs.readFileSync(configPath(), 'utf8')).toBe(corrupt);
+      expect(await store.getHistory(GUILD_ID)).toEqual([]);
+    });
+
+    it('should still give read-only callers the defaults for an unreadable config', async () => {
+      fs.writeFileSync(configPath(), '{not json');
+
+      const config = await store.getVCConfig(GUILD_ID);
+
+      expect(config).toMatchObject({ enabled: true, channelRoles: {} });
+      expect(fs.readFileSync(configPath(), 'utf8')).toBe('{not json');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const { Collection } = require('discord.js');
+const { VoiceRoleManager } = require('../src/services/voiceRoleManager');
+
+const GUILD_ID = '900000000000000000';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Channels: a mapped channel, a mapped category with an unmapped channel in
+// it, a channel in that category with its own mapping, and a hub whose
+// temporary channel sits outside the category
+const CATEGORY = '100000000000000000';
+const MAPPED = '110000000000000000';
+const IN_CATEGORY = '120000000000000000';
+const OWN_MAPPING_IN_CATEGORY = '130000000000000000';
+const HUB = '140000000000000000';
+const TEMP = '150000000000000000';
+
+const CHANNEL_ROLE = '200000000000000001';
+const CATEGORY_ROLE = '200000000000000002';
+const OWN_ROLE = '200000000000000003';
+const HUB_ROLE = '200000000000000004';
+const LOCKED_ROLE = '200000000000000005';
+const VERIFIED = '300000000000000001';
+const MUTED = '300000000000000002';
+
+const channels = {
+  [MAPPED]: { id: MAPPED, name: 'mapped', parentId: null },
+  [IN_CATEGORY]: { id: IN_CATEGORY, name: 'in-category', parentId: CATEGORY },
+  [OWN_MAPPING_IN_CATEGORY]: { id: OWN_MAPPING_IN_CATEGORY, name: 'own-mapping', parentId: CATEGORY },
+  [TEMP]: { id: TEMP, name: 'temp', parentId: null }
+};
+
+/**
+ * A guild member, in a voice channel or not
+ * @param {string} id - The member's ID
+ * @param {Object} [options]
+ * @param {?string} [options.channelId] - The voice channel they are in
+ * @param {string[]} [options.roles] - Role IDs they hold
+ * @param {number} [options.accountDays] - How old their account is
+ * @returns {Object} The member
+ */
+function createMember(id, { channelId = null, roles = [], accountDays = 365 } = {}) {
+  const channel = channels[channelId] || null;
+  return {
+    id,
+    guild: { id: GUILD_ID },
+    user: { id, tag: `member-${id}`, bot: false, createdTimestamp: Date.now() - accountDays * DAY },
+    joinedTimestamp: Date.now() - 30 * DAY,
+    roles: { cache: new Collection(roles.map(roleId => [roleId, { id: roleId }])) },
+    voice: { id, channel, channelId, streaming: false, selfVideo: false, selfMute: false }
+  };
+}
+
+/**
+ * A guild with the given members; role holders are read off the members
+ * @param {Object[]} members - Every member of the guild
+ * @param {Object} [options]
+ * @param {string[]} [options.uncached] - Members in voice whose member isn't cached
+ * @returns {Object} The guild
+ */
+function createGuild(members, { uncached = [] } = {}) {
+  const roles = new Collection([CHANNEL_ROLE, CATEGORY_ROLE, OWN_ROLE, HUB_ROLE, LOCKED_ROLE].map(roleId => [roleId, {
+    id: roleId,
+    editable: roleId !== LOCKED_ROLE,
+    get members() {
+      return new Collection(members.filter(member => member.roles.cache.has(roleId)).map(member => [member.id, member]));
+    }
+  }]));
+
+  const voiceStates = new Collection(members
+    .filter(member => member.voice.channelId)
+    .map(member => [member.id, { id: member.id, channelId: member.voice.channelId, member: uncached.includes(member.id) ? null : member }]));
+
+  return {
+    id: GUILD_ID,
+    name: 'Test guild',
+    roles: { cache: roles },
+    voiceStates: { cache: voiceStates },
+    members: {
+      fetch: jest.fn(async ({ user }) => new Collection(members.filter(member => user.includes(member.id)).map(member => [member.id, member])))
+    }
+  };
+}
+
+describe('VoiceRoleManager.evaluateVoiceRoles', () => {
+  let manager;
+  let config;
+
+  beforeEach(async () => {
+    const stored = {
+      enabled: true,
+      channelRoles: {
+        [MAPPED]: [CHANNEL_ROLE, LOCKED_ROLE],
+        [CATEGORY]: [CATEGORY_ROLE],
+        [OWN_MAPPING_IN_CATEGORY]: [OWN_ROLE],
+        [HUB]: [HUB_ROLE]
+      },
+      channelFilters: {
+        [CATEGORY]: { requiredRoles: [VERIFIED], excludedRoles: [MUTED] },
+        [HUB]: { minAccountAgeDays: 7 }
+      },
+      tempChannels: { [TEMP]: { hubId: HUB, ownerId: '400000000000000000' } }
+    };
+    manager = new VoiceRoleManager({ on: jest.fn(), readVCConfig: jest.fn(async () => stored) });
+    config = await manager.getGuildConfig(GUILD_ID);
+  });
+
+  afterEach(() => {
+    [...manager.pendingRemovals.values()].forEach(({ guildId, userId }) => manager.cancelPendingRemoval(guildId, userId));
+  });
+
+  /**
+   * Evaluate a guild and index the changes by member ID
+   * @param {Object} guild - The guild
+   * @returns {Promise<{byMember: Object.<string, {add: string[], remove: string[]}>, total: number}>}
+   */
+  async function evaluate(guild) {
+    const { changes, total } = await manager.evaluateVoiceRoles(guild, config);
+    const byMember = Object.fromEntries(changes.map(({ member, add, remove }) => [member.id, { add, remove }]));
+    return { byMember, total };
+  }
+
+  it('should grant the category roles in an unmapped channel of a mapped category', async () => {
+    const member = createMember('1', { channelId: IN_CATEGORY, roles: [VERIFIED] });
+
+    const { byMember } = await evaluate(createGuild([member]));
+
+    expect(byMember['1']).toEqual({ add: [CATEGORY_ROLE], remove: [] });
+  });
+
+  it('should prefer a channel mapping over its category', async () => {
+    const member = createMember('1', { channelId: OWN_MAPPING_IN_CATEGORY, roles: [VERIFIED, CATEGORY_ROLE] });
+
+    const { byMember } = await evaluate(createGuild([member]));
+
+    expect(byMember['1']).toEqual({ add: [OWN_ROLE], remove: [CATEGORY_ROLE] });
+  });
+
+  it('should grant a temporary channel the roles of its hub', async () => {
+    const member = createMember('1', { channelId: TEMP });
+
+    const { byMember } = await evaluate(createGuild([member]));
+
+    expect(byMember['1']).toEqual({ add: [HUB_ROLE], remove: [] });
+  });
+
+  it('should hold back roles from members who fail the mapping filters', async () => {
+    const unverified = createMember('1', { channelId: IN_CATEGORY });
+    const muted = createMember('2', { channelId: IN_CATEGORY, roles: [VERIFIED, MUTED, CATEGORY_ROLE] });
+    const newAccount = createMember('3', { channelId: TEMP, accountDays: 2 });
+
+    const { byMember } = await evaluate(createGuild([unverified, muted, newAccount]));
+
+    expect(byMember['1']).toBeUndefined();
+    expect(byMember['2']).toEqual({ add: [], remove: [CATEGORY_ROLE] });
+    expect(byMember['3']).toBeUndefined();
+  });
+
+  it('should leave roles the bot cannot manage alone', async () => {
+    const member = createMember('1', { channelId: MAPPED });
+    const holder = createMember('2', { roles: [LOCKED_ROLE] });
+
+    const { byMember } = await evaluate(createGuild([member, holder]));
+
+    expect(byMember['1']).toEqual({ add: [CHANNEL_ROLE], remove: [] });
+    expect(byMember['2']).toBeUndefined();
+  });
+
+  it('should take roles from holders who left voice unless their removal is pending', async () => {
+    const left = createMember('1', { roles: [CHANNEL_ROLE] });
+    const graced = createMember('2', { roles: [CATEGORY_ROLE] });
+    manager.scheduleRoleRemoval(graced, IN_CATEGORY, 60000, jest.fn());
+
+    const { byMember } = await evaluate(createGuild([left, graced]));
+
+    expect(byMember['1']).toEqual({ add: [], remove: [CHANNEL_ROLE] });
+    expect(byMember['2']).toBeUndefined();
+  });
+
+  it('should only check members in voice or holding a managed role', async () => {
+    const inVoice = createMember('1', { channelId: MAPPED });
+    const holder = createMember('2', { roles: [CHANNEL_ROLE] });
+    const uncached = createMember('3', { channelId: MAPPED });
+    const bystander = createMember('4', { roles: [VERIFIED] });
+    const guild = createGuild([inVoice, holder, uncached, bystander], { uncached: ['3'] });
+
+    const { byMember, total } = await evaluate(guild);
+
+    expect(total).toBe(3);
+    expect(Object.keys(byMember).sort()).toEqual(['1', '2', '3']);
+    expect(guild.members.fetch).toHaveBeenCalledTimes(1);
+    expect(guild.members.fetch).toHaveBeenCalledWith({ user: ['3'] });
+  });
+});
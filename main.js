@@ -14,8 +14,12 @@ const dotenv = require('dotenv');
 
 // Internal modules
 const logger = require('./src/utils/logger');
-const { config } = require('./src/utils/config');
-const VCConfig = require('./src/utils/vc-config');
+const config = require('./src/config');
+const voiceSessionStore = require('./src/services/voiceSessionStore');
+const voiceAuditLog = require('./src/services/voiceAuditLog');
+const configBackup = require('./src/services/configBackup');
+const configWatcher = require('./src/services/configWatcher');
+const presenceService = require('./src/services/presenceService');
 const commandHandler = require('./src/handlers/commandHandler');
 
 // Log unhandled promise rejections
@@ -200,11 +204,14 @@ async function loadCommands() {
  */
 async function registerCommands() {
     try {
-        if (!process.env.DISCORD_TOKEN || !process.env.CLIENT_ID) {
-            throw new Error('Missing required environment variables: DISCORD_TOKEN and CLIENT_ID are required');
+        const token = config.get('bot.token');
+        const clientId = config.get('bot.clientId');
+        const guildId = config.get('bot.guildId');
+        if (!token || !clientId) {
+            throw new Error('Missing required settings: bot.token (DISCORD_TOKEN) and bot.clientId (CLIENT_ID) are required');
         }
 
-        const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+        const rest = new REST({ version: '10' }).setToken(token);
         const commands = [];
 
         // Prepare the commands array with proper JSON structure
@@ -224,9 +231,9 @@ async function registerCommands() {
         }
 
         // Register commands for all guilds
-        const route = process.env.GUILD_ID 
-            ? Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID)
-            : Routes.applicationCommands(process.env.CLIENT_ID);
+        const route = guildId
+            ? Routes.applicationGuildCommands(clientId, guildId)
+            : Routes.applicationCommands(clientId);
         
         // Convert BigInt to string to avoid serialization issues
         const serializedCommands = JSON.parse(JSON.stringify(commands, (key, value) => 
@@ -311,27 +318,30 @@ async function loadEvents(client) {
 async function initializeVCConfig() {
     try {
         logger.info('Initializing voice channel configuration...');
-        const configPath = path.join(process.cwd(), 'config');
-        logger.info(`Using config path: ${configPath}`);
         
-        // Create the VC config instance
-        const vcConfig = new VCConfig(configPath);
+        // Use the shared guild config store so every reader sees the same writes and locks
+        const vcConfig = config.vcConfig;
+        logger.info(`Using config path: ${vcConfig.configDir}`);
+        
+        // Keep guild configs in JSON files or SQLite, as the database block says
+        await vcConfig.openStorage(config.get('database', {}));
         
         // Store the config in app state
         appState.vcConfig = vcConfig;
         
         // Test the config by trying to get the default guild config
-        if (process.env.GUILD_ID) {
+        const guildId = config.get('bot.guildId');
+        if (guildId) {
             try {
-                const guildConfig = await vcConfig.getVCConfig(process.env.GUILD_ID);
-                logger.info(`✅ VC configuration loaded for guild ${process.env.GUILD_ID}`);
+                const guildConfig = await vcConfig.getVCConfig(guildId);
+                logger.info(`✅ VC configuration loaded for guild ${guildId}`);
                 logger.debug('VC Config:', guildConfig);
             } catch (guildError) {
-                logger.warn(`⚠️  Could not load VC config for guild ${process.env.GUILD_ID}:`, guildError.message);
+                logger.warn(`⚠️  Could not load VC config for guild ${guildId}:`, guildError.message);
                 logger.info('A new config file will be created when needed');
             }
         } else {
-            logger.warn('⚠️  No GUILD_ID set in environment, VC features may be limited');
+            logger.warn('⚠️  No bot.guildId (GUILD_ID) set, VC features may be limited');
         }
         
         logger.info('✅ Voice channel configuration initialized');
@@ -344,6 +354,29 @@ async function initializeVCConfig() {
     }
 }
 
+/**
+ * Watches the config directory and applies changes to the logger, backups and
+ * guild overrides; presence and voice roles subscribe once the client is ready
+ */
+function watchConfig() {
+    // Guild overrides are cached; drop them when a guild file is edited by hand
+    configWatcher.on('guild-config', ({ guildId }) => config.invalidateGuildOverrides(guildId));
+    
+    configWatcher.on('bot-config', ({ changed, current }) => {
+        if (changed.includes('logging.level')) {
+            logger.setLevel(current.logging.level);
+        }
+        
+        if (changed.some(key => key.startsWith('database.backup'))) {
+            configBackup.start(config.vcConfig, current.database?.backup || {}).catch(error => {
+                logger.error('❌ Failed to reschedule config backups:', error);
+            });
+        }
+    });
+    
+    configWatcher.start(config);
+}
+
 /**
  * Creates and configures the Discord client
  * @returns {Client} Configured Discord client
@@ -351,8 +384,8 @@ async function initializeVCConfig() {
 function createClient() {
     logger.info('🤖 Creating Discord client...');
     
-    if (!process.env.DISCORD_TOKEN) {
-        throw new Error('No Discord token found. Please set the DISCORD_TOKEN environment variable.');
+    if (!config.get('bot.token')) {
+        throw new Error('No Discord token found. Please set the DISCORD_TOKEN environment variable or bot.token.');
     }
     
     // Create the client
@@ -402,11 +435,19 @@ function setupProcessHandlers() {
         logger.info('🛑 Shutting down bot...');
         
         try {
+            await voiceAuditLog.flushAll();
+            configBackup.stop();
+            configWatcher.stop();
+            presenceService.stop();
+            
             if (appState.client) {
                 await appState.client.destroy();
                 logger.info('✅ Client destroyed');
             }
             
+            voiceSessionStore.close();
+            config.vcConfig.storage.close();
+            
             logger.info('👋 Goodbye!');
             process.exit(0);
         } catch (error) {
@@ -423,19 +464,19 @@ async function main() {
     console.log('🚀 Starting bot initialization...');
     console.log('   Node.js Version:', process.version);
     console.log('   Current Directory:', process.cwd());
-    console.log('   Environment Variables:', {
-        NODE_ENV: process.env.NODE_ENV || 'development',
-        DISCORD_TOKEN: process.env.DISCORD_TOKEN ? '*** (exists)' : 'undefined',
-        CLIENT_ID: process.env.CLIENT_ID || 'undefined',
-        GUILD_ID: process.env.GUILD_ID || 'undefined'
-    });
     
     try {
-        // Load configuration
+        // Load configuration; this also sets the log level from logging.level
         console.log('\n🔧 STEP 1: Loading configuration...');
         try {
             await config.load();
             console.log('✅ Configuration loaded successfully');
+            console.log('   Settings:', {
+                environment: config.get('bot.environment'),
+                token: config.get('bot.token') ? '*** (exists)' : 'undefined',
+                clientId: config.get('bot.clientId') || 'undefined',
+                guildId: config.get('bot.guildId') || 'undefined'
+            });
         } catch (err) {
             console.error('❌ Failed to load configuration:', err);
             throw err;
@@ -509,10 +550,46 @@ async function main() {
             console.warn('⚠️  Continuing without VC configuration...');
         }
         
+        // Open the voice session store
+        console.log('\n🗄️  STEP 8: Opening voice session store...');
+        try {
+            if (voiceSessionStore.open(config.get('database', {}))) {
+                console.log('✅ Voice session store opened');
+            } else {
+                console.log('ℹ️  Voice session tracking is disabled');
+            }
+        } catch (err) {
+            console.error('❌ Failed to open voice session store:', err);
+            console.warn('⚠️  Continuing without voice session tracking...');
+        }
+        
+        // Schedule guild config backups
+        console.log('\n💾 STEP 9: Scheduling config backups...');
+        try {
+            if (await configBackup.start(config.vcConfig, config.get('database', {}).backup || {})) {
+                console.log('✅ Config backups scheduled');
+            } else {
+                console.log('ℹ️  Scheduled config backups are disabled');
+            }
+        } catch (err) {
+            console.error('❌ Failed to schedule config backups:', err);
+            console.warn('⚠️  Continuing without scheduled backups...');
+        }
+        
+        // Watch config files for changes
+        console.log('\n👀 STEP 10: Watching config files...');
+        try {
+            watchConfig();
+            console.log('✅ Config changes will be applied without a restart');
+        } catch (err) {
+            console.error('❌ Failed to watch config files:', err);
+            console.warn('⚠️  Continuing without config reloading...');
+        }
+        
         // Login to Discord
-        console.log('\n🔑 STEP 8: Logging in to Discord...');
+        console.log('\n🔑 STEP 11: Logging in to Discord...');
         try {
-            await client.login(process.env.DISCORD_TOKEN);
+            await client.login(config.get('bot.token'));
             console.log(`✅ Logged in as ${client.user.tag}`);
             console.log(`   Serving ${client.guilds.cache.size} guild(s)`);
             
@@ -0,0 +1,167 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const configBackup = require('../services/configBackup');
+const { createConfirmation } = require('../utils/interactionUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Owner command to list and restore guild config backups
+ * @module commands/backup
+ */
+
+// Backups shown by /backup list; autocomplete is capped at 25 by Discord
+const LIST_LIMIT = 25;
+
+// Command data for slash command registration
+const data = new SlashCommandBuilder()
+    .setName('backup')
+    .setDescription('List and restore guild configuration backups (bot owner only)')
+    .addSubcommand(subcommand => subcommand
+        .setName('list')
+        .setDescription('List the guild configuration backups'))
+    .addSubcommand(subcommand => subcommand
+        .setName('restore')
+        .setDescription('Restore every guild configuration from a backup')
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('The backup to restore')
+            .setAutocomplete(true)
+            .setRequired(true)));
+
+/**
+ * Format a size in bytes as e.g. `12.3 KB`
+ * @param {number} bytes - The size in bytes
+ * @returns {string} The formatted size
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Handle the 'list' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleList(interaction) {
+    const backups = await configBackup.listBackups();
+    if (backups.length === 0) {
+        return interaction.reply({ content: `ℹ️ There are no backups in \`${configBackup.directory}\` yet.`, ephemeral: true });
+    }
+
+    const lines = backups.slice(0, LIST_LIMIT).map(backup =>
+        `\`${backup.name}\`\n<t:${Math.floor(backup.createdAt.getTime() / 1000)}:f> · ${formatSize(backup.size)}`
+    );
+    const embed = new EmbedBuilder()
+        .setTitle('Guild Configuration Backups')
+        .setColor('#3498db')
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `${backups.length} backup(s), newest first · keeping the last ${configBackup.keepLast}` })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Handle the 'restore' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleRestore(interaction) {
+    const name = interaction.options.getString('name');
+    await interaction.deferReply({ ephemeral: true });
+
+    // Reads and checks the archive before anything is offered for restore
+    const archive = await configBackup.readBackup(name);
+    const guildCount = Object.keys(archive.guilds).length;
+
+    const confirmed = await createConfirmation({
+        interaction,
+        question: `Restore ${guildCount} guild configuration(s) from \`${name}\` (taken <t:${Math.floor(Date.parse(archive.createdAt) / 1000)}:f>)? ` +
+            'Current settings are backed up first, and guilds not in the backup are left as they are.',
+        confirmLabel: 'Restore'
+    });
+    if (!confirmed) {
+        await interaction.editReply({ content: 'Restore cancelled, nothing was changed.', components: [] });
+        return;
+    }
+
+    const { restored, safetyBackup } = await configBackup.restoreBackup(name, {
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        command: '/backup restore'
+    });
+
+    await interaction.editReply({
+        content: `✅ Restored ${restored} guild configuration(s) from \`${name}\`. The previous settings were saved as \`${safetyBackup}\`.`,
+        components: []
+    });
+}
+
+/**
+ * Execute the command
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @returns {Promise<void>}
+ */
+async function execute(interaction) {
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        switch (subcommand) {
+            case 'list':
+                await handleList(interaction);
+                break;
+            case 'restore':
+                await handleRestore(interaction);
+                break;
+            default:
+                throw new Error('Unknown subcommand');
+        }
+    } catch (error) {
+        logger.error('Error in backup command:', {
+            error: error.message,
+            stack: error.stack,
+            subcommand: interaction.options?.getSubcommand(false),
+            userId: interaction.user?.id
+        });
+
+        const replyContent = {
+            content: `❌ ${error.message || 'Failed to manage backups'}`,
+            components: [],
+            ephemeral: true
+        };
+
+        try {
+            if (interaction.deferred) {
+                await interaction.editReply(replyContent);
+            } else if (interaction.replied) {
+                await interaction.followUp(replyContent);
+            } else {
+                await interaction.reply(replyContent);
+            }
+        } catch (replyError) {
+            logger.error('Failed to send error reply:', {
+                originalError: error.message,
+                replyError: replyError.message
+            });
+        }
+    }
+}
+
+/**
+ * Suggest backup names for the restore option
+ * @param {import('discord.js').AutocompleteInteraction} interaction - The autocomplete interaction
+ * @param {{name: string, value: string}} focused - The focused option
+ * @returns {Promise<string[]>} Matching backup names, newest first
+ */
+async function autocomplete(interaction, focused) {
+    const query = String(focused.value || '').toLowerCase();
+    return (await configBackup.listBackups())
+        .map(backup => backup.name)
+        .filter(name => name.toLowerCase().includes(query))
+        .slice(0, LIST_LIMIT);
+}
+
+module.exports = {
+    data,
+    permission: { level: 'owner' },
+    execute,
+    autocomplete
+};
@@ -0,0 +1,280 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+const commandHandler = require('../handlers/commandHandler');
+const { PERMISSION_LEVELS, resolveCommandPermission } = require('../utils/permissions');
+
+/**
+ * Owner command to inspect the bot configuration and set who may use each
+ * command in a server
+ * @module commands/config
+ */
+
+// Settings shown by one explain, and autocomplete suggestions (Discord allows 25)
+const MAX_SETTINGS = 25;
+
+const SOURCE_LABELS = {
+    default: 'Default',
+    file: 'bot-config.json',
+    env: 'Environment',
+    guild: 'Guild override'
+};
+
+// Command data for slash command registration
+const data = new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Inspect the bot configuration (bot owner only)')
+    .addSubcommand(subcommand => subcommand
+        .setName('explain')
+        .setDescription('Show a setting\'s value and where it came from')
+        .addStringOption(option => option
+            .setName('key')
+            .setDescription('Dot path of the setting or group, e.g. bot.prefix or roles.voiceChannel')
+            .setAutocomplete(true)
+            .setRequired(true)))
+    .addSubcommandGroup(group => group
+        .setName('permission')
+        .setDescription('Change who may use a command in this server')
+        .addSubcommand(subcommand => subcommand
+            .setName('set')
+            .setDescription('Replace the level or Discord permissions a command needs in this server')
+            .addStringOption(option => option
+                .setName('command')
+                .setDescription('The command')
+                .setAutocomplete(true)
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('level')
+                .setDescription('Lowest permission level allowed')
+                .addChoices(...PERMISSION_LEVELS
+                    .filter(level => level !== 'owner')
+                    .map(level => ({ name: level, value: level }))))
+            .addStringOption(option => option
+                .setName('permissions')
+                .setDescription('Discord permissions also needed, comma-separated, e.g. ManageRoles; "none" for none')))
+        .addSubcommand(subcommand => subcommand
+            .setName('reset')
+            .setDescription('Go back to what a command declares in this server')
+            .addStringOption(option => option
+                .setName('command')
+                .setDescription('The command')
+                .setAutocomplete(true)
+                .setRequired(true))));
+
+/**
+ * Format a value for display
+ * @param {*} value - The value
+ * @returns {string} The value as inline code
+ */
+function formatValue(value) {
+    const text = typeof value === 'string' ? JSON.stringify(value) : JSON.stringify(value ?? null);
+    return `\`${text.length > 100 ? `${text.slice(0, 97)}...` : text}\``;
+}
+
+/**
+ * Handle the 'explain' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleExplain(interaction) {
+    const key = interaction.options.getString('key').trim();
+    const settings = await config.explain(key, interaction.guildId);
+
+    if (settings.length === 0) {
+        return interaction.reply({ content: `ℹ️ There is no setting \`${key}\`.`, ephemeral: true });
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(`Configuration — ${key}`)
+        .setColor('#3498db')
+        .setTimestamp();
+
+    for (const setting of settings.slice(0, MAX_SETTINGS)) {
+        const overridden = setting.layers.slice(0, -1).reverse()
+            .map(layer => `~~${formatValue(layer.value)}~~ ${SOURCE_LABELS[layer.source]}`);
+        const effective = setting.layers[setting.layers.length - 1];
+        const from = effective.source === 'env' ? `${SOURCE_LABELS.env} (\`${effective.detail}\`)` : SOURCE_LABELS[effective.source];
+
+        embed.addFields({
+            name: setting.key,
+            value: [`${formatValue(setting.value)} from ${from}`, ...overridden].join('\n')
+        });
+    }
+
+    if (settings.length > MAX_SETTINGS) {
+        embed.setFooter({ text: `Showing ${MAX_SETTINGS} of ${settings.length} settings; narrow the key to see the rest` });
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Find a command whose permission a guild may override
+ * @param {string} name - The command name
+ * @returns {Object} The registered command
+ * @throws {Error} If there is no such command or it is an owner command
+ */
+function getOverridableCommand(name) {
+    const command = commandHandler.getCommand(name);
+    if (!command) {
+        throw new Error(`There is no command \`${name}\`.`);
+    }
+    if (command.permission?.level === 'owner') {
+        throw new Error(`\`${name}\` is an owner command; its permission can't be changed per server.`);
+    }
+    return command;
+}
+
+/**
+ * Parse a comma-separated list of Discord permission names
+ * @param {string} text - The list, or `none`
+ * @returns {string[]} PermissionFlagsBits names
+ * @throws {Error} If a name is unknown
+ */
+function parsePermissionNames(text) {
+    if (text.trim().toLowerCase() === 'none') return [];
+
+    const names = text.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !(name in PermissionFlagsBits));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown Discord permission ${unknown.map(name => `\`${name}\``).join(', ')}, e.g. ManageRoles or ManageChannels`);
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Describe the permission a command needs
+ * @param {{level: string, permissions: string[]}} permission - From resolveCommandPermission
+ * @returns {string} e.g. `moderator` level with ManageRoles
+ */
+function formatPermission({ level, permissions }) {
+    return `\`${level}\` level${permissions.length > 0 ? ` with ${permissions.join(', ')}` : ''}`;
+}
+
+/**
+ * Handle the 'permission set' and 'permission reset' subcommands
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @param {'set'|'reset'} subcommand - The subcommand
+ */
+async function handlePermission(interaction, subcommand) {
+    if (!interaction.guildId) {
+        throw new Error('Command permissions can only be changed in a server.');
+    }
+
+    const name = interaction.options.getString('command').trim();
+    const command = getOverridableCommand(name);
+    const key = `commandPermissions.${name}`;
+    const meta = {
+        userId: interaction.user.id,
+        userTag: interaction.user.tag,
+        command: `/config permission ${subcommand}`
+    };
+
+    if (subcommand === 'set') {
+        const level = interaction.options.getString('level');
+        const permissions = interaction.options.getString('permissions');
+        if (!level && permissions === null) {
+            throw new Error('Give a level, Discord permissions, or both.');
+        }
+
+        const override = {};
+        if (level) override.level = level;
+        if (permissions !== null) override.permissions = parsePermissionNames(permissions);
+        await config.setGuildOverride(interaction.guildId, key, override, meta);
+    } else if (!await config.setGuildOverride(interaction.guildId, key, undefined, meta)) {
+        return interaction.reply({ content: `ℹ️ \`${name}\` already uses what it declares in this server.`, ephemeral: true });
+    }
+
+    const resolved = await resolveCommandPermission(command, interaction.guildId);
+    logger.info(`[CONFIG] ${interaction.user.tag} changed the permission of ${name} in guild ${interaction.guildId} to ${resolved.level} ${resolved.permissions.join(',')}`);
+    await interaction.reply({
+        content: `✅ In this server \`${name}\` now needs ${formatPermission(resolved)}${resolved.overridden ? '' : ', as the command declares'}.`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Execute the command
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @returns {Promise<void>}
+ */
+async function execute(interaction) {
+    try {
+        const subcommand = interaction.options.getSubcommand();
+        if (interaction.options.getSubcommandGroup(false) === 'permission') {
+            await handlePermission(interaction, subcommand);
+            return;
+        }
+
+        switch (subcommand) {
+            case 'explain':
+                await handleExplain(interaction);
+                break;
+            default:
+                throw new Error('Unknown subcommand');
+        }
+    } catch (error) {
+        logger.error('Error in config command:', {
+            error: error.message,
+            stack: error.stack,
+            subcommand: interaction.options?.getSubcommand(false),
+            userId: interaction.user?.id
+        });
+
+        const replyContent = {
+            content: `❌ ${error.message || 'Failed to update the configuration'}`,
+            ephemeral: true
+        };
+
+        try {
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(replyContent);
+            } else {
+                await interaction.reply(replyContent);
+            }
+        } catch (replyError) {
+            logger.error('Failed to send error reply:', {
+                originalError: error.message,
+                replyError: replyError.message
+            });
+        }
+    }
+}
+
+/**
+ * Suggest setting keys, including the groups above them, or the commands
+ * whose permission can be changed
+ * @param {import('discord.js').AutocompleteInteraction} interaction - The autocomplete interaction
+ * @param {{name: string, value: string}} focused - The focused option
+ * @returns {Promise<string[]>} Matching keys or command names
+ */
+async function autocomplete(interaction, focused) {
+    const query = String(focused.value || '').toLowerCase();
+
+    if (focused.name === 'command') {
+        const names = [...commandHandler.commands.values()]
+            .filter(command => !command.isLegacy && command.data?.name && command.permission?.level !== 'owner')
+            .map(command => command.data.name);
+        return [...new Set(names)]
+            .filter(name => name.toLowerCase().includes(query))
+            .sort()
+            .slice(0, MAX_SETTINGS);
+    }
+
+    const keys = new Set();
+    for (const key of config.keys()) {
+        const parts = key.split('.');
+        parts.forEach((_, index) => keys.add(parts.slice(0, index + 1).join('.')));
+    }
+
+    return [...keys]
+        .filter(key => key.toLowerCase().includes(query))
+        .sort((a, b) => a.length - b.length || a.localeCompare(b))
+        .slice(0, MAX_SETTINGS);
+}
+
+module.exports = {
+    data,
+    permission: { level: 'owner' },
+    execute,
+    autocomplete
+};
@@ -0,0 +1,555 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { createConfirmation } = require('../utils/interactionUtils');
+const { listPresenceEntries, isEntryActive } = require('../utils/presenceSchedule');
+const { validateTemplate } = require('../utils/presenceTemplate');
+const presenceService = require('../services/presenceService');
+const logger = require('../utils/logger');
+
+/**
+ * Owner command to manage, preview and force the bot's presence
+ * @module commands/presence
+ */
+
+// Every type an activity can have, offered by autocomplete
+const ACTIVITY_TYPES = [
+    { name: 'Playing', value: 'PLAYING' },
+    { name: 'Streaming', value: 'STREAMING' },
+    { name: 'Listening to', value: 'LISTENING' },
+    { name: 'Watching', value: 'WATCHING' },
+    { name: 'Competing in', value: 'COMPETING' },
+    { name: 'Custom status', value: 'CUSTOM' }
+];
+
+// Discord only shows a streaming activity with one of these links
+const STREAM_URL_PATTERN = /^https:\/\/(www\.)?(twitch\.tv|youtube\.com)\//;
+
+const MIN_INTERVAL_SECONDS = 30;
+
+const STATUS_CHOICES = [
+    { name: 'Online', value: 'online' },
+    { name: 'Idle', value: 'idle' },
+    { name: 'Do Not Disturb', value: 'dnd' },
+    { name: 'Invisible', value: 'invisible' }
+];
+
+const SOURCE_LABELS = {
+    forced: 'Forced with /presence force',
+    event: 'Event override',
+    schedule: 'Schedule'
+};
+
+// Schedules and overrides listed by preview (Discord allows 25 fields)
+const MAX_ENTRIES = 20;
+
+// Autocomplete suggestions (Discord allows 25)
+const MAX_CHOICES = 25;
+
+/**
+ * Add the activity options shared by `set` and `add-activity`
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} subcommand - The subcommand
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder} The subcommand
+ */
+function addActivityOptions(subcommand) {
+    return subcommand
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('Activity text; placeholders such as {guilds} and {users|abbr} work')
+            .setMaxLength(128)
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('type')
+            .setDescription('Activity type (default: Playing)')
+            .setAutocomplete(true)
+            .setRequired(false))
+        .addStringOption(option => option
+            .setName('url')
+            .setDescription('Twitch or YouTube link, needed for Streaming')
+            .setRequired(false));
+}
+
+// Command data for slash command registration
+const data = new SlashCommandBuilder()
+    .setName('presence')
+    .setDescription('Manage, preview and force the bot\'s presence (bot owner only)')
+    .addSubcommand(subcommand => addActivityOptions(subcommand
+        .setName('set')
+        .setDescription('Replace every configured activity with one')))
+    .addSubcommand(subcommand => addActivityOptions(subcommand
+        .setName('add-activity')
+        .setDescription('Add an activity to the rotation')))
+    .addSubcommand(subcommand => subcommand
+        .setName('remove-activity')
+        .setDescription('Remove an activity from the rotation')
+        .addStringOption(option => option
+            .setName('activity')
+            .setDescription('The activity to remove, by its number in /presence list')
+            .setAutocomplete(true)
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('list')
+        .setDescription('List the configured activities, status and rotation settings'))
+    .addSubcommandGroup(group => group
+        .setName('rotation')
+        .setDescription('Configure the activity rotation')
+        .addSubcommand(subcommand => subcommand
+            .setName('on')
+            .setDescription('Rotate through the activities'))
+        .addSubcommand(subcommand => subcommand
+            .setName('off')
+            .setDescription('Keep showing the current activity'))
+        .addSubcommand(subcommand => subcommand
+            .setName('interval')
+            .setDescription('Set how often the activity changes')
+            .addIntegerOption(option => option
+                .setName('seconds')
+                .setDescription(`Seconds between changes (at least ${MIN_INTERVAL_SECONDS})`)
+                .setMinValue(MIN_INTERVAL_SECONDS)
+                .setMaxValue(86400)
+                .setRequired(true))))
+    .addSubcommand(subcommand => subcommand
+        .setName('status')
+        .setDescription('Set the bot\'s status')
+        .addStringOption(option => option
+            .setName('status')
+            .setDescription('The status to show')
+            .addChoices(...STATUS_CHOICES)
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('preview')
+        .setDescription('Show what the bot is showing and which schedules and overrides apply'))
+    .addSubcommand(subcommand => subcommand
+        .setName('force')
+        .setDescription('Show an activity in place of the rotation, schedules and overrides')
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('Activity text; placeholders such as {guilds} and {users|abbr} work')
+            .setMaxLength(128)
+            .setRequired(true))
+        .addStringOption(option => option
+            .setName('type')
+            .setDescription('Activity type (default: Playing)')
+            .addChoices(...ACTIVITY_TYPES.filter(choice => choice.value !== 'STREAMING'))
+            .setRequired(false))
+        .addStringOption(option => option
+            .setName('status')
+            .setDescription('Status to show with it (default: the configured status)')
+            .addChoices(...STATUS_CHOICES)
+            .setRequired(false))
+        .addIntegerOption(option => option
+            .setName('minutes')
+            .setDescription('How long to force it for (default: until cleared)')
+            .setMinValue(1)
+            .setMaxValue(10080)
+            .setRequired(false)))
+    .addSubcommand(subcommand => subcommand
+        .setName('clear')
+        .setDescription('Stop forcing an activity'));
+
+/**
+ * Describe where a schedule or override is defined
+ * @param {import('discord.js').Client} client - The Discord.js client instance
+ * @param {?string} guildId - The guild it belongs to, null for bot-wide entries
+ * @returns {string} The scope
+ */
+function formatScope(client, guildId) {
+    if (!guildId) return 'Bot-wide';
+    return `Guild ${client.guilds.cache.get(guildId)?.name || guildId}`;
+}
+
+/**
+ * Describe when a schedule or override applies
+ * @param {string} source - `schedule` or `event`
+ * @param {Object} entry - The schedule or override
+ * @returns {string} The condition
+ */
+function formatCondition(source, entry) {
+    if (source === 'event') {
+        return Object.entries(entry.when).map(([name, minimum]) => `${name} ≥ ${minimum}`).join(', ');
+    }
+    if (entry.cron) {
+        return `cron \`${entry.cron}\`${entry.timezone ? ` (${entry.timezone})` : ''}`;
+    }
+    const days = entry.days ? entry.days.join(', ') : 'every day';
+    return `${days} ${entry.start}–${entry.end}${entry.timezone ? ` (${entry.timezone})` : ''}`;
+}
+
+/**
+ * Read the activity options of `set` and `add-activity`
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @returns {{name: string, type: string, url: ?string}} The activity
+ * @throws {Error} If the type is unknown or a stream has no usable link
+ */
+function getActivityOption(interaction) {
+    const name = interaction.options.getString('name');
+    const typeOption = (interaction.options.getString('type') || 'PLAYING').trim();
+    const url = interaction.options.getString('url');
+
+    // Typed values are matched by the start of the type or its label, e.g. `watch`
+    const typed = typeOption.toLowerCase();
+    const type = typed && ACTIVITY_TYPES.find(choice =>
+        choice.value.toLowerCase().startsWith(typed) || choice.name.toLowerCase().startsWith(typed)
+    )?.value;
+    if (!type) {
+        throw new Error(`Unknown activity type "${typeOption}". Pick one of: ${ACTIVITY_TYPES.map(choice => choice.name).join(', ')}`);
+    }
+    if (type === 'STREAMING' && !STREAM_URL_PATTERN.test(url || '')) {
+        throw new Error('Streaming activities need a Twitch or YouTube link in `url`');
+    }
+
+    return { name, type, url: url || null };
+}
+
+/**
+ * Describe an activity, e.g. `Watching {guilds} servers`
+ * @param {{name: string, type: string}} activity - The activity
+ * @returns {string} The description
+ */
+function describeActivity(activity) {
+    const label = ACTIVITY_TYPES.find(choice => choice.value === String(activity.type || 'PLAYING').toUpperCase())?.name || 'Playing';
+    return `${label} ${activity.name}`;
+}
+
+/**
+ * The activities as written in presence-config.json, numbered the way list,
+ * remove-activity and its autocomplete show them
+ * @returns {Object[]} The configured activities
+ */
+function getConfiguredActivities() {
+    return presenceService.config.getFileConfig().activities || [];
+}
+
+/**
+ * Handle the 'set' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleSet(interaction) {
+    const activity = getActivityOption(interaction);
+    const current = presenceService.config.getFileConfig().activities || [];
+    await interaction.deferReply({ ephemeral: true });
+
+    if (current.length > 1) {
+        const confirmed = await createConfirmation({
+            interaction,
+            question: `Replace all ${current.length} configured activities with \`${describeActivity(activity)}\`?`,
+            confirmLabel: 'Replace'
+        });
+        if (!confirmed) {
+            await interaction.editReply({ content: 'Nothing was changed.', components: [] });
+            return;
+        }
+    }
+
+    await presenceService.updateConfig(config => {
+        config.activities = [activity];
+    });
+    await interaction.editReply({ content: `✅ The bot now shows \`${describeActivity(activity)}\`.`, components: [] });
+}
+
+/**
+ * Handle the 'add-activity' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleAddActivity(interaction) {
+    const activity = getActivityOption(interaction);
+    await interaction.deferReply({ ephemeral: true });
+
+    const saved = await presenceService.updateConfig(config => {
+        config.activities = [...(config.activities || []), activity];
+    });
+    await interaction.editReply({ content: `✅ Added \`${describeActivity(activity)}\` as activity ${saved.activities.length}.` });
+}
+
+/**
+ * Handle the 'remove-activity' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleRemoveActivity(interaction) {
+    const activities = getConfiguredActivities();
+    const position = Number(interaction.options.getString('activity'));
+
+    if (!Number.isInteger(position) || position < 1 || position > activities.length) {
+        return interaction.reply({ content: `❌ Pick an activity from 1 to ${activities.length}, as numbered in \`/presence list\`.`, ephemeral: true });
+    }
+    if (activities.length === 1) {
+        return interaction.reply({ content: '❌ That is the only activity. Use `/presence set` to replace it.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const [removed] = activities.splice(position - 1, 1);
+    await presenceService.updateConfig(config => {
+        config.activities = activities;
+    });
+    await interaction.editReply({ content: `✅ Removed \`${describeActivity(removed)}\`.` });
+}
+
+/**
+ * Handle the 'list' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleList(interaction) {
+    const { rotation, status } = presenceService.presence;
+    const activities = getConfiguredActivities();
+    const { rotationInterval, lastUpdate } = presenceService.getStatus();
+    const interval = rotationInterval || presenceService.getRotationInterval();
+
+    const lines = activities.length > 0
+        ? activities.map((activity, index) =>
+            `**${index + 1}.** ${describeActivity(activity)}\n↳ \`${presenceService.format(activity.name)}\``
+        )
+        : ['No activities are configured, so the default is shown. Use `/presence add-activity` to add one.'];
+
+    const embed = new EmbedBuilder()
+        .setTitle('Presence Activities')
+        .setColor('#3498db')
+        .setDescription(lines.join('\n').slice(0, 4096))
+        .addFields(
+            { name: 'Status', value: STATUS_CHOICES.find(choice => choice.value === status)?.name || status, inline: true },
+            {
+                name: 'Rotation',
+                value: rotation.enabled === false
+                    ? 'Off'
+                    : `Every ${Math.round(interval / 1000)}s${rotation.randomize ? ', random order' : ''}`,
+                inline: true
+            },
+            { name: 'Showing now', value: lastUpdate ? `\`${lastUpdate.name}\`` : 'Nothing yet', inline: true }
+        )
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Handle the 'rotation' subcommand group
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @param {string} subcommand - `on`, `off` or `interval`
+ */
+async function handleRotation(interaction, subcommand) {
+    await interaction.deferReply({ ephemeral: true });
+
+    let content;
+    if (subcommand === 'interval') {
+        const seconds = interaction.options.getInteger('seconds');
+        await presenceService.updateConfig(config => {
+            config.rotation = { ...(config.rotation || {}), interval: seconds * 1000 };
+            // Superseded by rotation.interval
+            delete config.updateInterval;
+        });
+        content = `✅ The activity now changes every ${seconds} seconds.`;
+    } else {
+        const enabled = subcommand === 'on';
+        await presenceService.updateConfig(config => {
+            config.rotation = { ...(config.rotation || {}), enabled };
+        });
+        content = enabled
+            ? '✅ Rotation is on.'
+            : '✅ Rotation is off; the current activity stays until it is turned back on.';
+    }
+
+    await interaction.editReply({ content });
+}
+
+/**
+ * Handle the 'status' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleStatus(interaction) {
+    const status = interaction.options.getString('status');
+    await interaction.deferReply({ ephemeral: true });
+
+    await presenceService.updateConfig(config => {
+        config.status = status;
+    });
+    const label = STATUS_CHOICES.find(choice => choice.value === status).name;
+    await interaction.editReply({ content: `✅ The bot's status is now ${label}. Schedules, overrides and \`/presence force\` can still show their own.` });
+}
+
+/**
+ * Handle the 'preview' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handlePreview(interaction) {
+    const { client } = interaction;
+    const now = new Date();
+    const preview = presenceService.preview(now.getTime());
+    const source = preview.override
+        ? `${SOURCE_LABELS[preview.override.source]}${preview.override.source === 'forced' ? '' : ` "${preview.override.name}"`}`
+        : 'Rotation';
+
+    const embed = new EmbedBuilder()
+        .setTitle('Bot Presence')
+        .setColor('#3498db')
+        .addFields(
+            { name: 'Showing', value: preview.name ? `\`${preview.name}\`` : 'Nothing', inline: true },
+            { name: 'Status', value: preview.status, inline: true },
+            { name: 'Source', value: source, inline: true }
+        )
+        .setTimestamp();
+
+    if (preview.forced?.until) {
+        embed.addFields({ name: 'Forced until', value: `<t:${Math.floor(preview.forced.until / 1000)}:t>` });
+    }
+
+    const entries = listPresenceEntries(presenceService.presence);
+    for (const item of entries.slice(0, MAX_ENTRIES)) {
+        const active = isEntryActive(item, client, now);
+        embed.addFields({
+            name: `${active ? '🟢' : '⚪'} ${item.entry.name}`,
+            value: [
+                `${SOURCE_LABELS[item.source]} · ${formatScope(client, item.guildId)}`,
+                formatCondition(item.source, item.entry),
+                `Shows \`${item.entry.activity.name}\``
+            ].join('\n')
+        });
+    }
+
+    if (entries.length === 0) {
+        embed.setDescription('No schedules or event overrides are configured in `presence-config.json`.');
+    } else {
+        embed.setFooter({ text: `${entries.length} schedule(s) and override(s), in priority order; the first active one is shown` });
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Handle the 'force' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleForce(interaction) {
+    const name = interaction.options.getString('name');
+    const type = interaction.options.getString('type') || 'PLAYING';
+    const status = interaction.options.getString('status');
+    const minutes = interaction.options.getInteger('minutes');
+
+    // Same placeholder check as presence-config.json gets
+    validateTemplate(name, Object.keys(presenceService.presence.messages?.templates || {}));
+
+    await interaction.deferReply({ ephemeral: true });
+    const updated = await presenceService.force({ name, type }, {
+        status,
+        duration: minutes ? minutes * 60000 : null
+    });
+    if (!updated) {
+        throw new Error('Discord did not accept the presence update, check the logs');
+    }
+
+    const until = minutes ? ` until <t:${Math.floor(Date.now() / 1000) + minutes * 60}:t>` : ' until cleared with `/presence clear`';
+    await interaction.editReply({ content: `✅ Now showing \`${presenceService.preview().name}\`${until}.` });
+}
+
+/**
+ * Handle the 'clear' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleClear(interaction) {
+    if (!presenceService.forced) {
+        return interaction.reply({ content: 'ℹ️ No activity is being forced.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    await presenceService.clearForced();
+    await interaction.editReply({ content: '✅ Stopped forcing the activity; schedules, overrides and the rotation are back in charge.' });
+}
+
+/**
+ * Execute the command
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @returns {Promise<void>}
+ */
+async function execute(interaction) {
+    try {
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+        if (group === 'rotation') {
+            await handleRotation(interaction, subcommand);
+            return;
+        }
+
+        switch (subcommand) {
+            case 'set':
+                await handleSet(interaction);
+                break;
+            case 'add-activity':
+                await handleAddActivity(interaction);
+                break;
+            case 'remove-activity':
+                await handleRemoveActivity(interaction);
+                break;
+            case 'list':
+                await handleList(interaction);
+                break;
+            case 'status':
+                await handleStatus(interaction);
+                break;
+            case 'preview':
+                await handlePreview(interaction);
+                break;
+            case 'force':
+                await handleForce(interaction);
+                break;
+            case 'clear':
+                await handleClear(interaction);
+                break;
+            default:
+                throw new Error('Unknown subcommand');
+        }
+    } catch (error) {
+        logger.error('Error in presence command:', {
+            error: error.message,
+            stack: error.stack,
+            subcommand: interaction.options?.getSubcommand(false),
+            userId: interaction.user?.id
+        });
+
+        const replyContent = {
+            content: `❌ ${error.message || 'Failed to manage the presence'}`,
+            components: [],
+            ephemeral: true
+        };
+
+        try {
+            if (interaction.deferred) {
+                await interaction.editReply(replyContent);
+            } else if (interaction.replied) {
+                await interaction.followUp(replyContent);
+            } else {
+                await interaction.reply(replyContent);
+            }
+        } catch (replyError) {
+            logger.error('Failed to send error reply:', {
+                originalError: error.message,
+                replyError: replyError.message
+            });
+        }
+    }
+}
+
+/**
+ * Suggest activity types, or the configured activities for remove-activity
+ * @param {import('discord.js').AutocompleteInteraction} interaction - The autocomplete interaction
+ * @param {{name: string, value: string}} focused - The focused option
+ * @returns {Promise<Array<{name: string, value: string}>>} Matching choices
+ */
+async function autocomplete(interaction, focused) {
+    const query = String(focused.value || '').toLowerCase();
+
+    if (focused.name === 'type') {
+        return ACTIVITY_TYPES.filter(choice => choice.name.toLowerCase().includes(query) || choice.value.toLowerCase().includes(query));
+    }
+
+    if (focused.name === 'activity') {
+        return getConfiguredActivities()
+            .map((activity, index) => ({ name: `${index + 1}. ${describeActivity(activity)}`.slice(0, 100), value: String(index + 1) }))
+            .filter(choice => choice.name.toLowerCase().includes(query))
+            .slice(0, MAX_CHOICES);
+    }
+
+    return [];
+}
+
+module.exports = {
+    data,
+    permission: { level: 'owner' },
+    execute,
+    autocomplete
+};
@@ -2,7 +2,7 @@ const { ApplicationCommandType, ApplicationCommandOptionType, PermissionFlagsBit
 const { createCommandHandler } = require('../../utils/interactionUtils');
 const { createEmbed, createButton, createActionRow } = require('../../utils/embedUtils');
 const { handleError } = require('../../utils/errorUtils');
-const { isDev } = require('../../utils/env');
+const config = require('../../config');
 
 // Helper function to format permissions
 function formatPermissions(permissions) {
@@ -203,7 +203,7 @@ const command = createCommandHandler({
       // Use our error handler
       await handleError(error, { 
         interaction,
-        logError: !isDev() // Only log in production
+        logError: !config.isDev() // Only log in production
       });
     }
   },
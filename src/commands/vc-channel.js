@@ -1,60 +1,89 @@
-//TODO  modify the vc-channel command and vc-config to allow multiple roles to be assigned 1 channel
-
-
-
 /**
  * Command to manage voice channel role assignments
  * @module commands/vc-channel
  */
 
-const { PermissionFlagsBits, SlashCommandBuilder, ChannelType, GuildMember, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, ChannelType, EmbedBuilder } = require('discord.js');
 const logger = require('../utils/logger');
+const voiceRoleManager = require('../services/voiceRoleManager');
+const { normalizeChannelFilters } = require('../utils/vc-config');
+
+// Upper bound for the account and server age filters, in days
+const MAX_FILTER_DAYS = 3650;
 
 /**
  * @typedef {Object} VCConfig
- * @property {Object.<string, string>} channelRoles - Mapping of channel IDs to role IDs
+ * @property {Object.<string, string[]>} channelRoles - Mapping of channel IDs to the role IDs they grant
+ * @property {Object.<string, import('../utils/vc-config').ChannelFilters>} [channelFilters] - Eligibility filters per mapped channel
+ * @property {string[]} [createdRoles] - IDs of roles the bot created through `add create-role:true`
  */
 
 /**
  * @typedef {Object} CommandHandler
  * @property {string} guildId - The ID of the guild
+ * @property {import('discord.js').Client} [client] - Discord client instance
  * @property {function((string|EmbedBuilder)): Promise<void>} reply - Function to send a reply
  * @property {Object} [options] - Command options
  * @property {function(): {id: string}} [options.getChannel] - Gets the channel
- * @property {function(): {id: string}} [options.getRole] - Gets the role
+ * @property {function(string=): ?{id: string}} [options.getRole] - Gets a role option, `role` by default
+ * @property {function(string): ?boolean} [options.getBoolean] - Gets a boolean option
+ * @property {function(string): ?number} [options.getInteger] - Gets an integer option
  */
 
 // Command data for slash command registration
 const data = new SlashCommandBuilder()
     .setName('vc-channel')
     .setDescription('Manage voice channel role assignments')
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
     
     .addSubcommand(subcommand => subcommand
         .setName('add')
-        .setDescription('Add a role to be assigned when joining a voice channel')
+        .setDescription('Add a role to be assigned when joining a voice channel (a channel can grant several roles)')
         .addChannelOption(option => option
             .setName('channel')
-            .setDescription('The voice channel to configure')
-            .addChannelTypes(ChannelType.GuildVoice)
+            .setDescription('The voice channel, or a category to cover every voice channel inside it')
+            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildCategory)
             .setRequired(true))
         .addRoleOption(option => option
             .setName('role')
-            .setDescription('The role to assign when joining the voice channel')
-            .setRequired(true)))
+            .setDescription('The role to assign when joining the voice channel (omit when using create-role)')
+            .setRequired(false))
+        .addBooleanOption(option => option
+            .setName('create-role')
+            .setDescription('Create a new role named after the channel instead of picking one')
+            .setRequired(false))
+        .addRoleOption(option => option
+            .setName('required-role')
+            .setDescription('Only members with this role get the channel\'s roles')
+            .setRequired(false))
+        .addRoleOption(option => option
+            .setName('excluded-role')
+            .setDescription('Members with this role never get the channel\'s roles (e.g. muted)')
+            .setRequired(false))
+        .addIntegerOption(option => option
+            .setName('min-account-age')
+            .setDescription('Minimum Discord account age in days (0 clears the filter)')
+            .setMinValue(0)
+            .setMaxValue(MAX_FILTER_DAYS)
+            .setRequired(false))
+        .addIntegerOption(option => option
+            .setName('min-server-age')
+            .setDescription('Minimum days since joining this server (0 clears the filter)')
+            .setMinValue(0)
+            .setMaxValue(MAX_FILTER_DAYS)
+            .setRequired(false)))
             
     .addSubcommand(subcommand => subcommand
         .setName('remove')
         .setDescription('Remove a role assignment from a voice channel')
         .addChannelOption(option => option
             .setName('channel')
-            .setDescription('The voice channel to modify')
-            .addChannelTypes(ChannelType.GuildVoice)
+            .setDescription('The voice channel or category to modify')
+            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildCategory)
             .setRequired(true))
         .addRoleOption(option => option
             .setName('role')
-            .setDescription('The role to remove from the voice channel')
-            .setRequired(true)))
+            .setDescription('The role to remove (omit to remove every role from the channel)')
+            .setRequired(false)))
             
     .addSubcommand(subcommand => subcommand
         .setName('list')
@@ -71,11 +100,6 @@ const data = new SlashCommandBuilder()
  */
 async function handleMessageCommand(message, client) {
     try {
-        // Check permissions
-        if (!message.member.permissions.has(PermissionFlagsBits.ManageRoles)) {
-            throw new Error('You need the Manage Roles permission to use this command');
-        }
-
         const args = message.content.split(/\s+/);
         const subcommand = args[1]?.toLowerCase();
         const guildId = message.guildId;
@@ -89,6 +113,13 @@ async function handleMessageCommand(message, client) {
         const reply = (content) => 
             message.reply({ content, allowedMentions: { repliedUser: false } });
 
+        // Recorded with saved changes in the config history
+        const meta = {
+            userId: message.author.id,
+            userTag: message.author.tag,
+            command: `!vc-channel ${subcommand}`
+        };
+
         // Command handlers
         const commandHandlers = {
             /**
@@ -97,14 +128,15 @@ async function handleMessageCommand(message, client) {
              * @returns {Promise<void>}
              */
             add: async (channelId, roleId) => {
-                await handleAdd({ 
+                await saveMappingChange({ 
                     guildId,
+                    client,
                     reply,
                     options: {
                         getChannel: () => ({ id: channelId }),
-                        getRole: () => ({ id: roleId })
+                        getRole: (name = 'role') => (name === 'role' ? { id: roleId } : null)
                     }
-                }, config);
+                }, handleAdd, meta);
             },
             /**
              * @param {string} channelId - The channel ID
@@ -112,14 +144,15 @@ async function handleMessageCommand(message, client) {
              * @returns {Promise<void>}
              */
             remove: async (channelId, roleId) => {
-                await handleRemove({ 
+                await saveMappingChange({ 
                     guildId,
+                    client,
                     reply,
                     options: {
                         getChannel: () => ({ id: channelId }),
-                        getRole: () => ({ id: roleId })
+                        getRole: (name = 'role') => (name === 'role' && roleId ? { id: roleId } : null)
                     }
-                }, config);
+                }, handleRemove, meta);
             },
             list: async () => {
                 await handleList({ 
@@ -133,9 +166,10 @@ async function handleMessageCommand(message, client) {
                     .setDescription('Manage voice channel role assignments')
                     .addFields(
                         { name: 'Add Role to Channel', value: '`!vc-channel add channel:#channel role:@role`', inline: false },
-                        { name: 'Remove Role from Channel', value: '`!vc-channel remove channel:#channel role:@role`', inline: false },
+                        { name: 'Remove Role from Channel', value: '`!vc-channel remove channel:#channel [role:@role]`', inline: false },
                         { name: 'List All Assignments', value: '`!vc-channel list`', inline: false }
                     )
+                    .setFooter({ text: 'Run add once per role to give a channel several roles. Pick a category to cover every voice channel in it.' })
                     .setColor('#3498db');
                 
                 await reply(helpEmbed);
@@ -149,17 +183,14 @@ async function handleMessageCommand(message, client) {
 
             if (subcommand === 'list' || subcommand === 'help') {
                 await commandHandlers[subcommand]();
-            } else if (channelMatch && roleMatch) {
-                await commandHandlers[subcommand](channelMatch[1], roleMatch[1]);
+            } else if (channelMatch && (roleMatch || subcommand === 'remove')) {
+                await commandHandlers[subcommand](channelMatch[1], roleMatch?.[1]);
             } else {
                 throw new Error(`Please specify both channel and role in the format: !vc-channel ${subcommand} channel:#channel role:@role`);
             }
         } else {
             await commandHandlers.help();
         }
-
-        // Save configuration
-        await client.config.saveVCConfig(guildId, config);
     } catch (error) {
         logger.error('Error in vc-channel message command:', error);
         await message.reply({ content: `❌ ${error.message}`, ephemeral: true });
@@ -167,18 +198,97 @@ async function handleMessageCommand(message, client) {
 }
 
 /**
- * Handle the 'add' subcommand
+ * Create the role asked for with `create-role`, before the guild's config
+ * lock is taken. Roles the bot creates are deleted again by
+ * discardCreatedRole() if the mapping isn't saved.
  * @param {CommandHandler} handler - Command handler object
- * @param {VCConfig} config - Voice channel configuration
+ * @returns {Promise<?{role: import('discord.js').Role, created: boolean}>} The role, or null if none was asked for
+ */
+async function createRequestedRole(handler) {
+    const channel = handler.options?.getChannel();
+    if (!channel || !(handler.options?.getBoolean?.('create-role') ?? false)) {
+        return null;
+    }
+    if (handler.options.getRole()) {
+        throw new Error('Pick an existing role or set create-role, not both.');
+    }
+
+    const guild = await handler.client?.guilds.fetch(handler.guildId).catch(() => null);
+    if (!guild) {
+        throw new Error('Could not determine the guild. Please try again in a server channel.');
+    }
+
+    return voiceRoleManager.getOrCreateVoiceRole(
+        guild,
+        channel,
+        handler.client.config?.get('roles.voiceChannel', {})
+    );
+}
+
+/**
+ * Delete a role createRequestedRole() made for a mapping that wasn't saved
+ * @param {CommandHandler} handler - Command handler object
+ * @param {?{role: import('discord.js').Role, created: boolean}} prepared - What createRequestedRole() returned
  * @returns {Promise<void>}
  */
+async function discardCreatedRole(handler, prepared) {
+    if (!prepared?.created) return;
+    const { failed } = await deleteRoles(handler, [prepared.role.id], 'Voice channel mapping was not saved');
+    if (failed.length > 0) {
+        logger.error(`[VC-CHANNEL] Role ${prepared.role.id} was created for a mapping that wasn't saved and could not be deleted`);
+    }
+}
+
 /**
- * Handle the 'add' subcommand
+ * Apply add or remove to the latest stored config under the guild's write
+ * lock, then reply. Discord roles are created before the lock is taken and
+ * deleted only once the change is saved, so a failed save can't leave the
+ * mapping pointing at a deleted role or a new role untracked.
  * @param {CommandHandler} handler - Command handler object
- * @param {VCConfig} config - Voice channel configuration
+ * @param {function(CommandHandler, VCConfig, ?Object): Promise<{message: string, deleteRoleIds?: string[]}>} mutate - handleAdd or handleRemove
+ * @param {import('../utils/vc-config').ConfigChangeMeta} meta - Who made the change, for the history
  * @returns {Promise<void>}
+ * @throws {Error} The handler's own error, or the save error with `saveFailed` set
+ */
+async function saveMappingChange(handler, mutate, meta) {
+    const prepared = mutate === handleAdd ? await createRequestedRole(handler) : null;
+
+    let result = null;
+    let handlerError = null;
+    try {
+        await handler.client.config.updateVCConfig(handler.guildId, async (latest) => {
+            try {
+                result = await mutate(handler, latest, prepared);
+            } catch (error) {
+                // Leave the stored config untouched and report the handler's own error
+                handlerError = error;
+                return false;
+            }
+        }, meta);
+    } catch (error) {
+        await discardCreatedRole(handler, prepared);
+        error.saveFailed = true;
+        throw error;
+    }
+
+    if (handlerError) {
+        await discardCreatedRole(handler, prepared);
+        throw handlerError;
+    }
+
+    const { deleted, failed } = await deleteRoles(handler, result.deleteRoleIds || [], 'Voice channel mapping removed');
+    await handler.reply(result.message + formatDeleted(deleted, failed));
+}
+
+/**
+ * Handle the 'add' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration, changed in place
+ * @param {?{role: import('discord.js').Role, created: boolean}} [prepared] - The role made by createRequestedRole()
+ * @returns {Promise<{message: string}>} The reply to send once the change is saved
+ * @throws {Error} If the request is invalid; the config is then left unsaved
  */
-async function handleAdd(handler, config) {
+async function handleAdd(handler, config, prepared = null) {
     try {
         logger.debug('[VC-CHANNEL] Starting handleAdd', { 
             configKeys: Object.keys(config || {}),
@@ -187,10 +297,26 @@ async function handleAdd(handler, config) {
         });
 
         const channel = handler.options?.getChannel();
-        const role = handler.options?.getRole();
+        const createRole = handler.options?.getBoolean?.('create-role') ?? false;
+        const role = prepared?.role || handler.options?.getRole();
+        const createdRole = Boolean(prepared?.created);
+        const filterOptions = getFilterOptions(handler);
         
-        if (!channel || !role) {
-            throw new Error('Please specify both a valid voice channel and role.');
+        if (!channel) {
+            throw new Error('Please specify a valid voice channel.');
+        }
+        if (!role) {
+            // Filters alone update an existing mapping
+            if (!createRole && filterOptions && config.channelRoles?.[channel.id]) {
+                const filters = applyFilterOptions(config, channel.id, filterOptions);
+                return { message: `✅ Updated the filters for <#${channel.id}>${formatFilters(filters)}` };
+            }
+            throw new Error('Please specify a role, or set create-role to true to create one.');
+        }
+
+        // Remember which roles the bot owns so remove can clean them up
+        if (createdRole) {
+            config.createdRoles = [...new Set([...(config.createdRoles || []), role.id])];
         }
 
         const channelId = channel.id;
@@ -200,7 +326,7 @@ async function handleAdd(handler, config) {
             channelId,
             roleId,
             hasChannelRoles: !!config.channelRoles,
-            existingRole: config.channelRoles?.[channelId]
+            existingRoles: config.channelRoles?.[channelId]
         });
 
         // Initialize channelRoles if it doesn't exist
@@ -209,58 +335,53 @@ async function handleAdd(handler, config) {
             logger.debug('[VC-CHANNEL] Initialized empty channelRoles object');
         }
 
-        // Check if the channel already has a role
-        if (config.channelRoles[channelId]) {
-            try {
-                const existingRole = await handler.reply.guild.roles.fetch(config.channelRoles[channelId]);
-                throw new Error(`This channel already has a role assigned (${existingRole || config.channelRoles[channelId]}). Remove it first.`);
-            } catch (fetchError) {
-                logger.error('[VC-CHANNEL] Failed to fetch existing role', { 
-                    error: fetchError.message,
-                    stack: fetchError.stack,
-                    roleId: config.channelRoles[channelId]
-                });
-                throw new Error(`This channel already has a role assigned (ID: ${config.channelRoles[channelId]}). Remove it first.`);
+        const channelRoles = [].concat(config.channelRoles[channelId] || []);
+
+        // Check if the channel already grants this role
+        if (channelRoles.includes(roleId)) {
+            if (!filterOptions) {
+                throw new Error(`<#${channelId}> already grants <@&${roleId}>.`);
             }
+            const filters = applyFilterOptions(config, channelId, filterOptions);
+            return { message: `✅ Updated the filters for <#${channelId}>${formatFilters(filters)}` };
         }
     
         // Add the role to the channel
-        config.channelRoles[channelId] = roleId;
+        channelRoles.push(roleId);
+        config.channelRoles[channelId] = channelRoles;
+        const filters = filterOptions
+            ? applyFilterOptions(config, channelId, filterOptions)
+            : normalizeChannelFilters(config.channelFilters)[channelId];
         
         logger.debug('[VC-CHANNEL] Successfully added role to channel', {
             channelId,
             roleId,
-            channelRoles: Object.keys(config.channelRoles || {})
+            channelRoleCount: channelRoles.length,
+            filters
         });
     
-        await handler.reply(`✅ Successfully added role <@&${roleId}> to <#${channelId}>`);
+        return {
+            message: (createdRole
+                ? `✅ Created role <@&${roleId}> and assigned it to <#${channelId}>`
+                : `✅ Successfully added role <@&${roleId}> to <#${channelId}>`) + formatFilters(filters)
+        };
     } catch (error) {
         logger.error('[VC-CHANNEL] Error in handleAdd', { 
             error: error.message,
             stack: error.stack,
             config: JSON.stringify(config, null, 2)
         });
-        
-        let errorMessage = error.message;
-        if (!errorMessage.startsWith('❌')) {
-            errorMessage = `❌ ${errorMessage}`;
-        }
-        
-        await handler.reply(errorMessage);
+        throw error;
     }
 }
 
 /**
  * Handle the 'remove' subcommand
  * @param {CommandHandler} handler - Command handler object
- * @param {VCConfig} config - Voice channel configuration
- * @returns {Promise<void>}
- */
-/**
- * Handle the 'remove' subcommand
- * @param {CommandHandler} handler - Command handler object
- * @param {VCConfig} config - Voice channel configuration
- * @returns {Promise<void>}
+ * @param {VCConfig} config - Voice channel configuration, changed in place
+ * @returns {Promise<{message: string, deleteRoleIds: string[]}>} The reply to send and the
+ *   roles the bot created that no channel grants any more, to delete once the change is saved
+ * @throws {Error} If the request is invalid; the config is then left unsaved
  */
 async function handleRemove(handler, config) {
     try {
@@ -273,63 +394,205 @@ async function handleRemove(handler, config) {
         const channel = handler.options?.getChannel();
         const role = handler.options?.getRole();
         
-        if (!channel || !role) {
-            throw new Error('Please specify both a valid voice channel and role.');
+        if (!channel) {
+            throw new Error('Please specify a valid voice channel.');
         }
 
         const channelId = channel.id;
-        const roleId = role.id;
+        const roleId = role?.id;
         
         logger.debug('[VC-CHANNEL] Processing remove request', {
             channelId,
             roleId,
             hasChannelRoles: !!config.channelRoles,
-            existingRole: config.channelRoles?.[channelId]
+            existingRoles: config.channelRoles?.[channelId]
         });
 
-        if (!config.channelRoles || !config.channelRoles[channelId]) {
+        const channelRoles = [].concat(config.channelRoles?.[channelId] || []);
+        if (channelRoles.length === 0) {
             throw new Error('No role is assigned to this channel.');
         }
 
-        // Verify the role matches
-        if (config.channelRoles[channelId] !== roleId) {
-            try {
-                const existingRole = await handler.reply.guild.roles.fetch(config.channelRoles[channelId]);
-                throw new Error(`This channel has a different role assigned (${existingRole || config.channelRoles[channelId]}).`);
-            } catch (fetchError) {
-                logger.error('[VC-CHANNEL] Failed to fetch existing role', { 
-                    error: fetchError.message,
-                    stack: fetchError.stack,
-                    roleId: config.channelRoles[channelId]
-                });
-                throw new Error(`This channel has a different role assigned (ID: ${config.channelRoles[channelId]}).`);
-            }
+        // Without a role, clear every assignment for the channel
+        if (!roleId) {
+            delete config.channelRoles[channelId];
+            delete config.channelFilters?.[channelId];
+            logger.debug('[VC-CHANNEL] Removed all roles from channel', { channelId, removed: channelRoles });
+            return {
+                message: `✅ Successfully removed ${channelRoles.map(id => `<@&${id}>`).join(', ')} from <#${channelId}>`,
+                deleteRoleIds: releaseCreatedRoles(config, channelRoles)
+            };
+        }
+
+        // Verify the role is assigned to the channel
+        if (!channelRoles.includes(roleId)) {
+            throw new Error(`<#${channelId}> does not grant <@&${roleId}>. Assigned roles: ${channelRoles.map(id => `<@&${id}>`).join(', ')}`);
         }
 
         // Remove the role from the channel
-        delete config.channelRoles[channelId];
+        const remainingRoles = channelRoles.filter(id => id !== roleId);
+        if (remainingRoles.length > 0) {
+            config.channelRoles[channelId] = remainingRoles;
+        } else {
+            delete config.channelRoles[channelId];
+            delete config.channelFilters?.[channelId];
+        }
         
         logger.debug('[VC-CHANNEL] Successfully removed role from channel', {
             channelId,
             roleId,
-            channelRoles: Object.keys(config.channelRoles || {})
+            remainingRoles
         });
     
-        await handler.reply(`✅ Successfully removed role <@&${roleId}> from <#${channelId}>`);
+        return {
+            message: `✅ Successfully removed role <@&${roleId}> from <#${channelId}>`,
+            deleteRoleIds: releaseCreatedRoles(config, [roleId])
+        };
     } catch (error) {
         logger.error('[VC-CHANNEL] Error in handleRemove', { 
             error: error.message,
             stack: error.stack,
             config: JSON.stringify(config, null, 2)
         });
-        
-        let errorMessage = error.message;
-        if (!errorMessage.startsWith('❌')) {
-            errorMessage = `❌ ${errorMessage}`;
+        throw error;
+    }
+}
+
+/**
+ * Stop tracking roles the bot created for a mapping once no channel grants them any more
+ * @param {VCConfig} config - Voice channel configuration, changed in place
+ * @param {string[]} roleIds - Role IDs that were just unmapped
+ * @returns {string[]} IDs of the roles to delete once the change is saved
+ */
+function releaseCreatedRoles(config, roleIds) {
+    const createdRoles = config.createdRoles || [];
+    const stillMapped = new Set([].concat(...Object.values(config.channelRoles || {})));
+    const released = roleIds.filter(id => createdRoles.includes(id) && !stillMapped.has(id));
+    if (released.length > 0) {
+        config.createdRoles = createdRoles.filter(id => !released.includes(id));
+    }
+    return released;
+}
+
+/**
+ * Delete roles from the guild
+ * @param {CommandHandler} handler - Command handler object
+ * @param {string[]} roleIds - Role IDs to delete
+ * @param {string} reason - Audit log reason
+ * @returns {Promise<{deleted: string[], failed: string[]}>} Roles deleted (or already gone) and roles that couldn't be
+ */
+async function deleteRoles(handler, roleIds, reason) {
+    if (roleIds.length === 0) {
+        return { deleted: [], failed: [] };
+    }
+
+    const guild = await handler.client?.guilds.fetch(handler.guildId).catch(() => null);
+    if (!guild) {
+        logger.warn('[VC-CHANNEL] Could not fetch guild to delete roles', { guildId: handler.guildId, roleIds });
+        return { deleted: [], failed: roleIds };
+    }
+
+    const deleted = [];
+    const failed = [];
+    for (const roleId of roleIds) {
+        try {
+            const role = await guild.roles.fetch(roleId).catch(() => null);
+            if (role) {
+                await role.delete(reason);
+            }
+            deleted.push(roleId);
+        } catch (error) {
+            logger.warn(`[VC-CHANNEL] Failed to delete role ${roleId}:`, error);
+            failed.push(roleId);
         }
-        
-        await handler.reply(errorMessage);
     }
+    return { deleted, failed };
+}
+
+/**
+ * Describe deleted roles for a reply message
+ * @param {string[]} deleted - IDs of deleted roles
+ * @param {string[]} [failed=[]] - IDs of roles that couldn't be deleted
+ * @returns {string} Text to append to the reply, empty if nothing was deleted
+ */
+function formatDeleted(deleted, failed = []) {
+    let text = deleted.length > 0
+        ? `\n🗑️ Deleted ${deleted.length} role(s) the bot had created for this channel`
+        : '';
+    if (failed.length > 0) {
+        text += `\n⚠️ Could not delete ${failed.map(id => `<@&${id}>`).join(', ')}, please delete it by hand`;
+    }
+    return text;
+}
+
+/**
+ * Read the eligibility filter options given to `add`
+ * @param {CommandHandler} handler - Command handler object
+ * @returns {?{requiredRole: ?string, excludedRole: ?string, minAccountAge: ?number, minServerAge: ?number}}
+ *   The options that were set, or null if none were
+ */
+function getFilterOptions(handler) {
+    const options = {
+        requiredRole: handler.options?.getRole('required-role')?.id ?? null,
+        excludedRole: handler.options?.getRole('excluded-role')?.id ?? null,
+        minAccountAge: handler.options?.getInteger?.('min-account-age') ?? null,
+        minServerAge: handler.options?.getInteger?.('min-server-age') ?? null
+    };
+    return Object.values(options).some(value => value !== null) ? options : null;
+}
+
+/**
+ * Merge filter options into a channel's stored filters. Roles are added to the
+ * existing lists; ages replace the stored value, with 0 clearing it.
+ * @param {VCConfig} config - Voice channel configuration
+ * @param {string} channelId - The mapped channel or category
+ * @param {Object} options - Options from getFilterOptions
+ * @returns {?import('../utils/vc-config').ChannelFilters} The channel's filters after the update
+ */
+function applyFilterOptions(config, channelId, options) {
+    const filters = normalizeChannelFilters(config.channelFilters);
+    const entry = filters[channelId] || { requiredRoles: [], excludedRoles: [], minAccountAgeDays: 0, minGuildDays: 0 };
+
+    if (options.requiredRole) {
+        entry.requiredRoles = [...new Set([...entry.requiredRoles, options.requiredRole])];
+    }
+    if (options.excludedRole) {
+        entry.excludedRoles = [...new Set([...entry.excludedRoles, options.excludedRole])];
+    }
+    if (options.minAccountAge !== null) {
+        entry.minAccountAgeDays = options.minAccountAge;
+    }
+    if (options.minServerAge !== null) {
+        entry.minGuildDays = options.minServerAge;
+    }
+
+    filters[channelId] = entry;
+    config.channelFilters = normalizeChannelFilters(filters);
+    return config.channelFilters[channelId] || null;
+}
+
+/**
+ * Describe a channel's filters, one per line
+ * @param {?import('../utils/vc-config').ChannelFilters} filters - The channel's filters
+ * @returns {string} Text to append to a reply or list entry, empty if there are no filters
+ */
+function formatFilters(filters) {
+    if (!filters) return '';
+
+    const lines = [];
+    if (filters.requiredRoles.length > 0) {
+        lines.push(`Requires: ${filters.requiredRoles.map(id => `<@&${id}>`).join(', ')}`);
+    }
+    if (filters.excludedRoles.length > 0) {
+        lines.push(`Excludes: ${filters.excludedRoles.map(id => `<@&${id}>`).join(', ')}`);
+    }
+    if (filters.minAccountAgeDays > 0) {
+        lines.push(`Account age: ${filters.minAccountAgeDays}+ days`);
+    }
+    if (filters.minGuildDays > 0) {
+        lines.push(`In server: ${filters.minGuildDays}+ days`);
+    }
+    return lines.map(line => `\n🔎 ${line}`).join('');
 }
 
 /**
@@ -384,25 +647,34 @@ async function handleList(handler, config) {
             throw new Error('Could not determine the guild. Please try again in a server channel.');
         }
 
-        // Fetch all channels and roles to display their names
-        const channelIds = Object.keys(config.channelRoles);
-        const channelPromises = channelIds.map(id => guild.channels.fetch(id).catch(() => null));
-        const channels = await Promise.all(channelPromises);
-
-        const roleIds = Object.values(config.channelRoles);
-        const rolePromises = roleIds.map(id => guild.roles.fetch(id).catch(() => null));
-        const roles = await Promise.all(rolePromises);
-
-        // Create field for each channel-role pair
-        channels.forEach((channel, index) => {
-            if (channel && roles[index]) {
-                embed.addFields({
-                    name: channel.name,
-                    value: `@${roles[index].name}`,
-                    inline: true
-                });
+        const channelFilters = normalizeChannelFilters(config.channelFilters);
+
+        // Create a field for each channel listing every role it grants and who may get them
+        for (const [channelId, roles] of Object.entries(config.channelRoles)) {
+            const channel = await guild.channels.fetch(channelId).catch(() => null);
+            const roleIds = [].concat(roles || []);
+            if (roleIds.length === 0) continue;
+
+            const roleNames = await Promise.all(
+                roleIds.map(async id => {
+                    const role = await guild.roles.fetch(id).catch(() => null);
+                    return role ? `@${role.name}` : `Unknown role (${id})`;
+                })
+            );
+
+            let fieldName = `Unknown channel (${channelId})`;
+            if (channel) {
+                fieldName = channel.type === ChannelType.GuildCategory
+                    ? `📁 ${channel.name} (category)`
+                    : channel.name;
             }
-        });
+
+            embed.addFields({
+                name: fieldName,
+                value: roleNames.join('\n') + formatFilters(channelFilters[channelId]),
+                inline: true
+            });
+        }
 
         await handler.reply({ embeds: [embed] });
     } catch (error) {
@@ -436,14 +708,6 @@ async function execute(interaction, client) {
             });
         }
 
-        // Check permissions
-        if (!(interaction.member instanceof GuildMember) || !interaction.member.permissions.has(PermissionFlagsBits.ManageRoles)) {
-            return interaction.reply({ 
-                content: '❌ You need the Manage Roles permission to use this command', 
-                ephemeral: true 
-            });
-        }
-
         // Check if this is a message-based command
         if (interaction.isMessage?.()) {
             return handleMessageCommand(interaction, client);
@@ -466,17 +730,21 @@ async function execute(interaction, client) {
             reply,
             options: {
                 getChannel: () => interaction.options.getChannel('channel'),
-                getRole: () => interaction.options.getRole('role')
+                getRole: (name = 'role') => interaction.options.getRole(name),
+                getBoolean: (name) => interaction.options.getBoolean(name),
+                getInteger: (name) => interaction.options.getInteger(name)
             }
         };
 
-        // Execute the appropriate subcommand
+        // Read-only subcommands run here; add and remove pick the handler that
+        // is applied to the latest stored config below
+        let mutate;
         switch (subcommand) {
             case 'add':
-                await handleAdd(handler, config);
+                mutate = handleAdd;
                 break;
             case 'remove':
-                await handleRemove(handler, config);
+                mutate = handleRemove;
                 break;
             case 'list':
                 await handleList(handler, config);
@@ -487,9 +755,12 @@ async function execute(interaction, client) {
                     .setDescription('Manage voice channel role assignments')
                     .addFields(
                         { name: 'Add Role to Channel', value: '`/vc-channel add channel:#channel role:@role`', inline: false },
-                        { name: 'Remove Role from Channel', value: '`/vc-channel remove channel:#channel role:@role`', inline: false },
+                        { name: 'Create a Role for a Channel', value: '`/vc-channel add channel:#channel create-role:true`', inline: false },
+                        { name: 'Filter Who Gets the Roles', value: '`/vc-channel add channel:#channel [required-role:@role] [excluded-role:@role] [min-account-age:days] [min-server-age:days]`', inline: false },
+                        { name: 'Remove Role from Channel', value: '`/vc-channel remove channel:#channel [role:@role]`', inline: false },
                         { name: 'List All Assignments', value: '`/vc-channel list`', inline: false }
                     )
+                    .setFooter({ text: 'Run add once per role to give a channel several roles. Pick a category to cover every voice channel in it.' })
                     .setColor('#3498db');
                 await reply({ embeds: [helpEmbed] });
                 return; // Help doesn't modify config, no need to save
@@ -497,32 +768,39 @@ async function execute(interaction, client) {
                 throw new Error('Unknown subcommand');
         }
         
-        // Save the updated config
+        // Verify client.config exists and has the required methods
+        if (!client.config || typeof client.config.updateVCConfig !== 'function') {
+            logger.error(`[VC-CHANNEL] Client config is missing or invalid:`, {
+                hasConfig: !!client.config,
+                configType: typeof client.config,
+                hasUpdateMethod: !!(client.config && client.config.updateVCConfig),
+                configKeys: client.config ? Object.keys(client.config) : 'no config',
+                clientConfig: JSON.stringify(client.config, null, 2)
+            });
+            throw new Error('Configuration system is not properly initialized. Please restart the bot.');
+        }
+
+        // Apply the change and save it under the guild's write lock, so two
+        // admins changing mappings at once can't overwrite each other
         try {
-            logger.debug(`[VC-CHANNEL] Saving config for guild ${guildId}`, {
-                config: config,
+            logger.debug(`[VC-CHANNEL] Updating config for guild ${guildId}`, {
                 guildId: guildId,
-                configKeys: Object.keys(config || {})
+                subcommand
             });
             
-            // Verify client.config exists and has the required methods
-            if (!client.config || typeof client.config.saveVCConfig !== 'function') {
-                logger.error(`[VC-CHANNEL] Client config is missing or invalid:`, {
-                    hasConfig: !!client.config,
-                    configType: typeof client.config,
-                    hasSaveMethod: !!(client.config && client.config.saveVCConfig),
-                    configKeys: client.config ? Object.keys(client.config) : 'no config',
-                    clientConfig: JSON.stringify(client.config, null, 2)
-                });
-                throw new Error('Configuration system not properly initialized');
-            }
-            
-            // Try to save the config
-            logger.debug(`[VC-CHANNEL] Calling saveVCConfig for guild ${guildId}`);
-            await client.config.saveVCConfig(guildId, config);
+            await saveMappingChange(handler, mutate, {
+                userId: interaction.user.id,
+                userTag: interaction.user.tag,
+                command: `/vc-channel ${subcommand}`
+            });
             logger.info(`[VC-CHANNEL] Successfully saved config for guild ${guildId}`);
             
         } catch (saveError) {
+            // The handler's own errors are already worded for the user
+            if (!saveError.saveFailed) {
+                throw saveError;
+            }
+
             logger.error(`[VC-CHANNEL] Failed to save config for guild ${guildId}:`, {
                 error: saveError.message,
                 stack: saveError.stack,
@@ -530,7 +808,7 @@ async function execute(interaction, client) {
                 guildId: guildId,
                 hasConfig: !!client.config,
                 configType: typeof client.config,
-                hasSaveMethod: !!(client.config && client.config.saveVCConfig)
+                hasUpdateMethod: !!(client.config && client.config.updateVCConfig)
             });
             
             // Log the full client object (without circular references)
@@ -585,7 +863,7 @@ async function execute(interaction, client) {
             errorMessage = 'Permission denied when trying to save configuration. Please check file permissions.';
         } else if (error.message.includes('ENOSPC')) {
             errorMessage = 'Not enough disk space to save configuration.';
-        } else if (error.message.includes('saveVCConfig')) {
+        } else if (error.message.includes('updateVCConfig')) {
             errorMessage = 'Failed to save configuration. The bot may not have the necessary permissions.';
         }
         
@@ -612,6 +890,7 @@ async function execute(interaction, client) {
 // Export the command data and execute function
 module.exports = {
     data,
+    permission: { permissions: ['ManageRoles'] },
     execute,
     // Message command support (legacy)
     messageCommand: {
@@ -621,7 +900,7 @@ module.exports = {
         aliases: ['vcc'],
         category: 'Moderation',
         guildOnly: true,
-        permissions: ['ManageRoles'],
+        permission: { permissions: ['ManageRoles'] },
         execute: handleMessageCommand
     }
 };
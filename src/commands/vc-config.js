@@ -1,5 +1,29 @@
-const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, GuildMember } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ChannelType, AttachmentBuilder } = require('discord.js');
 const logger = require('../utils/logger');
+const voiceRoleManager = require('../services/voiceRoleManager');
+const { EVENT_TYPES, normalizeLogging } = require('../services/voiceAuditLog');
+const { normalizeStateRules, normalizeChannelRoles, toRevisionState } = require('../utils/vc-config');
+const { createConfirmation } = require('../utils/interactionUtils');
+const { guildVoiceConfigSchema } = require('../config/schema');
+
+// Guild config keys covered by export and import; everything else (server
+// settings, temporary channels, bot-created role bookkeeping) is left alone
+const VOICE_CONFIG_KEYS = ['enabled', 'channelRoles', 'channelFilters', 'stateRoles', 'gracePeriod', 'hubChannels', 'logging', 'channels'];
+
+// Largest import file accepted, in bytes
+const MAX_IMPORT_SIZE = 256 * 1024;
+
+// Revisions listed by /vc-config history
+const HISTORY_PAGE_SIZE = 10;
+
+// Labels for the voice state details a state role rule can test, shown as
+// [label when true, label when false]
+const STATE_CONDITION_LABELS = {
+    streaming: ['Streaming', 'Not streaming'],
+    video: ['Camera on', 'Camera off'],
+    stageSpeaker: ['Stage speaker', 'Stage audience'],
+    selfMute: ['Self-muted', 'Not self-muted']
+};
 
 /**
  * Command to enable/disable voice channel role management
@@ -10,21 +34,39 @@ const logger = require('../utils/logger');
  * @typedef {Object} VCConfig
  * @property {boolean} enabled - Whether voice channel role management is enabled
  * @property {Object.<string, string[]>} [channelRoles] - Mapping of channel IDs to role IDs
+ * @property {number} [gracePeriod] - Seconds to wait before removing roles from a member who left voice
+ * @property {Object.<string, {nameTemplate?: string, userLimit?: number}>} [hubChannels] - Join-to-create hub channels
+ * @property {Object.<string, {ownerId: string, hubId: string, createdAt: number}>} [tempChannels] - Channels created from hubs
+ * @property {{log?: string}} [channels] - Guild channels; `log` receives voice activity
+ * @property {Object.<string, boolean>} [logging] - Which voice events are posted to the log channel
+ * @property {Array<{roleId: string, when: Object.<string, boolean>, channelIds: string[]}>} [stateRoles] - Roles granted by voice state details
  */
 
 /**
  * @typedef {Object} CommandHandler
  * @property {string} guildId - The ID of the guild
  * @property {function((string|Object)): Promise<void>} reply - Function to send a reply
+ * @property {function(): Promise<void>} [defer] - Defers the reply for slow subcommands
+ * @property {function(Object): Promise<boolean>} [confirm] - Asks for a button confirmation (see createConfirmation)
+ * @property {{userId: string, userTag: string, command: string}} [meta] - Who is running the command, recorded with saved changes
+ * @property {import('discord.js').Client} [client] - Discord client instance
  * @property {Object} [options] - Command options
  * @property {function(): string} [options.getSubcommand] - Gets the subcommand name
+ * @property {function(string): number|null} [options.getInteger] - Gets an integer option
+ * @property {function(string): string|null} [options.getString] - Gets a string option
+ * @property {function(string): import('discord.js').GuildChannel|null} [options.getChannel] - Gets a channel option
+ * @property {function(string): boolean|null} [options.getBoolean] - Gets a boolean option
+ * @property {function(string): import('discord.js').Role|null} [options.getRole] - Gets a role option
+ * @property {function(string): import('discord.js').Attachment|null} [options.getAttachment] - Gets an attachment option
  */
 
+// Longest grace period that can be configured, in seconds
+const MAX_GRACE_PERIOD = 3600;
+
 // Command data for slash command registration
 const data = new SlashCommandBuilder()
     .setName('vc-config')
     .setDescription('Configure voice channel role management')
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
     .addSubcommand(subcommand => subcommand
         .setName('enable')
         .setDescription('Enable voice channel role management'))
@@ -33,7 +75,154 @@ const data = new SlashCommandBuilder()
         .setDescription('Disable voice channel role management'))
     .addSubcommand(subcommand => subcommand
         .setName('status')
-        .setDescription('Show current voice channel role management status'));
+        .setDescription('Show current voice channel role management status'))
+    .addSubcommand(subcommand => subcommand
+        .setName('export')
+        .setDescription('Download this server\'s voice configuration as a JSON file'))
+    .addSubcommand(subcommand => subcommand
+        .setName('import')
+        .setDescription('Replace this server\'s voice configuration with an exported JSON file')
+        .addAttachmentOption(option => option
+            .setName('file')
+            .setDescription('A file created by /vc-config export')
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('history')
+        .setDescription('List recent changes to this server\'s voice configuration')
+        .addIntegerOption(option => option
+            .setName('revision')
+            .setDescription('Show what a single revision changed')
+            .setMinValue(1)
+            .setRequired(false)))
+    .addSubcommand(subcommand => subcommand
+        .setName('rollback')
+        .setDescription('Restore the voice configuration as it was after a revision')
+        .addIntegerOption(option => option
+            .setName('revision')
+            .setDescription('The revision to restore (see /vc-config history)')
+            .setMinValue(1)
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('simulate')
+        .setDescription('Preview which members would gain or lose voice roles, without changing anything')
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Channel or category of a proposed mapping change (omit to check the current mappings)')
+            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice, ChannelType.GuildCategory)
+            .setRequired(false))
+        .addRoleOption(option => option
+            .setName('role')
+            .setDescription('Role of the proposed mapping change (omit with change:remove to unmap the whole channel)')
+            .setRequired(false))
+        .addStringOption(option => option
+            .setName('change')
+            .setDescription('Whether the proposed mapping is added or removed (default add)')
+            .addChoices(
+                { name: 'Add mapping', value: 'add' },
+                { name: 'Remove mapping', value: 'remove' }
+            )
+            .setRequired(false)))
+    .addSubcommand(subcommand => subcommand
+        .setName('grace-period')
+        .setDescription('Set how long to wait before removing roles from members who leave voice')
+        .addIntegerOption(option => option
+            .setName('seconds')
+            .setDescription('Seconds to wait (0 removes roles immediately)')
+            .setMinValue(0)
+            .setMaxValue(MAX_GRACE_PERIOD)
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('logging')
+        .setDescription('Choose where and which voice activity is logged')
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('Text channel to post voice activity to')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false))
+        .addStringOption(option => option
+            .setName('event')
+            .setDescription('The event type to turn on or off')
+            .addChoices(
+                { name: 'All events', value: 'all' },
+                ...Object.entries(EVENT_TYPES).map(([value, { label }]) => ({ name: label, value }))
+            )
+            .setRequired(false))
+        .addBooleanOption(option => option
+            .setName('enabled')
+            .setDescription('Whether the event is logged (toggles it if omitted)')
+            .setRequired(false)))
+    .addSubcommandGroup(group => group
+        .setName('rule')
+        .setDescription('Manage roles granted by voice state (streaming, camera, stage, mute)')
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Grant a role while members in voice match a condition')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('The role to grant')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('condition')
+                .setDescription('The voice state to check')
+                .addChoices(
+                    { name: 'Streaming (Go Live)', value: 'streaming' },
+                    { name: 'Camera on', value: 'video' },
+                    { name: 'Stage speaker', value: 'stageSpeaker' },
+                    { name: 'Self-muted', value: 'selfMute' }
+                )
+                .setRequired(true))
+            .addBooleanOption(option => option
+                .setName('state')
+                .setDescription('Grant the role when the condition is false instead, e.g. stage audience (default true)')
+                .setRequired(false))
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('Only apply in this channel or category (defaults to any mapped channel)')
+                .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice, ChannelType.GuildCategory)
+                .setRequired(false)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Remove the state rule for a role')
+            .addRoleOption(option => option
+                .setName('role')
+                .setDescription('The role whose rule to remove')
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List voice state role rules')))
+    .addSubcommandGroup(group => group
+        .setName('hub')
+        .setDescription('Manage join-to-create hub channels')
+        .addSubcommand(subcommand => subcommand
+            .setName('add')
+            .setDescription('Make a voice channel a hub that creates a personal channel for whoever joins it')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('The hub voice channel')
+                .addChannelTypes(ChannelType.GuildVoice)
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('name')
+                .setDescription("Name for created channels; {user} becomes the owner's name")
+                .setMaxLength(100)
+                .setRequired(false))
+            .addIntegerOption(option => option
+                .setName('limit')
+                .setDescription('User limit for created channels (0 for none)')
+                .setMinValue(0)
+                .setMaxValue(99)
+                .setRequired(false)))
+        .addSubcommand(subcommand => subcommand
+            .setName('remove')
+            .setDescription('Stop a voice channel from acting as a hub')
+            .addChannelOption(option => option
+                .setName('channel')
+                .setDescription('The hub voice channel')
+                .addChannelTypes(ChannelType.GuildVoice)
+                .setRequired(true)))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List hub channels and their active temporary channels')));
 
 /**
  * Handle the 'enable' subcommand
@@ -85,6 +274,683 @@ async function handleDisable(handler, config) {
     }
 }
 
+/**
+ * Handle the 'grace-period' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleGracePeriod(handler, config) {
+    try {
+        const seconds = handler.options.getInteger('seconds');
+        config.gracePeriod = seconds;
+        await handler.reply({
+            content: seconds > 0
+                ? `✅ Voice roles will be removed ${seconds}s after a member leaves, unless they rejoin a mapped channel`
+                : '✅ Voice roles will be removed as soon as a member leaves',
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleGracePeriod:', error);
+        throw new Error('Failed to set the grace period');
+    }
+}
+
+/**
+ * Handle the 'logging' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleLogging(handler, config) {
+    try {
+        const channel = handler.options.getChannel('channel');
+        const event = handler.options.getString('event');
+        const enabled = handler.options.getBoolean('enabled');
+
+        if (channel) {
+            config.channels = { ...(config.channels || {}), log: channel.id };
+        }
+
+        const logging = normalizeLogging(config.logging);
+        if (event) {
+            const types = event === 'all' ? Object.keys(EVENT_TYPES) : [event];
+            const value = enabled ?? !types.every(type => logging[type]);
+            types.forEach(type => { logging[type] = value; });
+        }
+        config.logging = logging;
+
+        const logChannelId = config.channels?.log;
+        const embed = new EmbedBuilder()
+            .setTitle('Voice Activity Logging')
+            .setColor(logChannelId ? '#2ecc71' : '#95a5a6')
+            .setDescription(logChannelId
+                ? `Voice activity is posted to <#${logChannelId}>`
+                : 'No log channel is set. Pick one with the `channel` option to start logging.')
+            .addFields({
+                name: 'Events',
+                value: Object.entries(EVENT_TYPES)
+                    .map(([type, { label, emoji }]) => `${logging[type] ? '✅' : '❌'} ${emoji} ${label}`)
+                    .join('\n')
+            })
+            .setTimestamp();
+
+        await handler.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleLogging:', error);
+        throw new Error('Failed to update voice activity logging');
+    }
+}
+
+/**
+ * Describe a state role rule's conditions and scope
+ * @param {{when: Object.<string, boolean>, channelIds: string[]}} rule - The rule
+ * @returns {string} e.g. `Streaming in <#123>`
+ */
+function describeStateRule(rule) {
+    const conditions = Object.entries(rule.when)
+        .map(([condition, expected]) => STATE_CONDITION_LABELS[condition][expected ? 0 : 1])
+        .join(' and ');
+    const scope = rule.channelIds.length > 0
+        ? rule.channelIds.map(channelId => `<#${channelId}>`).join(', ')
+        : 'any mapped channel';
+    return `${conditions} in ${scope}`;
+}
+
+/**
+ * Handle the 'rule add' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleRuleAdd(handler, config) {
+    try {
+        const role = handler.options.getRole('role');
+        const condition = handler.options.getString('condition');
+        const expected = handler.options.getBoolean('state') ?? true;
+        const channel = handler.options.getChannel('channel');
+
+        // One rule per role; adding again replaces it
+        const rule = { roleId: role.id, when: { [condition]: expected }, channelIds: channel ? [channel.id] : [] };
+        config.stateRoles = [
+            ...normalizeStateRules(config.stateRoles).filter(existing => existing.roleId !== role.id),
+            rule
+        ];
+
+        const mapped = Object.values(config.channelRoles || {}).some(roleIds => [].concat(roleIds).includes(role.id));
+        await handler.reply({
+            content: `✅ <@&${role.id}> is granted while ${describeStateRule(rule)}` +
+                (mapped ? '\n⚠️ This role is also mapped to a channel; use a separate role so the two do not fight over it.' : ''),
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleRuleAdd:', error);
+        throw new Error('Failed to add the state role rule');
+    }
+}
+
+/**
+ * Handle the 'rule remove' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleRuleRemove(handler, config) {
+    try {
+        const role = handler.options.getRole('role');
+        const rules = normalizeStateRules(config.stateRoles);
+        const remaining = rules.filter(rule => rule.roleId !== role.id);
+
+        if (remaining.length === rules.length) {
+            await handler.reply({
+                content: `ℹ️ <@&${role.id}> has no state rule`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        config.stateRoles = remaining;
+        await handler.reply({
+            content: `✅ Removed the state rule for <@&${role.id}>. Members keep the role until the next reconciliation.`,
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleRuleRemove:', error);
+        throw new Error('Failed to remove the state role rule');
+    }
+}
+
+/**
+ * Handle the 'rule list' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleRuleList(handler, config) {
+    try {
+        const rules = normalizeStateRules(config.stateRoles);
+        const embed = new EmbedBuilder()
+            .setTitle('Voice State Role Rules')
+            .setColor('#3498db')
+            .setDescription(rules.length > 0
+                ? rules.map(rule => `<@&${rule.roleId}> — ${describeStateRule(rule)}`).join('\n')
+                : 'No state rules have been set up yet. Use `/vc-config rule add` to create one.')
+            .setTimestamp();
+
+        await handler.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleRuleList:', error);
+        throw new Error('Failed to list state role rules');
+    }
+}
+
+/**
+ * Handle the 'hub add' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleHubAdd(handler, config) {
+    try {
+        const channel = handler.options.getChannel('channel');
+        const nameTemplate = handler.options.getString('name');
+        const userLimit = handler.options.getInteger('limit');
+
+        config.hubChannels = {
+            ...(config.hubChannels || {}),
+            [channel.id]: {
+                ...(nameTemplate ? { nameTemplate } : {}),
+                ...(userLimit ? { userLimit } : {})
+            }
+        };
+
+        await handler.reply({
+            content: `✅ <#${channel.id}> is now a hub. Joining it creates a personal voice channel in the same category.`,
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleHubAdd:', error);
+        throw new Error('Failed to add the hub channel');
+    }
+}
+
+/**
+ * Handle the 'hub remove' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleHubRemove(handler, config) {
+    try {
+        const channel = handler.options.getChannel('channel');
+
+        if (!config.hubChannels?.[channel.id]) {
+            await handler.reply({
+                content: `ℹ️ <#${channel.id}> is not a hub`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        delete config.hubChannels[channel.id];
+        await handler.reply({
+            content: `✅ <#${channel.id}> is no longer a hub. Channels already created from it are deleted once empty.`,
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleHubRemove:', error);
+        throw new Error('Failed to remove the hub channel');
+    }
+}
+
+/**
+ * Handle the 'hub list' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleHubList(handler, config) {
+    try {
+        const hubs = Object.entries(config.hubChannels || {});
+        const tempChannels = Object.entries(config.tempChannels || {});
+
+        const embed = new EmbedBuilder()
+            .setTitle('Join-to-Create Hubs')
+            .setColor('#3498db')
+            .setTimestamp();
+
+        if (hubs.length === 0) {
+            embed.setDescription('No hub channels have been set up yet. Use `/vc-config hub add` to create one.');
+        }
+
+        for (const [hubId, settings] of hubs) {
+            const active = tempChannels
+                .filter(([, temp]) => temp.hubId === hubId)
+                .map(([channelId, temp]) => `<#${channelId}> (owner <@${temp.ownerId}>)`);
+
+            embed.addFields({
+                name: `🔊 ${handler.guild?.channels.cache.get(hubId)?.name || hubId}`,
+                value: [
+                    `Name: \`${settings.nameTemplate || "{user}'s Room"}\``,
+                    `Limit: ${settings.userLimit || 'None'}`,
+                    `Active: ${active.length > 0 ? active.join(', ') : 'None'}`
+                ].join('\n')
+            });
+        }
+
+        await handler.reply({
+            embeds: [embed],
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleHubList:', error);
+        throw new Error('Failed to list hub channels');
+    }
+}
+
+/**
+ * Pick the exportable voice settings out of a stored guild config, filling in
+ * schema defaults for settings that were never set
+ * @param {VCConfig} config - Voice channel configuration
+ * @returns {Object} The voice settings, with channel mappings in their array form
+ */
+function pickVoiceConfig(config) {
+    const { value: defaults } = guildVoiceConfigSchema.validate({});
+    const picked = {};
+    for (const key of VOICE_CONFIG_KEYS) {
+        picked[key] = config?.[key] !== undefined ? config[key] : defaults[key];
+    }
+    picked.channelRoles = normalizeChannelRoles(picked.channelRoles);
+    picked.channels = { log: config?.channels?.log || '' };
+    return picked;
+}
+
+/**
+ * Flatten a config into `path: value` entries so two configs can be compared
+ * line by line. Arrays are compared whole; empty arrays count as absent.
+ * @param {*} value - The value to flatten
+ * @param {string} [prefix=''] - Path of the value
+ * @param {Object.<string, string>} [out={}] - Accumulated entries
+ * @returns {Object.<string, string>} JSON-encoded values keyed by path
+ */
+function flattenConfig(value, prefix = '', out = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            flattenConfig(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+        out[prefix] = JSON.stringify(value);
+    }
+    return out;
+}
+
+/**
+ * Describe how an imported voice config differs from the current one
+ * @param {Object} current - The current voice settings
+ * @param {Object} next - The imported voice settings
+ * @returns {string[]} Diff lines, `-` for removed values and `+` for added ones
+ */
+function diffVoiceConfig(current, next) {
+    const before = flattenConfig(current);
+    const after = flattenConfig(next);
+    const lines = [];
+
+    for (const path of [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()) {
+        if (before[path] === after[path]) continue;
+        if (before[path] !== undefined) lines.push(`- ${path}: ${before[path]}`);
+        if (after[path] !== undefined) lines.push(`+ ${path}: ${after[path]}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Render diff lines as a code block that fits in an embed description
+ * @param {string[]} diff - Lines from diffVoiceConfig
+ * @returns {string} A `diff` code block
+ */
+function formatDiff(diff) {
+    let diffText = diff.join('\n');
+    if (diffText.length > 3900) {
+        diffText = `${diffText.slice(0, 3900)}\n… (${diff.length} lines in total)`;
+    }
+    return `\`\`\`diff\n${diffText}\n\`\`\``;
+}
+
+/**
+ * Handle the 'export' subcommand
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleExport(handler, config) {
+    try {
+        const exported = {
+            version: 1,
+            guildId: handler.guildId,
+            exportedAt: new Date().toISOString(),
+            ...pickVoiceConfig(config)
+        };
+        const file = new AttachmentBuilder(Buffer.from(JSON.stringify(exported, null, 2)), {
+            name: `voice-config-${handler.guildId}.json`
+        });
+
+        await handler.reply({
+            content: '📦 Voice configuration for this server. Edit it and load it back with `/vc-config import`.',
+            files: [file],
+            ephemeral: true
+        });
+    } catch (error) {
+        logger.error('Error in handleExport:', error);
+        throw new Error('Failed to export the voice configuration');
+    }
+}
+
+/**
+ * Handle the 'import' subcommand. Validates the file, shows what would change
+ * and only saves after the user confirms.
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleImport(handler, config) {
+    const attachment = handler.options.getAttachment('file');
+    if (attachment.size > MAX_IMPORT_SIZE) {
+        await handler.reply(`❌ The file is too large (limit ${MAX_IMPORT_SIZE / 1024} KB)`);
+        return;
+    }
+
+    await handler.defer();
+
+    let raw;
+    try {
+        const response = await fetch(attachment.url);
+        raw = JSON.parse(await response.text());
+    } catch (error) {
+        logger.warn(`[VC-CONFIG] Could not read import file ${attachment.name}:`, error.message);
+        await handler.reply('❌ The file is not valid JSON');
+        return;
+    }
+
+    const { value, error } = guildVoiceConfigSchema.validate(raw, { abortEarly: false });
+    if (error) {
+        const problems = error.details.slice(0, 10).map(detail => `• ${detail.message}`);
+        if (error.details.length > 10) problems.push(`…and ${error.details.length - 10} more`);
+        await handler.reply(`❌ The file is not a valid voice configuration:\n${problems.join('\n')}`);
+        return;
+    }
+
+    const next = pickVoiceConfig(value);
+    const diff = diffVoiceConfig(pickVoiceConfig(config), next);
+    if (diff.length === 0) {
+        await handler.reply('ℹ️ The file matches the current configuration, nothing to import');
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('Voice Configuration Import')
+        .setColor('#f1c40f')
+        .setDescription(formatDiff(diff))
+        .setTimestamp();
+    if (value.guildId && value.guildId !== handler.guildId) {
+        embed.setFooter({ text: `Exported from another server (${value.guildId}); channel and role IDs may not exist here` });
+    }
+
+    const confirmed = await handler.confirm({
+        question: 'Apply these changes? Keys missing from the file are reset to their defaults.',
+        embeds: [embed],
+        confirmLabel: 'Import'
+    });
+    if (!confirmed) {
+        await handler.reply({ content: 'Import cancelled, nothing was changed.', components: [] });
+        return;
+    }
+
+    // Apply to the latest stored config in case it changed while the confirmation was open
+    await handler.client.config.updateVCConfig(handler.guildId, (latest) => {
+        for (const key of VOICE_CONFIG_KEYS) {
+            latest[key] = key === 'channels' ? { ...(latest.channels || {}), log: next.channels.log } : next[key];
+        }
+    }, handler.meta);
+    logger.info(`[VC-CONFIG] Imported voice configuration for guild ${handler.guildId} (${diff.length} changed lines)`);
+
+    await handler.reply({ content: '✅ Voice configuration imported', components: [] });
+}
+
+/**
+ * Describe who made a revision, when and how
+ * @param {Object} entry - A revision from the config history
+ * @returns {string} e.g. `#4 <t:…:f> by <@123> via /vc-config enable`
+ */
+function describeRevision(entry) {
+    const author = entry.userId ? `<@${entry.userId}>` : 'the bot';
+    const via = entry.command ? ` via \`${entry.command}\`` : '';
+    return `**#${entry.revision}** <t:${Math.floor(entry.at / 1000)}:f> by ${author}${via}`;
+}
+
+/**
+ * Handle the 'history' subcommand. Lists recent revisions, or shows what a
+ * single revision changed.
+ * @param {CommandHandler} handler - Command handler object
+ */
+async function handleHistory(handler) {
+    try {
+        const revisionNumber = handler.options.getInteger('revision');
+
+        if (revisionNumber) {
+            const entry = await handler.client.config.getVCConfigRevision(handler.guildId, revisionNumber);
+            if (!entry) {
+                await handler.reply(`ℹ️ Revision #${revisionNumber} is not in the history`);
+                return;
+            }
+
+            const diff = diffVoiceConfig(entry.before || {}, entry.after);
+            const embed = new EmbedBuilder()
+                .setTitle(`Voice Configuration Revision #${entry.revision}`)
+                .setColor('#3498db')
+                .setDescription([
+                    describeRevision(entry),
+                    entry.before ? '' : 'Created the configuration.',
+                    diff.length > 0 ? formatDiff(diff) : 'No visible changes.'
+                ].filter(Boolean).join('\n'))
+                .setFooter({ text: `Restore it with /vc-config rollback revision:${entry.revision}` })
+                .setTimestamp(entry.at);
+
+            await handler.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        const history = await handler.client.config.getVCConfigHistory(handler.guildId);
+        const recent = history.slice(-HISTORY_PAGE_SIZE).reverse();
+        const lines = recent.map(entry => {
+            const changes = diffVoiceConfig(entry.before || {}, entry.after)
+                .filter(line => line.startsWith('+')).length;
+            return `${describeRevision(entry)} (${changes} setting${changes === 1 ? '' : 's'})`;
+        });
+        if (history.length > recent.length) {
+            lines.push(`…and ${history.length - recent.length} older revision(s)`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('Voice Configuration History')
+            .setColor('#3498db')
+            .setDescription(lines.length > 0
+                ? lines.join('\n')
+                : 'No changes have been recorded yet.')
+            .setFooter({ text: 'Show a revision with /vc-config history revision:<number>' })
+            .setTimestamp();
+
+        await handler.reply({ embeds: [embed], ephemeral: true });
+    } catch (error) {
+        logger.error('Error in handleHistory:', error);
+        throw new Error('Failed to read the configuration history');
+    }
+}
+
+/**
+ * Handle the 'rollback' subcommand. Shows what restoring a revision would
+ * change and saves it, as a new revision, once the user confirms.
+ * @param {CommandHandler} handler - Command handler object
+ * @param {VCConfig} config - Voice channel configuration
+ */
+async function handleRollback(handler, config) {
+    const revisionNumber = handler.options.getInteger('revision');
+    const entry = await handler.client.config.getVCConfigRevision(handler.guildId, revisionNumber);
+    if (!entry) {
+        await handler.reply(`ℹ️ Revision #${revisionNumber} is not in the history. Use \`/vc-config history\` to see the revisions that are kept.`);
+        return;
+    }
+
+    const diff = diffVoiceConfig(toRevisionState(config), entry.after);
+    if (diff.length === 0) {
+        await handler.reply(`ℹ️ The configuration already matches revision #${revisionNumber}`);
+        return;
+    }
+
+    await handler.defer();
+
+    const embed = new EmbedBuilder()
+        .setTitle(`Roll Back to Revision #${entry.revision}`)
+        .setColor('#f1c40f')
+        .setDescription(`${describeRevision(entry)}\n${formatDiff(diff)}`)
+        .setTimestamp();
+
+    const confirmed = await handler.confirm({
+        question: `Restore the configuration as it was after revision #${entry.revision}?`,
+        embeds: [embed],
+        confirmLabel: 'Roll back'
+    });
+    if (!confirmed) {
+        await handler.reply({ content: 'Rollback cancelled, nothing was changed.', components: [] });
+        return;
+    }
+
+    await handler.client.config.restoreVCConfig(handler.guildId, entry.after, {
+        ...handler.meta,
+        command: `/vc-config rollback revision:${entry.revision}`
+    });
+    logger.info(`[VC-CONFIG] Rolled back voice configuration for guild ${handler.guildId} to revision ${entry.revision}`);
+
+    await handler.reply({ content: `✅ Voice configuration restored to revision #${entry.revision}`, components: [] });
+}
+
+// Members listed individually in a simulation report
+const SIMULATE_MEMBER_LIMIT = 20;
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Join lines for an embed field, dropping the lines that don't fit and
+ * summarising them as `…and N more`
+ * @param {string[]} lines - The lines to show
+ * @param {number} [total=lines.length] - How many entries there are, when `lines` already leaves some out
+ * @returns {string} The field value
+ */
+function formatFieldLines(lines, total = lines.length) {
+    const summary = count => `…and ${count} more`;
+    // Leave room for the summary however many lines end up left out
+    const room = MAX_FIELD_LENGTH - summary(total).length - 1;
+
+    const kept = [];
+    let length = 0;
+    for (const [index, line] of lines.entries()) {
+        const next = length + (kept.length > 0 ? 1 : 0) + line.length;
+        // The very last entry needs no summary after it
+        const isLast = index === lines.length - 1 && total === lines.length;
+        if (next > (isLast ? MAX_FIELD_LENGTH : room)) break;
+        kept.push(line);
+        length = next;
+    }
+
+    if (kept.length < total) {
+        kept.push(summary(total - kept.length));
+    }
+    return kept.join('\n');
+}
+
+/**
+ * Handle the 'simulate' subcommand. Runs the same evaluation as reconciliation
+ * against either the current mappings or the current mappings with one change.
+ * @param {CommandHandler} handler - Command handler object
+ */
+async function handleSimulate(handler) {
+    try {
+        const channel = handler.options.getChannel('channel');
+        const role = handler.options.getRole('role');
+        const change = handler.options.getString('change') || 'add';
+
+        if ((role && !channel) || (channel && !role && change === 'add')) {
+            await handler.reply({
+                content: 'ℹ️ To preview a mapping change, pick both the channel and the role (the role can be left out when removing)',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Evaluating 5k members can take longer than Discord waits for a reply
+        await handler.defer();
+
+        const current = await voiceRoleManager.getGuildConfig(handler.guildId);
+        const channelRoles = Object.fromEntries(
+            Object.entries(current.channelRoles).map(([channelId, roleIds]) => [channelId, [...roleIds]])
+        );
+
+        let proposal = 'Current mappings';
+        if (channel) {
+            const roleIds = channelRoles[channel.id] || [];
+            if (change === 'add') {
+                channelRoles[channel.id] = [...new Set([...roleIds, role.id])];
+                proposal = `Adding <@&${role.id}> to <#${channel.id}>`;
+            } else {
+                channelRoles[channel.id] = role ? roleIds.filter(roleId => roleId !== role.id) : [];
+                if (channelRoles[channel.id].length === 0) delete channelRoles[channel.id];
+                proposal = role ? `Removing <@&${role.id}> from <#${channel.id}>` : `Removing every role from <#${channel.id}>`;
+            }
+        }
+
+        // Simulate as if enabled so mappings can be previewed before switching on
+        const config = { ...current, enabled: true, channelRoles };
+        const { changes, total } = await voiceRoleManager.evaluateVoiceRoles(handler.guild, config);
+
+        const roleTotals = new Map();
+        const count = (roleId, key) => {
+            const totals = roleTotals.get(roleId) || { add: 0, remove: 0 };
+            totals[key]++;
+            roleTotals.set(roleId, totals);
+        };
+        changes.forEach(({ add, remove }) => {
+            add.forEach(roleId => count(roleId, 'add'));
+            remove.forEach(roleId => count(roleId, 'remove'));
+        });
+
+        const memberLines = changes.slice(0, SIMULATE_MEMBER_LIMIT).map(({ member, add, remove }) =>
+            `<@${member.id}> ${[...add.map(id => `+<@&${id}>`), ...remove.map(id => `−<@&${id}>`)].join(' ')}`
+        );
+
+        const embed = new EmbedBuilder()
+            .setTitle('Voice Role Simulation')
+            .setColor('#f1c40f')
+            .setDescription([
+                `**${proposal}**`,
+                `Checked ${total} members against live voice states. Nothing was changed.`,
+                ...(current.enabled ? [] : ['⚠️ Voice role management is disabled; this is what would happen once enabled.'])
+            ].join('\n'))
+            .addFields(
+                {
+                    name: 'Roles',
+                    value: roleTotals.size > 0
+                        ? formatFieldLines([...roleTotals].map(([roleId, { add, remove }]) => `<@&${roleId}>: +${add} / −${remove}`))
+                        : 'No role changes'
+                },
+                {
+                    name: `Members (${changes.length})`,
+                    value: memberLines.length > 0 ? formatFieldLines(memberLines, changes.length) : 'Nobody would gain or lose a role'
+                }
+            )
+            .setTimestamp();
+
+        await handler.reply({ embeds: [embed] });
+    } catch (error) {
+        logger.error('Error in handleSimulate:', error);
+        throw new Error('Failed to simulate voice roles');
+    }
+}
+
 /**
  * Handle the 'status' subcommand
  * @param {CommandHandler} handler - Command handler object
@@ -102,13 +968,29 @@ async function handleStatus(handler, config) {
             }
         }
         
+        const gracePeriod = config.gracePeriod > 0 ? `${config.gracePeriod}s` : 'None';
+        const pendingRemovals = voiceRoleManager.getPendingRemovals(handler.guildId);
+        const queue = voiceRoleManager.getQueueMetrics(handler.guildId);
+        const pendingList = pendingRemovals
+            .slice(0, 10)
+            .map(({ userId, channelId, dueAt }) => `<@${userId}> from <#${channelId}> <t:${Math.ceil(dueAt / 1000)}:R>`);
+        if (pendingRemovals.length > pendingList.length) {
+            pendingList.push(`…and ${pendingRemovals.length - pendingList.length} more`);
+        }
+        
         const embed = new EmbedBuilder()
             .setTitle('Voice Channel Role Management Status')
             .setColor(config.enabled ? 0x00ff00 : 0xff0000)
             .addFields(
                 { name: 'Status', value: status, inline: true },
                 { name: 'Configured Channels', value: channelCount.toString(), inline: true },
-                { name: 'Total Role Assignments', value: roleCount.toString(), inline: true }
+                { name: 'Total Role Assignments', value: roleCount.toString(), inline: true },
+                { name: 'Grace Period', value: gracePeriod, inline: true },
+                { name: `Pending Removals (${pendingRemovals.length})`, value: pendingList.join('\n') || 'None' },
+                {
+                    name: 'Role Queue',
+                    value: `${queue.depth} queued • ${queue.processed} applied • ${queue.failed} failed • ${queue.rateLimited} rate limits`
+                }
             )
             .setTimestamp();
         
@@ -130,64 +1012,126 @@ async function handleStatus(handler, config) {
  */
 async function execute(interaction, client) {
     try {
-        // Check permissions
-        if (!(interaction.member instanceof GuildMember) || !interaction.member.permissions.has(PermissionFlagsBits.ManageRoles)) {
-            return interaction.reply({ 
-                content: '❌ You need the Manage Roles permission to use this command', 
-                ephemeral: true 
-            });
-        }
-
         const subcommand = interaction.options.getSubcommand();
+        const group = interaction.options.getSubcommandGroup(false);
         const guildId = interaction.guildId;
         
         if (!guildId) {
             throw new Error('This command can only be used in a server');
         }
         
+        const commandName = group ? `${group} ${subcommand}` : subcommand;
         const config = await client.config.getVCConfig(guildId);
-        const reply = (content) => interaction.reply(typeof content === 'string' ? { content, ephemeral: true } : content);
+        const reply = (content) => {
+            const payload = typeof content === 'string' ? { content, ephemeral: true } : content;
+            return interaction.deferred ? interaction.editReply(payload) : interaction.reply(payload);
+        };
 
         // Create handler for slash commands
         const handler = {
             guildId,
+            guild: interaction.guild,
+            client,
             reply,
+            defer: () => interaction.deferReply({ ephemeral: true }),
+            confirm: (options) => createConfirmation({ interaction, ...options }),
+            meta: {
+                userId: interaction.user.id,
+                userTag: interaction.user.tag,
+                command: `/vc-config ${commandName}`
+            },
             options: {
-                getSubcommand: () => subcommand
+                getSubcommand: () => subcommand,
+                getInteger: (name) => interaction.options.getInteger(name),
+                getString: (name) => interaction.options.getString(name),
+                getChannel: (name) => interaction.options.getChannel(name),
+                getBoolean: (name) => interaction.options.getBoolean(name),
+                getRole: (name) => interaction.options.getRole(name),
+                getAttachment: (name) => interaction.options.getAttachment(name)
             }
         };
 
-        // Execute the appropriate subcommand
-        switch (subcommand) {
+        // Read-only subcommands run here; changing ones pick the handler that
+        // is applied to the latest stored config below
+        let mutate;
+        switch (commandName) {
             case 'enable':
-                await handleEnable(handler, config);
+                mutate = handleEnable;
                 break;
             case 'disable':
-                await handleDisable(handler, config);
+                mutate = handleDisable;
+                break;
+            case 'grace-period':
+                mutate = handleGracePeriod;
+                break;
+            case 'logging':
+                mutate = handleLogging;
+                break;
+            case 'rule add':
+                mutate = handleRuleAdd;
+                break;
+            case 'rule remove':
+                mutate = handleRuleRemove;
                 break;
+            case 'rule list':
+                await handleRuleList(handler, config);
+                return; // Listing doesn't modify config, no need to save
+            case 'hub add':
+                mutate = handleHubAdd;
+                break;
+            case 'hub remove':
+                mutate = handleHubRemove;
+                break;
+            case 'hub list':
+                await handleHubList(handler, config);
+                return; // Listing doesn't modify config, no need to save
             case 'status':
                 await handleStatus(handler, config);
                 return; // Status doesn't modify config, no need to save
+            case 'simulate':
+                await handleSimulate(handler);
+                return; // Simulation never modifies config
+            case 'export':
+                await handleExport(handler, config);
+                return; // Export doesn't modify config, no need to save
+            case 'import':
+                await handleImport(handler, config);
+                return; // Import saves after confirmation
+            case 'history':
+                await handleHistory(handler);
+                return; // History doesn't modify config, no need to save
+            case 'rollback':
+                await handleRollback(handler, config);
+                return; // Rollback saves after confirmation
             default:
                 throw new Error('Unknown subcommand');
         }
         
-        // Save the updated config
+        // Apply the change and save it under the guild's write lock, so two
+        // admins changing settings at once can't overwrite each other
+        let handlerError = null;
         try {
-            logger.debug(`[VC-CONFIG] Saving config for guild ${guildId}`, {
-                config,
+            logger.debug(`[VC-CONFIG] Updating config for guild ${guildId}`, {
                 guildId,
-                configKeys: Object.keys(config || {})
+                subcommand: commandName
             });
             
             // Verify client.config exists and has the required methods
-            if (!client.config || typeof client.config.saveVCConfig !== 'function') {
+            if (!client.config || typeof client.config.updateVCConfig !== 'function') {
                 const error = new Error('Configuration method not available');
                 error.code = 'CONFIG_METHOD_MISSING';
                 throw error;
             }
             
-            await client.config.saveVCConfig(guildId, config);
+            await client.config.updateVCConfig(guildId, async (latest) => {
+                try {
+                    await mutate(handler, latest);
+                } catch (error) {
+                    // Leave the stored config untouched and report the handler's own error
+                    handlerError = error;
+                    return false;
+                }
+            }, handler.meta);
             logger.debug(`[VC-CONFIG] Successfully saved config for guild ${guildId}`);
         } catch (saveError) {
             logger.error(`[VC-CONFIG] Failed to save config for guild ${guildId}:`, {
@@ -195,7 +1139,7 @@ async function execute(interaction, client) {
                 stack: saveError.stack,
                 code: saveError.code,
                 guildId,
-                hasSaveMethod: !!(client.config && client.config.saveVCConfig),
+                hasUpdateMethod: !!(client.config && client.config.updateVCConfig),
                 configType: typeof client.config,
                 configKeys: client.config ? Object.keys(client.config) : 'no config'
             });
@@ -214,6 +1158,10 @@ async function execute(interaction, client) {
             
             throw new Error(errorMessage);
         }
+
+        if (handlerError) {
+            throw handlerError;
+        }
     } catch (error) {
         logger.error('Error in vc-config command:', {
             error: error.message,
@@ -258,6 +1206,7 @@ async function execute(interaction, client) {
 // Export the command data and execute function
 const command = {
     data,
+    permission: { permissions: ['ManageRoles'] },
     execute
 };
 
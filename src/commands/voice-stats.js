@@ -0,0 +1,183 @@
+const { SlashCommandBuilder, ChannelType, EmbedBuilder } = require('discord.js');
+const voiceSessionStore = require('../services/voiceSessionStore');
+const { WINDOWS } = require('../services/voiceSessionStore');
+const logger = require('../utils/logger');
+
+/**
+ * Command to show time spent in voice channels
+ * @module commands/voice-stats
+ */
+
+const WINDOW_LABELS = {
+    day: 'Last 24 hours',
+    week: 'Last 7 days',
+    month: 'Last 30 days'
+};
+
+// Command data for slash command registration
+const data = new SlashCommandBuilder()
+    .setName('voice-stats')
+    .setDescription('Show time spent in voice channels')
+    .setDMPermission(false)
+    .addSubcommand(subcommand => subcommand
+        .setName('user')
+        .setDescription('Show how long a member has spent in voice')
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('The member to look up (defaults to you)')
+            .setRequired(false)))
+    .addSubcommand(subcommand => subcommand
+        .setName('channel')
+        .setDescription('Show how much time members spent in a voice channel')
+        .addChannelOption(option => option
+            .setName('channel')
+            .setDescription('The voice channel to look up (omit for the busiest channels)')
+            .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)
+            .setRequired(false)));
+
+/**
+ * Format a duration in milliseconds as e.g. `3h 12m`
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+function formatDuration(ms) {
+    const totalMinutes = Math.floor((ms || 0) / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * Format a ranked list of durations, one line per entry
+ * @param {Array<{duration: number}>} rows - The rows to format
+ * @param {function(Object): string} label - Renders the label for a row
+ * @returns {string} The formatted list
+ */
+function formatRanking(rows, label) {
+    if (rows.length === 0) return 'No voice activity';
+    return rows.map((row, index) => `${index + 1}. ${label(row)} — ${formatDuration(row.duration)}`).join('\n');
+}
+
+/**
+ * Handle the 'user' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleUser(interaction) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const now = Date.now();
+
+    const embed = new EmbedBuilder()
+        .setTitle(`Voice Activity — ${user.username}`)
+        .setColor('#3498db')
+        .setThumbnail(user.displayAvatarURL())
+        .setTimestamp();
+
+    for (const [window, length] of Object.entries(WINDOWS)) {
+        const { total, channels } = voiceSessionStore.getUserTotals(interaction.guildId, user.id, now - length, { now, limit: 3 });
+        embed.addFields({
+            name: `${WINDOW_LABELS[window]}: ${formatDuration(total)}`,
+            value: formatRanking(channels, row => `<#${row.channelId}>`)
+        });
+    }
+
+    await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Handle the 'channel' subcommand
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ */
+async function handleChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const now = Date.now();
+
+    const embed = new EmbedBuilder()
+        .setTitle(channel ? `Voice Activity — ${channel.name}` : 'Busiest Voice Channels')
+        .setColor('#3498db')
+        .setTimestamp();
+
+    for (const [window, length] of Object.entries(WINDOWS)) {
+        if (channel) {
+            const { total, users } = voiceSessionStore.getChannelTotals(interaction.guildId, channel.id, now - length, { now, limit: 3 });
+            embed.addFields({
+                name: `${WINDOW_LABELS[window]}: ${formatDuration(total)}`,
+                value: formatRanking(users, row => `<@${row.userId}>`)
+            });
+        } else {
+            const channels = voiceSessionStore.getTopChannels(interaction.guildId, now - length, { now, limit: 5 });
+            embed.addFields({
+                name: WINDOW_LABELS[window],
+                value: formatRanking(channels, row => `<#${row.channelId}>`)
+            });
+        }
+    }
+
+    await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * Execute the command
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @returns {Promise<void>}
+ */
+async function execute(interaction) {
+    try {
+        if (!interaction.guildId) {
+            throw new Error('This command can only be used in a server');
+        }
+
+        if (!voiceSessionStore.enabled) {
+            return interaction.reply({
+                content: 'ℹ️ Voice session tracking is disabled. Enable the `database` section in bot-config.json to collect statistics.',
+                ephemeral: true
+            });
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        switch (subcommand) {
+            case 'user':
+                await handleUser(interaction);
+                break;
+            case 'channel':
+                await handleChannel(interaction);
+                break;
+            default:
+                throw new Error('Unknown subcommand');
+        }
+    } catch (error) {
+        logger.error('Error in voice-stats command:', {
+            error: error.message,
+            stack: error.stack,
+            guildId: interaction.guildId,
+            subcommand: interaction.options?.getSubcommand(false),
+            userId: interaction.user?.id
+        });
+
+        const replyContent = {
+            content: `❌ ${error.message || 'Failed to load voice statistics'}`,
+            ephemeral: true
+        };
+
+        try {
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(replyContent);
+            } else {
+                await interaction.reply(replyContent);
+            }
+        } catch (replyError) {
+            logger.error('Failed to send error reply:', {
+                originalError: error.message,
+                replyError: replyError.message
+            });
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute
+};
@@ -0,0 +1,170 @@
+const { SlashCommandBuilder } = require('discord.js');
+const tempChannelManager = require('../services/tempChannelManager');
+const logger = require('../utils/logger');
+
+/**
+ * Owner controls for temporary voice channels created from hubs
+ * @module commands/voice
+ */
+
+// Command data for slash command registration
+const data = new SlashCommandBuilder()
+    .setName('voice')
+    .setDescription('Manage the temporary voice channel you are in')
+    .setDMPermission(false)
+    .addSubcommand(subcommand => subcommand
+        .setName('lock')
+        .setDescription('Stop members who have not been permitted from joining'))
+    .addSubcommand(subcommand => subcommand
+        .setName('unlock')
+        .setDescription('Let anyone join the channel again'))
+    .addSubcommand(subcommand => subcommand
+        .setName('limit')
+        .setDescription('Set how many members can join the channel')
+        .addIntegerOption(option => option
+            .setName('limit')
+            .setDescription('Maximum number of members (0 for no limit)')
+            .setMinValue(0)
+            .setMaxValue(99)
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('rename')
+        .setDescription('Rename the channel')
+        .addStringOption(option => option
+            .setName('name')
+            .setDescription('The new channel name')
+            .setMaxLength(100)
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('permit')
+        .setDescription('Let a member join the channel, even while it is locked')
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('The member to permit')
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('reject')
+        .setDescription('Stop a member from joining the channel and disconnect them')
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('The member to reject')
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('transfer')
+        .setDescription('Give ownership of the channel to another member')
+        .addUserOption(option => option
+            .setName('user')
+            .setDescription('The new owner')
+            .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+        .setName('claim')
+        .setDescription('Take over the channel after its owner has left'))
+    .addSubcommand(subcommand => subcommand
+        .setName('panel')
+        .setDescription('Post the control panel for the channel'));
+
+/**
+ * Execute the command
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction - The interaction object
+ * @returns {Promise<void>}
+ */
+async function execute(interaction) {
+    try {
+        if (!interaction.guildId) {
+            throw new Error('This command can only be used in a server');
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        const member = interaction.member;
+
+        if (subcommand === 'claim') {
+            const channel = await tempChannelManager.claim(member);
+            return interaction.reply({
+                content: `👑 You now own <#${channel.id}>`,
+                ephemeral: true
+            });
+        }
+
+        const { channel, record } = await tempChannelManager.getOwnedChannel(member);
+        let content;
+
+        switch (subcommand) {
+            case 'lock':
+                await tempChannelManager.lock(channel);
+                content = `🔒 <#${channel.id}> is locked`;
+                break;
+            case 'unlock':
+                await tempChannelManager.unlock(channel);
+                content = `🔓 <#${channel.id}> is unlocked`;
+                break;
+            case 'limit': {
+                const limit = interaction.options.getInteger('limit');
+                await tempChannelManager.setLimit(channel, limit);
+                content = limit > 0
+                    ? `👥 <#${channel.id}> is limited to ${limit} member(s)`
+                    : `👥 Removed the user limit from <#${channel.id}>`;
+                break;
+            }
+            case 'rename': {
+                const renamed = await tempChannelManager.rename(channel, interaction.options.getString('name'));
+                content = `✏️ Renamed the channel to **${renamed.name}**`;
+                break;
+            }
+            case 'permit': {
+                const user = interaction.options.getUser('user');
+                await tempChannelManager.permit(channel, user);
+                content = `✅ <@${user.id}> can now join <#${channel.id}>`;
+                break;
+            }
+            case 'reject': {
+                const user = interaction.options.getUser('user');
+                await tempChannelManager.reject(channel, record, user);
+                content = `⛔ <@${user.id}> can no longer join <#${channel.id}>`;
+                break;
+            }
+            case 'transfer': {
+                const user = interaction.options.getUser('user');
+                await tempChannelManager.transfer(channel, record, user);
+                content = `👑 <@${user.id}> now owns <#${channel.id}>`;
+                break;
+            }
+            case 'panel':
+                return interaction.reply(tempChannelManager.buildControlPanel(channel));
+            default:
+                throw new Error('Unknown subcommand');
+        }
+
+        await interaction.reply({ content, ephemeral: true });
+    } catch (error) {
+        logger.error('Error in voice command:', {
+            error: error.message,
+            stack: error.stack,
+            guildId: interaction.guildId,
+            subcommand: interaction.options?.getSubcommand(false),
+            userId: interaction.user?.id
+        });
+
+        const replyContent = {
+            content: `❌ ${error.message || 'Failed to update the voice channel'}`,
+            ephemeral: true
+        };
+
+        try {
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(replyContent);
+            } else {
+                await interaction.reply(replyContent);
+            }
+        } catch (replyError) {
+            logger.error('Failed to send error reply:', {
+                originalError: error.message,
+                replyError: replyError.message
+            });
+        }
+    }
+}
+
+module.exports = {
+    data,
+    execute
+};
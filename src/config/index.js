@@ -1,118 +1,613 @@
+const fs = require('fs').promises;
 const path = require('path');
-const { readFile } = require('fs').promises;
-const { config: dotenvConfig } = require('dotenv');
-const Joi = require('joi');
+const { config: loadDotenv } = require('dotenv');
+const logger = require('../utils/logger');
+const VCConfig = require('../utils/vc-config');
 const { botConfigSchema, defaultConfig } = require('./schema');
 
 /**
- * Loads and validates configuration from file and environment variables
- * @returns {Promise<Object>} Validated configuration object
- * @throws {Error} If configuration is invalid
+ * The bot's configuration service. Settings are resolved from layered sources,
+ * each overriding the one before:
+ *
+ * 1. defaults from src/config/schema.js
+ * 2. config/bot-config.json
+ * 3. environment variables (see ENV_VARS)
+ * 4. per-guild overrides, stored under `overrides` in a guild's config, for the
+ *    keys in GUILD_OVERRIDABLE_KEYS
+ *
+ * The first three are merged and validated against the schema once when they
+ * are loaded; guild overrides are validated against the schema entry for their
+ * key when they are read. This is the only module that reads configuration.
+ * @module config
  */
-async function loadConfig() {
+
+const paths = {
+  configDir: path.join(process.cwd(), 'config'),
+  configFile: path.join(process.cwd(), 'config', 'bot-config.json')
+};
+
+/**
+ * Environment variables and the settings they override. `list` values are
+ * comma-separated.
+ * @type {Object.<string, {key: string, list?: boolean}>}
+ */
+const ENV_VARS = {
+  DISCORD_TOKEN: { key: 'bot.token' },
+  CLIENT_ID: { key: 'bot.clientId' },
+  GUILD_ID: { key: 'bot.guildId' },
+  TEST_GUILD_ID: { key: 'bot.testGuildId' },
+  BOT_PREFIX: { key: 'bot.prefix' },
+  NODE_ENV: { key: 'bot.environment' },
+  OWNER_ID: { key: 'permissions.ownerID' },
+  MOD_ROLE_ID: { key: 'permissions.moderatorRoles', list: true },
+  LOG_LEVEL: { key: 'logging.level' },
+  FEEDBACK_CHANNEL_ID: { key: 'channels.feedback' },
+  REPORT_CHANNEL_ID: { key: 'channels.reports' }
+};
+
+/**
+ * Settings a guild may override, along with everything beneath them
+ */
+const GUILD_OVERRIDABLE_KEYS = [
+  'bot.prefix',
+  'permissions.adminRoles',
+  'permissions.moderatorRoles',
+  'commandPermissions',
+  'channels',
+  'roles.voiceChannel.name',
+  'roles.voiceChannel.color',
+  'roles.voiceChannel.mentionable'
+];
+
+// Values never shown by explain()
+const SECRET_KEY_PATTERN = /token|secret|password/i;
+
+/**
+ * The resolved bot configuration (see src/config/schema.js for every setting)
+ * @typedef {Object} BotConfig
+ * @property {{token: string, clientId: string, guildId: string, testGuildId: string, prefix: string, version: string,
+ *   maxRetries: number, retryDelay: number, presenceUpdateInterval: number, environment: string}} bot
+ * @property {{ownerID: string, adminRoles: string[], moderatorRoles: string[]}} permissions
+ * @property {Object.<string, {level?: string, permissions?: string[]}>} commandPermissions - Who may use each command
+ * @property {{feedback: string, reports: string}} channels
+ * @property {Object} roles - Voice role settings under `roles.voiceChannel`
+ * @property {Object} events - Event handler switches
+ * @property {{level: string}} logging
+ * @property {{enabled: boolean, type: string, path: string, backup: Object}} database
+ * @property {Object} api
+ */
+
+/**
+ * Where a setting's value came from, as reported by explain()
+ * @typedef {Object} SettingExplanation
+ * @property {string} key - Dot path of the setting
+ * @property {*} value - The value in effect
+ * @property {'default'|'file'|'env'|'guild'} source - The layer the value came from
+ * @property {Array<{source: string, value: *, detail: string}>} layers - Every layer that sets it, lowest first
+ */
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Read a value by dot path
+ * @param {Object} object - The object to read
+ * @param {string} key - Dot path, e.g. `bot.prefix`
+ * @returns {*} The value, or undefined if any part of the path is missing
+ */
+function getPath(object, key) {
+  let value = object;
+  for (const part of key.split('.')) {
+    if (!isObject(value) || !(part in value)) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Set a value by dot path, creating objects along the way
+ * @param {Object} object - The object to change
+ * @param {string} key - Dot path, e.g. `bot.prefix`
+ * @param {*} value - The value to set
+ */
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  let target = object;
+  for (const part of parts.slice(0, -1)) {
+    if (!isObject(target[part])) target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Deep merge objects; arrays and other values from later sources replace earlier ones
+ * @param {...Object} sources - Objects to merge, lowest precedence first
+ * @returns {Object} A new merged object
+ */
+function deepMerge(...sources) {
+  const output = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      output[key] = isObject(value) && isObject(output[key])
+        ? deepMerge(output[key], value)
+        : (isObject(value) ? deepMerge(value) : value);
+    }
+  }
+  return output;
+}
+
+/**
+ * Turn a map of dot paths to values into a nested object
+ * @param {Object.<string, *>} flat - e.g. `{'bot.prefix': '?'}`
+ * @returns {Object} e.g. `{bot: {prefix: '?'}}`
+ */
+function expandPaths(flat) {
+  const output = {};
+  for (const [key, value] of Object.entries(flat)) {
+    setPath(output, key, value);
+  }
+  return output;
+}
+
+/**
+ * List the dot paths of every non-object value in an object
+ * @param {Object} object - The object to walk
+ * @param {string} [prefix] - Path of the object
+ * @returns {string[]}
+ */
+function leafPaths(object, prefix = '') {
+  return Object.entries(object || {}).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return isObject(value) && Object.keys(value).length > 0 ? leafPaths(value, keyPath) : [keyPath];
+  });
+}
+
+/**
+ * List the dot paths of the values that differ between two configurations
+ * @param {Object} before - The old configuration
+ * @param {Object} after - The new configuration
+ * @param {string} [prefix] - Path of the objects being compared
+ * @returns {string[]} e.g. `['logging.level', 'bot.presenceUpdateInterval']`
+ */
+function changedPaths(before, after, prefix = '') {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changed = [];
+
+  for (const key of keys) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (isObject(before?.[key]) && isObject(after?.[key])) {
+      changed.push(...changedPaths(before[key], after[key], keyPath));
+    } else if (JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])) {
+      changed.push(keyPath);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Check whether a guild may override a setting
+ * @param {string} key - Dot path of the setting
+ * @returns {boolean}
+ */
+function isGuildOverridable(key) {
+  return GUILD_OVERRIDABLE_KEYS.some(allowed => key === allowed || key.startsWith(`${allowed}.`));
+}
+
+/**
+ * Validate a value against the schema of one setting. Settings keyed by a
+ * pattern, such as `commandPermissions.<command>`, are checked through their parent.
+ * @param {string} key - Dot path of the setting
+ * @param {*} value - The value
+ * @returns {import('joi').ValidationResult}
+ * @throws {Error} If the schema has no such setting
+ */
+function validateSetting(key, value) {
   try {
-    // Load environment variables
-    dotenvConfig();
-
-    // Load config file
-    const configPath = path.join(process.cwd(), 'config', 'bot-config.json');
-    const configData = await readFile(configPath, 'utf8');
-    const configJson = JSON.parse(configData);
-
-    // Merge with defaults
-    const mergedConfig = deepMerge(defaultConfig, configJson);
-
-    // Validate against schema
-    const { error, value: validatedConfig } = botConfigSchema.validate(mergedConfig, {
-      abortEarly: false,
-      allowUnknown: true,
-      stripUnknown: true,
-    });
+    return botConfigSchema.extract(key).validate(value);
+  } catch (error) {
+    const separator = key.lastIndexOf('.');
+    if (separator === -1) throw error;
+    return botConfigSchema.extract(key.slice(0, separator)).validate({ [key.slice(separator + 1)]: value });
+  }
+}
 
-    if (error) {
-      const validationError = new Error('Configuration validation failed');
-      validationError.details = error.details.map(detail => ({
-        message: detail.message,
-        path: detail.path.join('.'),
-        type: detail.type,
-      }));
-      throw validationError;
+/**
+ * Build a validation error listing every problem Joi found
+ * @param {string} message - What was being validated
+ * @param {import('joi').ValidationError} error - The Joi error
+ * @returns {Error} An error with `details`
+ */
+function toValidationError(message, error) {
+  const validationError = new Error(`${message}: ${error.details.map(detail => detail.message).join('; ')}`);
+  validationError.details = error.details.map(detail => ({
+    message: detail.message,
+    path: detail.path.join('.'),
+    type: detail.type
+  }));
+  return validationError;
+}
+
+class ConfigService {
+  constructor() {
+    this.layers = { default: deepMerge(defaultConfig), file: {}, env: {} };
+    this.envSources = {}; // setting key -> environment variable name
+    /** @type {BotConfig} */
+    this.config = deepMerge(defaultConfig);
+    this.guildOverrides = new Map(); // guildId -> validated overrides
+    // The guild config store shared by every command and service
+    this.vcConfig = new VCConfig(paths.configDir);
+    // Whoever saves a guild config, its cached overrides are dropped
+    this.vcConfig.on('change', ({ guildId }) => this.invalidateGuildOverrides(guildId));
+  }
+
+  /**
+   * Load bot-config.json and the environment, and validate the result. A
+   * default bot-config.json is written if there is none.
+   * @returns {Promise<BotConfig>}
+   * @throws {Error} If the file isn't valid JSON or the settings fail validation
+   */
+  async load() {
+    loadDotenv();
+
+    let fileConfig;
+    try {
+      fileConfig = await this.readConfigFile();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      logger.warn(`[CONFIG] ${paths.configFile} not found, creating it with the defaults`);
+      await this.save();
+      fileConfig = {};
     }
 
-    // Override with environment variables if present
-    if (process.env.DISCORD_TOKEN || process.env.BOT_TOKEN) {
-      validatedConfig.bot.token = process.env.DISCORD_TOKEN || process.env.BOT_TOKEN;
+    this.apply(fileConfig);
+    logger.setLevel(this.get('logging.level'));
+    logger.info(`[CONFIG] Configuration loaded (environment: ${this.environment}; from the environment: ${Object.values(this.envSources).join(', ') || 'nothing'})`);
+    return this.config;
+  }
+
+  /**
+   * Re-read bot-config.json and apply it, after checking it against the schema
+   * in src/config/schema.js. The current settings are kept if the file can't be
+   * read, isn't valid JSON or fails validation.
+   * @returns {Promise<{previous: BotConfig, current: BotConfig, changed: string[]}>} The
+   *   settings before and after, and the dot paths of the values that changed
+   * @throws {Error} If the new file is rejected; validation errors carry `details`
+   */
+  async reload() {
+    const previous = this.config;
+    this.apply(await this.readConfigFile());
+    return { previous, current: this.config, changed: changedPaths(previous, this.config) };
+  }
+
+  /**
+   * Read and parse bot-config.json
+   * @private
+   * @returns {Promise<Object>}
+   */
+  async readConfigFile() {
+    const fileContent = await fs.readFile(paths.configFile, 'utf8');
+    if (!fileContent.trim()) {
+      throw new Error('Config file is empty');
     }
-    if (process.env.BOT_PREFIX) {
-      validatedConfig.bot.prefix = process.env.BOT_PREFIX;
+
+    try {
+      return JSON.parse(fileContent);
+    } catch (parseError) {
+      throw new Error(`Invalid JSON in configuration file: ${parseError.message}`);
     }
-    
-    // Ensure we have a token
-    if (!validatedConfig.bot.token) {
-      throw new Error('No bot token provided. Please set DISCORD_TOKEN in your .env file');
+  }
+
+  /**
+   * Layer the file and environment over the defaults, validate, and switch to
+   * the result; nothing changes if validation fails
+   * @private
+   * @param {Object} fileConfig - The parsed bot-config.json
+   * @throws {Error} If the merged settings fail validation
+   */
+  apply(fileConfig) {
+    const { env, sources } = this.readEnvironment();
+    const merged = deepMerge(this.layers.default, fileConfig, env);
+
+    const { error } = botConfigSchema.validate(merged, { abortEarly: false, allowUnknown: true });
+    if (error) {
+      throw toValidationError('Configuration validation failed', error);
     }
-    if (process.env.NODE_ENV) {
-      validatedConfig.bot.environment = process.env.NODE_ENV;
+
+    this.layers.file = fileConfig;
+    this.layers.env = env;
+    this.envSources = sources;
+    this.config = merged;
+  }
+
+  /**
+   * Collect the settings given by environment variables
+   * @private
+   * @returns {{env: Object, sources: Object.<string, string>}} The settings, and the
+   *   variable each came from
+   */
+  readEnvironment() {
+    const env = {};
+    const sources = {};
+    for (const [name, { key, list }] of Object.entries(ENV_VARS)) {
+      const raw = process.env[name];
+      if (raw === undefined || raw === '') continue;
+      setPath(env, key, list ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw);
+      sources[key] = name;
     }
+    return { env, sources };
+  }
 
-    return validatedConfig;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      throw new Error(`Configuration file not found at ${error.path}`);
+  /**
+   * Write bot-config.json with the default settings
+   * @returns {Promise<boolean>}
+   */
+  async save() {
+    try {
+      await fs.mkdir(paths.configDir, { recursive: true });
+      await fs.writeFile(paths.configFile, JSON.stringify(this.layers.default, null, 2), 'utf8');
+      logger.info(`[CONFIG] Configuration saved to ${paths.configFile}`);
+      return true;
+    } catch (error) {
+      logger.error('[CONFIG] Failed to save configuration:', error);
+      throw error;
     }
-    if (error instanceof SyntaxError) {
-      throw new Error(`Invalid JSON in configuration file: ${error.message}`);
+  }
+
+  /**
+   * Get a setting by dot path
+   * @param {string} key - Dot path to the setting, e.g. `bot.prefix`
+   * @param {*} [defaultValue] - Returned if the setting isn't set
+   * @returns {*}
+   */
+  get(key, defaultValue = undefined) {
+    const value = getPath(this.config, key);
+    return value !== undefined ? value : defaultValue;
+  }
+
+  /**
+   * Get a setting for a guild, applying the guild's overrides
+   * @param {?string} guildId - The guild ID; without one this is the same as get()
+   * @param {string} key - Dot path to the setting
+   * @param {*} [defaultValue] - Returned if the setting isn't set
+   * @returns {Promise<*>}
+   */
+  async getForGuild(guildId, key, defaultValue = undefined) {
+    const overrides = guildId ? await this.getGuildOverrides(guildId) : {};
+    if (Object.keys(overrides).length === 0) {
+      return this.get(key, defaultValue);
     }
-    throw error;
+
+    const value = getPath(deepMerge(this.config, expandPaths(overrides)), key);
+    return value !== undefined ? value : defaultValue;
   }
-}
 
-/**
- * Deep merge two objects
- * @param {Object} target - Target object
- * @param {Object} source - Source object
- * @returns {Object} Merged object
- */
-function deepMerge(target, source) {
-  const output = { ...target };
-  
-  if (isObject(target) && isObject(source)) {
-    Object.keys(source).forEach(key => {
-      if (isObject(source[key])) {
-        if (!(key in target)) {
-          Object.assign(output, { [key]: source[key] });
-        } else {
-          output[key] = deepMerge(target[key], source[key]);
-        }
+  /**
+   * Load a guild's valid overrides; invalid ones are logged and ignored
+   * @private
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Object.<string, *>>} Override values by dot path
+   */
+  async getGuildOverrides(guildId) {
+    if (this.guildOverrides.has(guildId)) {
+      return this.guildOverrides.get(guildId);
+    }
+
+    const overrides = {};
+    const stored = (await this.vcConfig.readVCConfig(guildId))?.overrides;
+    for (const [key, value] of Object.entries(isObject(stored) ? stored : {})) {
+      if (!isGuildOverridable(key)) {
+        logger.warn(`[CONFIG] Ignoring override of ${key} for guild ${guildId}, it can't be set per guild`);
+        continue;
+      }
+
+      let error;
+      try {
+        ({ error } = validateSetting(key, value));
+      } catch (unknownError) {
+        logger.warn(`[CONFIG] Ignoring override of unknown setting ${key} for guild ${guildId}`);
+        continue;
+      }
+
+      if (error) {
+        logger.warn(`[CONFIG] Ignoring override of ${key} for guild ${guildId}: ${error.message}`);
+        continue;
+      }
+      overrides[key] = value;
+    }
+
+    this.guildOverrides.set(guildId, overrides);
+    return overrides;
+  }
+
+  /**
+   * Drop a guild's cached overrides so the next lookup reads them again
+   * @param {string} guildId - The guild ID
+   */
+  invalidateGuildOverrides(guildId) {
+    this.guildOverrides.delete(guildId);
+  }
+
+  /**
+   * Set or remove a guild's override of a setting, saved with the guild's config
+   * @param {string} guildId - The guild ID
+   * @param {string} key - Dot path of the setting, within GUILD_OVERRIDABLE_KEYS
+   * @param {*} value - The value; undefined removes the override
+   * @param {Object} [meta] - Who made the change and with which command, for the history
+   * @returns {Promise<boolean>} False if there was no override to remove
+   * @throws {Error} If the setting can't be set per guild or the value fails the schema
+   */
+  async setGuildOverride(guildId, key, value, meta) {
+    if (!isGuildOverridable(key)) {
+      throw new Error(`${key} can't be set per guild`);
+    }
+    if (value !== undefined) {
+      const { error } = validateSetting(key, value);
+      if (error) {
+        throw toValidationError(`Invalid value for ${key}`, error);
+      }
+    }
+
+    let changed = false;
+    await this.vcConfig.updateVCConfig(guildId, (latest) => {
+      const overrides = isObject(latest.overrides) ? { ...latest.overrides } : {};
+      if (value === undefined) {
+        if (!(key in overrides)) return false;
+        delete overrides[key];
       } else {
-        Object.assign(output, { [key]: source[key] });
+        overrides[key] = value;
       }
+      latest.overrides = overrides;
+      changed = true;
+    }, meta);
+    return changed;
+  }
+
+  /**
+   * Explain where a setting, or every setting beneath a key, gets its value
+   * @param {string} key - Dot path to a setting or a group such as `bot`
+   * @param {?string} [guildId] - Include this guild's overrides
+   * @returns {Promise<SettingExplanation[]>} One entry per setting, empty if the key is unknown
+   */
+  async explain(key, guildId = null) {
+    const overrides = guildId ? await this.getGuildOverrides(guildId) : {};
+    const layers = [
+      { source: 'default', values: this.layers.default, detail: () => 'src/config/schema.js' },
+      { source: 'file', values: this.layers.file, detail: () => 'config/bot-config.json' },
+      { source: 'env', values: this.layers.env, detail: settingKey => this.envSources[settingKey] },
+      { source: 'guild', values: expandPaths(overrides), detail: () => `overrides of guild ${guildId}` }
+    ];
+
+    const settingKeys = new Set();
+    for (const layer of layers) {
+      const value = getPath(layer.values, key);
+      if (value === undefined) continue;
+      (isObject(value) ? leafPaths(value, key) : [key]).forEach(settingKey => settingKeys.add(settingKey));
+    }
+
+    return [...settingKeys].sort().map(settingKey => {
+      const setBy = layers
+        .map(layer => ({ source: layer.source, value: getPath(layer.values, settingKey), detail: layer.detail(settingKey) }))
+        .filter(layer => layer.value !== undefined && !(isObject(layer.value) && Object.keys(layer.value).length > 0));
+      const effective = setBy[setBy.length - 1];
+      // Never echo credentials back, only whether they are set
+      const redact = SECRET_KEY_PATTERN.test(settingKey)
+        ? value => (value ? '(set)' : '(empty)')
+        : value => value;
+
+      return {
+        key: settingKey,
+        value: redact(effective.value),
+        source: effective.source,
+        layers: setBy.map(layer => ({ ...layer, value: redact(layer.value) }))
+      };
     });
   }
-  
-  return output;
-}
 
-/**
- * Check if value is a plain object
- * @param {*} item - Value to check
- * @returns {boolean} True if value is a plain object
- */
-function isObject(item) {
-  return item && typeof item === 'object' && !Array.isArray(item);
-}
+  /**
+   * List the dot path of every setting, for autocompletion
+   * @returns {string[]}
+   */
+  keys() {
+    return leafPaths(this.config).sort();
+  }
 
-// Export a singleton instance of the config
-let configInstance;
+  /**
+   * The runtime environment, from NODE_ENV or `bot.environment`
+   * @type {string}
+   */
+  get environment() {
+    return this.get('bot.environment', 'development');
+  }
 
-async function getConfig() {
-  if (!configInstance) {
-    configInstance = await loadConfig();
+  /**
+   * @returns {boolean} Whether the bot runs in development
+   */
+  isDev() {
+    return this.environment === 'development';
+  }
+
+  /**
+   * @returns {boolean} Whether the bot runs in production
+   */
+  isProd() {
+    return this.environment === 'production';
+  }
+
+  /**
+   * @returns {boolean} Whether the bot runs under tests
+   */
+  isTest() {
+    return this.environment === 'test' || this.environment === 'testing';
+  }
+
+  /**
+   * Get VC configuration for a guild
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Object>} The VC configuration
+   */
+  async getVCConfig(guildId) {
+    return this.vcConfig.getVCConfig(guildId);
+  }
+
+  /**
+   * Save VC configuration for a guild
+   * @param {string} guildId - The guild ID
+   * @param {Object} config - The configuration to save
+   * @param {Object} [meta] - Who made the change and with which command, for the history
+   * @returns {Promise<void>}
+   */
+  async saveVCConfig(guildId, config, meta) {
+    return this.vcConfig.saveVCConfig(guildId, config, meta);
+  }
+
+  /**
+   * Read, change and save a guild's VC configuration under its write lock
+   * @param {string} guildId - The guild ID
+   * @param {function(Object): (void|boolean|Promise<void|boolean>)} mutate - Changes the config in place;
+   *   returning false skips the save
+   * @param {Object} [meta] - Who made the change and with which command, for the history
+   * @returns {Promise<Object>} The updated configuration
+   */
+  async updateVCConfig(guildId, mutate, meta) {
+    return this.vcConfig.updateVCConfig(guildId, mutate, meta);
+  }
+
+  /**
+   * Replace a guild's VC settings with an earlier copy, keeping its runtime bookkeeping
+   * @param {string} guildId - The guild ID
+   * @param {Object} settings - The settings to restore
+   * @param {Object} [meta] - Who made the change and with which command, for the history
+   * @returns {Promise<Object>} The restored configuration
+   */
+  async restoreVCConfig(guildId, settings, meta) {
+    return this.vcConfig.restoreVCConfig(guildId, settings, meta);
+  }
+
+  /**
+   * Get the recorded revisions of a guild's VC configuration, oldest first
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<Object[]>} The revisions
+   */
+  async getVCConfigHistory(guildId) {
+    return this.vcConfig.getHistory(guildId);
+  }
+
+  /**
+   * Get a single revision of a guild's VC configuration
+   * @param {string} guildId - The guild ID
+   * @param {number} revision - The revision number
+   * @returns {Promise<?Object>} The revision, or null if it isn't in the history
+   */
+  async getVCConfigRevision(guildId, revision) {
+    return this.vcConfig.getRevision(guildId, revision);
   }
-  return configInstance;
 }
 
-module.exports = {
-  getConfig,
-  loadConfig,
-};
+// Create and export a singleton instance
+const config = new ConfigService();
+
+module.exports = config;
+module.exports.config = config;
+module.exports.ConfigService = ConfigService;
+module.exports.ENV_VARS = ENV_VARS;
+module.exports.GUILD_OVERRIDABLE_KEYS = GUILD_OVERRIDABLE_KEYS;
@@ -1,27 +1,56 @@
 const Joi = require('joi');
+const { PermissionFlagsBits } = require('discord.js');
+const { parseInterval } = require('../services/configBackup');
+
+const snowflake = Joi.string().pattern(/^\d{17,20}$/, 'Discord ID');
+
+/**
+ * Command permission levels, lowest first (see src/utils/permissions.js)
+ */
+const PERMISSION_LEVELS = ['everyone', 'moderator', 'admin', 'owner'];
+
+/**
+ * Schema for who may use a command, as declared by the command or overridden
+ * under `commandPermissions`
+ */
+const commandPermissionSchema = Joi.object({
+  level: Joi.string().valid(...PERMISSION_LEVELS).description('Lowest permission level allowed'),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...Object.keys(PermissionFlagsBits)))
+    .unique()
+    .description('Discord permissions the member also needs, e.g. ManageRoles'),
+}).min(1);
 
 /**
  * Schema for validating bot configuration
  */
 const botConfigSchema = Joi.object({
   bot: Joi.object({
-    token: Joi.string().optional().description('Discord bot token (can also be provided via DISCORD_TOKEN env var)'),
-    prefix: Joi.string().default('/').description('Command prefix'),
+    token: Joi.string().allow('').optional().description('Discord bot token (can also be provided via DISCORD_TOKEN env var)'),
+    clientId: Joi.string().allow('').optional().description('Discord application ID (CLIENT_ID env var)'),
+    guildId: Joi.string().allow('').optional().description('Development guild ID (GUILD_ID env var)'),
+    testGuildId: Joi.string().allow('').optional().description('Guild the command handler registers commands in instead of globally (TEST_GUILD_ID env var)'),
+    prefix: Joi.string().default('!').description('Prefix for message commands'),
     version: Joi.string().default('1.0.0').description('Bot version'),
     maxRetries: Joi.number().default(3).description('Maximum retry attempts for operations'),
     retryDelay: Joi.number().default(2000).description('Delay between retries in ms'),
     presenceUpdateInterval: Joi.number().default(120000).description('Presence update interval in ms'),
     environment: Joi.string()
-      .valid('development', 'testing', 'production')
+      .valid('development', 'testing', 'test', 'production')
       .default('development')
       .description('Runtime environment'),
   }).required(),
   
   permissions: Joi.object({
-    ownerID: Joi.string().required().description('Bot owner user ID'),
+    ownerID: Joi.string().allow('').required().description('Bot owner user ID'),
     adminRoles: Joi.array().items(Joi.string()).default([]).description('Role IDs with admin permissions'),
     moderatorRoles: Joi.array().items(Joi.string()).default([]).description('Role IDs with moderator permissions'),
   }).required(),
+
+  commandPermissions: Joi.object()
+    .pattern(/^[\w-]{1,32}$/, commandPermissionSchema)
+    .default({})
+    .description('Who may use each command, replacing what the command declares'),
   
   roles: Joi.object({
     voiceChannel: Joi.object({
@@ -29,10 +58,20 @@ const botConfigSchema = Joi.object({
       color: Joi.string().default('#00ff00').description('Voice channel role color'),
       mentionable: Joi.boolean().default(true).description('Whether the role is mentionable'),
       enabled: Joi.boolean().default(true).description('Whether voice channel role management is enabled'),
-      autoRemove: Joi.boolean().default(true).description('Automatically remove role when leaving voice')
+      autoRemove: Joi.boolean().default(true).description('Automatically remove role when leaving voice'),
+      reconcileOnStartup: Joi.boolean().default(true).description('Reconcile voice roles against live voice states when the bot starts'),
+      // A timer can't wait longer than 2^31-1 ms, and reconciling more than once a minute only adds API load
+      reconcileInterval: Joi.alternatives(Joi.number().valid(0), Joi.number().integer().min(60000).max(2147483647))
+        .default(900000)
+        .description('Voice role reconciliation interval in ms, from 60000 to 2147483647 (0 to disable)')
     }).default(),
   }).default(),
   
+  channels: Joi.object({
+    feedback: Joi.alternatives(snowflake, Joi.string().valid('')).default('').description('Channel that receives feedback submissions'),
+    reports: Joi.alternatives(snowflake, Joi.string().valid('')).default('').description('Channel that receives user reports'),
+  }).default(),
+  
   events: Joi.object({
     voiceStateUpdate: Joi.object({
       enabled: Joi.boolean().default(true).description('Enable voice state update handling'),
@@ -42,7 +81,7 @@ const botConfigSchema = Joi.object({
   
   logging: Joi.object({
     level: Joi.string()
-      .valid('error', 'warn', 'info', 'debug', 'trace')
+      .valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly', 'trace')
       .default('info')
       .description('Logging level'),
     file: Joi.string().default('logs/combined.log').description('Log file path'),
@@ -51,6 +90,24 @@ const botConfigSchema = Joi.object({
     maxFiles: Joi.number().default(14).description('Maximum number of log files to keep'),
   }).default(),
   
+  database: Joi.object({
+    enabled: Joi.boolean().default(false).description('Enable the local database'),
+    type: Joi.string().valid('sqlite', 'json').default('sqlite').description('Database type; guild configs stay in JSON files unless this is sqlite'),
+    path: Joi.string().default('./data/bot.db').description('Database file path'),
+    backup: Joi.object({
+      enabled: Joi.boolean().default(true).description('Enable scheduled backups'),
+      interval: Joi.string()
+        .custom(value => {
+          parseInterval(value);
+          return value;
+        })
+        .default('1d')
+        .description('Backup interval, e.g. 12h or 1d, at most 24d'),
+      keepLast: Joi.number().min(1).default(7).description('Number of backups to keep'),
+      directory: Joi.string().default('./data/backups').description('Directory backups are written to'),
+    }).default(),
+  }).default(),
+  
   api: Joi.object({
     enabled: Joi.boolean().default(false).description('Enable REST API'),
     port: Joi.number().default(3000).description('API server port'),
@@ -62,12 +119,75 @@ const botConfigSchema = Joi.object({
   }).default(),
 }).required();
 
+/**
+ * Schema for the voice settings stored in a guild config (config/guilds/<id>.json),
+ * as exported and imported by `/vc-config export` and `/vc-config import`.
+ * Runtime state such as temporary channels is not part of it.
+ */
+const guildVoiceConfigSchema = Joi.object({
+  version: Joi.number().integer().valid(1).default(1).description('Export format version'),
+  guildId: snowflake.optional().description('Guild the config was exported from'),
+  exportedAt: Joi.string().isoDate().optional().description('When the config was exported'),
+  enabled: Joi.boolean().default(true).description('Whether voice channel role management is enabled'),
+  channelRoles: Joi.object()
+    .pattern(snowflake, Joi.alternatives(snowflake, Joi.array().items(snowflake).min(1).unique()))
+    .default({})
+    .description('Role IDs granted by each voice channel or category'),
+  channelFilters: Joi.object()
+    .pattern(snowflake, Joi.object({
+      requiredRoles: Joi.array().items(snowflake).unique().default([]),
+      excludedRoles: Joi.array().items(snowflake).unique().default([]),
+      minAccountAgeDays: Joi.number().integer().min(0).default(0),
+      minGuildDays: Joi.number().integer().min(0).default(0)
+    }))
+    .default({})
+    .description('Eligibility filters for each channel mapping'),
+  stateRoles: Joi.array()
+    .items(Joi.object({
+      roleId: snowflake.required(),
+      when: Joi.object({
+        streaming: Joi.boolean(),
+        video: Joi.boolean(),
+        stageSpeaker: Joi.boolean(),
+        selfMute: Joi.boolean()
+      }).min(1).required(),
+      channelIds: Joi.array().items(snowflake).unique().default([])
+    }))
+    .unique('roleId')
+    .default([])
+    .description('Roles granted by voice state details'),
+  gracePeriod: Joi.number().integer().min(0).max(3600).default(0).description('Seconds before removing roles from members who left'),
+  hubChannels: Joi.object()
+    .pattern(snowflake, Joi.object({
+      nameTemplate: Joi.string().max(100),
+      userLimit: Joi.number().integer().min(0).max(99)
+    }))
+    .default({})
+    .description('Join-to-create hub channels'),
+  logging: Joi.object({
+    join: Joi.boolean(),
+    leave: Joi.boolean(),
+    move: Joi.boolean(),
+    serverMute: Joi.boolean(),
+    deafen: Joi.boolean(),
+    streamStart: Joi.boolean(),
+    roleGrant: Joi.boolean(),
+    roleRemove: Joi.boolean()
+  }).default({}).description('Voice events posted to the log channel'),
+  channels: Joi.object({
+    log: Joi.alternatives(snowflake, Joi.string().valid('')).default('')
+  }).default({}).description('Guild channels used by voice features')
+});
+
 /**
  * Default configuration values
  */
 const defaultConfig = {
   bot: {
-    prefix: '/',
+    token: '',
+    clientId: '',
+    guildId: '',
+    prefix: '!',
     version: '1.0.0',
     maxRetries: 3,
     retryDelay: 2000,
@@ -79,6 +199,7 @@ const defaultConfig = {
     adminRoles: [],
     moderatorRoles: [],
   },
+  commandPermissions: {},
   roles: {
     voiceChannel: {
       name: 'vc',
@@ -86,6 +207,8 @@ const defaultConfig = {
       mentionable: true,
       enabled: true,
       autoRemove: true,
+      reconcileOnStartup: true,
+      reconcileInterval: 900000,
       blacklist: {
         enabled: true,
         adminBlacklisted: true,
@@ -93,6 +216,10 @@ const defaultConfig = {
       },
     },
   },
+  channels: {
+    feedback: '',
+    reports: '',
+  },
   events: {
     voiceStateUpdate: {
       enabled: true,
@@ -106,6 +233,17 @@ const defaultConfig = {
     maxSize: '20m',
     maxFiles: 14,
   },
+  database: {
+    enabled: false,
+    type: 'sqlite',
+    path: './data/bot.db',
+    backup: {
+      enabled: true,
+      interval: '1d',
+      keepLast: 7,
+      directory: './data/backups',
+    },
+  },
   api: {
     enabled: false,
     port: 3000,
@@ -119,5 +257,8 @@ const defaultConfig = {
 
 module.exports = {
   botConfigSchema,
+  guildVoiceConfigSchema,
+  commandPermissionSchema,
+  PERMISSION_LEVELS,
   defaultConfig
 };
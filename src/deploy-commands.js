@@ -1,16 +1,22 @@
 const { REST, Routes } = require('discord.js');
-const { config } = require('dotenv');
 const path = require('path');
 const fs = require('fs').promises;
-
-// Load environment variables
-config();
+const config = require('./config');
 
 // Import the command handler
 const commandHandler = require('./handlers/commandHandler');
 
 async function deployCommands() {
     try {
+        // Token and IDs come from bot-config.json or DISCORD_TOKEN, CLIENT_ID and GUILD_ID
+        await config.load();
+        const token = config.get('bot.token');
+        const clientId = config.get('bot.clientId');
+        const guildId = config.get('bot.guildId');
+        if (!token || !clientId) {
+            throw new Error('Missing required settings: bot.token (DISCORD_TOKEN) and bot.clientId (CLIENT_ID) are required');
+        }
+
         // Load commands
         console.log('🔍 Loading commands...');
         await commandHandler.loadCommands();
@@ -51,13 +57,13 @@ async function deployCommands() {
 
         console.log(`\n📝 Registering ${commands.length} commands...`);
 
-        const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+        const rest = new REST({ version: '10' }).setToken(token);
 
-        const route = process.env.GUILD_ID
-          ? Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID)
-          : Routes.applicationCommands(process.env.CLIENT_ID);
+        const route = guildId
+          ? Routes.applicationGuildCommands(clientId, guildId)
+          : Routes.applicationCommands(clientId);
 
-        console.log(`\n🔄 Deploying commands to ${process.env.GUILD_ID ? 'guild' : 'global'} route: ${route}`);
+        console.log(`\n🔄 Deploying commands to ${guildId ? 'guild' : 'global'} route: ${route}`);
 
         const data = await rest.put(route, { body: commands });
 
@@ -6,13 +6,19 @@ const {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
-  ComponentType
+  ComponentType,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  UserSelectMenuBuilder
 } = require('discord.js');
 const logger = require('../utils/logger');
 const commandHandler = require('../handlers/commandHandler');
-const { handleError } = require('../utils/errorUtils');
+const tempChannelManager = require('../services/tempChannelManager');
+const { handleError, ValidationError } = require('../utils/errorUtils');
 const { createEmbed, createButton, createActionRow } = require('../utils/embedUtils');
-const { isDev, env } = require('../utils/env');
+const { checkCommandPermission, getPermissionContext } = require('../utils/permissions');
+const config = require('../config');
 
 // Cooldown for error messages to prevent spam
 const errorCooldowns = new Map();
@@ -67,6 +73,11 @@ async function handleButton(interaction) {
         await handleConfirmation(interaction, action, params);
         break;
         
+      case 'voice':
+        // Temporary voice channel control panel
+        await handleVoiceControl(interaction, params);
+        break;
+        
       default:
         // Custom button handlers can be added here
         logger.debug(`Unhandled button: ${interaction.customId}`);
@@ -120,9 +131,125 @@ async function handleConfirmation(interaction, action, params) {
   });
 }
 
+// What the member menu asks for, by panel control
+const VOICE_MEMBER_PROMPTS = {
+  permit: 'Who should be able to join, even while the channel is locked?',
+  reject: 'Who should be stopped from joining, and disconnected if they are in the channel?',
+  transfer: 'Who should own the channel?'
+};
+
+/**
+ * Handle a temporary voice channel control panel button
+ * @param {import('discord.js').ButtonInteraction} interaction - The button interaction
+ * @param {string[]} params - The control and the channel ID
+ * @returns {Promise<void>}
+ */
+async function handleVoiceControl(interaction, params) {
+  const [control, channelId] = params;
+  
+  if (control === 'claim') {
+    const channel = await tempChannelManager.claim(interaction.member, channelId);
+    await interaction.reply({ content: `👑 <@${interaction.user.id}> now owns <#${channel.id}>` });
+    return;
+  }
+  
+  const { channel } = await tempChannelManager.getOwnedChannel(interaction.member, channelId);
+  
+  switch (control) {
+    case 'lock':
+      await tempChannelManager.lock(channel);
+      await interaction.reply({ content: `🔒 <#${channel.id}> is locked`, ephemeral: true });
+      break;
+      
+    case 'unlock':
+      await tempChannelManager.unlock(channel);
+      await interaction.reply({ content: `🔓 <#${channel.id}> is unlocked`, ephemeral: true });
+      break;
+      
+    case 'rename':
+      await interaction.showModal(new ModalBuilder()
+        .setCustomId(`voice:rename:${channel.id}`)
+        .setTitle('Rename channel')
+        .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId('name')
+          .setLabel('New name')
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(100)
+          .setValue(channel.name)
+          .setRequired(true))));
+      break;
+      
+    case 'limit':
+      await interaction.showModal(new ModalBuilder()
+        .setCustomId(`voice:limit:${channel.id}`)
+        .setTitle('Set user limit')
+        .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+          .setCustomId('limit')
+          .setLabel('Maximum members (0 for no limit)')
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(2)
+          .setValue(String(channel.userLimit))
+          .setRequired(true))));
+      break;
+      
+    case 'permit':
+    case 'reject':
+    case 'transfer':
+      // The member is picked from a menu, handled by handleVoiceMemberSelect
+      await interaction.reply({
+        content: VOICE_MEMBER_PROMPTS[control],
+        components: [new ActionRowBuilder().addComponents(new UserSelectMenuBuilder()
+          .setCustomId(`voice:${control}:${channel.id}`)
+          .setPlaceholder('Choose a member'))],
+        ephemeral: true
+      });
+      break;
+      
+    default:
+      throw new ValidationError(`Unknown voice channel control: ${control}`);
+  }
+}
+
+/**
+ * Handle a member picked from a voice channel control panel's permit, reject or transfer menu
+ * @param {import('discord.js').UserSelectMenuInteraction} interaction - The select menu interaction
+ * @param {string[]} params - The control and the channel ID
+ * @returns {Promise<void>}
+ */
+async function handleVoiceMemberSelect(interaction, params) {
+  const [control, channelId] = params;
+  
+  // Ownership may have changed while the menu was open
+  const { channel, record } = await tempChannelManager.getOwnedChannel(interaction.member, channelId);
+  const user = interaction.users.first();
+  let content;
+  
+  switch (control) {
+    case 'permit':
+      await tempChannelManager.permit(channel, user);
+      content = `✅ <@${user.id}> can now join <#${channel.id}>`;
+      break;
+      
+    case 'reject':
+      await tempChannelManager.reject(channel, record, user);
+      content = `⛔ <@${user.id}> can no longer join <#${channel.id}>`;
+      break;
+      
+    case 'transfer':
+      await tempChannelManager.transfer(channel, record, user);
+      content = `👑 <@${user.id}> now owns <#${channel.id}>`;
+      break;
+      
+    default:
+      throw new ValidationError(`Unknown voice channel control: ${control}`);
+  }
+  
+  await interaction.update({ content, components: [] });
+}
+
 /**
  * Handle select menu interactions
- * @param {import('discord.js').SelectMenuInteraction} interaction - The select menu interaction
+ * @param {import('discord.js').AnySelectMenuInteraction} interaction - The select menu interaction
  * @returns {Promise<void>}
  */
 async function handleSelectMenu(interaction) {
@@ -143,6 +270,11 @@ async function handleSelectMenu(interaction) {
         await handleSettingsMenu(interaction, params);
         break;
         
+      case 'voice':
+        // Member picked from a voice channel control panel
+        await handleVoiceMemberSelect(interaction, params);
+        break;
+        
       default:
         logger.debug(`Unhandled select menu: ${interaction.customId}`);
         if (!interaction.replied) {
@@ -211,6 +343,10 @@ async function handleModalSubmit(interaction) {
         await handleReport(interaction, params);
         break;
         
+      case 'voice':
+        await handleVoiceModal(interaction, params);
+        break;
+        
       default:
         logger.debug(`Unhandled modal: ${interaction.customId}`);
         if (!interaction.replied) {
@@ -226,6 +362,39 @@ async function handleModalSubmit(interaction) {
   }
 }
 
+/**
+ * Handle the rename and limit forms opened from a voice channel control panel
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - The modal submission
+ * @param {string[]} params - The control and the channel ID
+ * @returns {Promise<void>}
+ */
+async function handleVoiceModal(interaction, params) {
+  const [control, channelId] = params;
+  
+  try {
+    // Ownership may have changed while the form was open
+    const { channel } = await tempChannelManager.getOwnedChannel(interaction.member, channelId);
+    
+    if (control === 'rename') {
+      const renamed = await tempChannelManager.rename(channel, interaction.fields.getTextInputValue('name'));
+      await interaction.reply({ content: `✏️ Renamed the channel to **${renamed.name}**`, ephemeral: true });
+    } else if (control === 'limit') {
+      const limit = Number(interaction.fields.getTextInputValue('limit'));
+      await tempChannelManager.setLimit(channel, limit);
+      await interaction.reply({
+        content: limit > 0
+          ? `👥 <#${channel.id}> is limited to ${limit} member(s)`
+          : `👥 Removed the user limit from <#${channel.id}>`,
+        ephemeral: true
+      });
+    }
+  } catch (error) {
+    // handleError doesn't reply to modal submissions, so report the failure here
+    logger.warn(`Voice control ${control} failed for ${interaction.user.tag}: ${error.message}`);
+    await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+  }
+}
+
 /**
  * Handle feedback submission
  * @param {import('discord.js').ModalSubmitInteraction} interaction - The modal submission
@@ -246,7 +415,7 @@ async function handleFeedback(interaction, params) {
   logger.info(`Feedback from ${interaction.user.tag} (${interaction.user.id}): ${feedback}`);
   
   // Optionally, send to a feedback channel
-  const feedbackChannel = interaction.client.channels.cache.get(env.FEEDBACK_CHANNEL_ID);
+  const feedbackChannel = interaction.client.channels.cache.get(await config.getForGuild(interaction.guildId, 'channels.feedback'));
   if (feedbackChannel) {
     const embed = createEmbed({
       title: 'New Feedback',
@@ -283,7 +452,7 @@ async function handleReport(interaction, params) {
   logger.info(`Report from ${interaction.user.tag} (${interaction.user.id}): ${reportType} - ${details}`);
   
   // Send to moderation channel
-  const reportChannel = interaction.client.channels.cache.get(env.REPORT_CHANNEL_ID);
+  const reportChannel = interaction.client.channels.cache.get(await config.getForGuild(interaction.guildId, 'channels.reports'));
   if (reportChannel) {
     const embed = createEmbed({
       title: `New ${reportType} Report`,
@@ -309,8 +478,9 @@ async function handleReport(interaction, params) {
       })
     ]);
     
+    const moderatorRoles = await config.getForGuild(interaction.guildId, 'permissions.moderatorRoles', []);
     await reportChannel.send({ 
-      content: `<@&${env.MOD_ROLE_ID}>`, 
+      content: moderatorRoles.map(roleId => `<@&${roleId}>`).join(' ') || undefined, 
       embeds: [embed],
       components: [row]
     }).catch(() => {});
@@ -333,6 +503,12 @@ async function handleAutocomplete(interaction) {
     if (!command || !command.autocomplete) {
       return interaction.respond([]);
     }
+
+    // Suggest nothing to users who can't run the command
+    const { allowed } = await checkCommandPermission(command, getPermissionContext(interaction));
+    if (!allowed) {
+      return interaction.respond([]);
+    }
     
     // Execute the autocomplete handler
     const choices = await command.autocomplete(interaction, focused);
@@ -377,7 +553,7 @@ async function handleInteraction(interaction) {
       await handleAutocomplete(interaction);
     } else if (interaction.isButton()) {
       await handleButton(interaction);
-    } else if (interaction.isStringSelectMenu()) {
+    } else if (interaction.isAnySelectMenu()) {
       await handleSelectMenu(interaction);
     } else if (interaction.isModalSubmit()) {
       await handleModalSubmit(interaction);
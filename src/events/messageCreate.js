@@ -1,6 +1,7 @@
 const { Events, EmbedBuilder } = require('discord.js');
 const commandHandler = require('../handlers/commandHandler');
 const logger = require('../utils/logger');
+const config = require('../config');
 
 /**
  * Handles incoming messages and processes legacy commands
@@ -11,8 +12,8 @@ async function handleMessageCreate(message) {
     // Ignore messages from bots and webhooks
     if (message.author.bot || message.webhookId) return;
 
-    // Get the prefix from environment or use default
-    const prefix = process.env.BOT_PREFIX || '!';
+    // The guild's own prefix if it set one, else the bot's
+    const prefix = await config.getForGuild(message.guildId, 'bot.prefix', '!');
     
     // Let the command handler process the message
     try {
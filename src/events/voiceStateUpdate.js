@@ -1,5 +1,8 @@
 const { Events } = require('discord.js');
 const voiceRoleManager = require('../services/voiceRoleManager');
+const voiceSessionStore = require('../services/voiceSessionStore');
+const tempChannelManager = require('../services/tempChannelManager');
+const voiceAuditLog = require('../services/voiceAuditLog');
 const logger = require('../utils/logger');
 
 /**
@@ -11,7 +14,7 @@ const logger = require('../utils/logger');
 async function handleVoiceStateUpdate(oldState, newState) {
   try {
     logger.debug('[VOICE_STATE_UPDATE] Received voice state update');
-    
+
     const { member, guild } = newState;
     const oldChannel = oldState.channel;
     const newChannel = newState.channel;
@@ -36,19 +39,39 @@ async function handleVoiceStateUpdate(oldState, newState) {
       logger.debug('[VOICE_STATE_UPDATE] Ignoring update: No member object');
       return;
     }
-    
+
     if (member.user?.bot) {
       logger.debug('[VOICE_STATE_UPDATE] Ignoring update: Member is a bot');
       return;
     }
-    
+
     if (!guild.available) {
       logger.debug('[VOICE_STATE_UPDATE] Ignoring update: Guild not available');
       return;
     }
 
+    // Record the session change before role handling so statistics don't depend on it
+    voiceSessionStore.recordTransition(guild.id, member.id, oldChannel?.id || null, newChannel?.id || null);
+
+    // Joining a hub creates a personal channel and moves the member into it;
+    // that move arrives as its own update, where the member's roles are applied
+    const guildConfig = await voiceRoleManager.getGuildConfig(guild.id);
+    recordAuditEvents(oldState, newState, guildConfig);
+
+    const joinedHub = newChannel && oldChannel?.id !== newChannel.id && tempChannelManager.isHub(guildConfig, newChannel.id);
+    const leftHub = oldChannel && oldChannel.id !== newChannel?.id && tempChannelManager.isHub(guildConfig, oldChannel.id);
+
+    if (joinedHub) {
+      await tempChannelManager.handleHubJoin(member, newChannel);
+    }
+
+    if (oldChannel && oldChannel.id !== newChannel?.id && tempChannelManager.getTempChannel(guildConfig, oldChannel.id)) {
+      await tempChannelManager.deleteIfEmpty(oldChannel);
+    }
+
     // Check if user joined a voice channel
     if (!oldChannel && newChannel) {
+      if (joinedHub) return;
       logger.debug(`User ${member.id} joined voice channel ${newChannel.id}`);
       await handleVoiceJoin(member, newChannel);
     }
@@ -60,18 +83,64 @@ async function handleVoiceStateUpdate(oldState, newState) {
     // Check if user switched voice channels
     else if (oldChannel && newChannel && oldChannel.id !== newChannel.id) {
       logger.debug(`User ${member.id} switched from ${oldChannel.id} to ${newChannel.id}`);
-      await handleVoiceSwitch(member, oldChannel, newChannel);
+      if (leftHub) {
+        // Being moved out of a hub is how members arrive in their own channel
+        await handleVoiceJoin(member, newChannel);
+      } else {
+        await handleVoiceSwitch(member, oldChannel, newChannel);
+      }
     }
     // Check if user was server muted/deafened
     else if (oldState.serverMute !== newState.serverMute || 
              oldState.serverDeaf !== newState.serverDeaf) {
       logger.debug(`User ${member.id} was server muted/deafened in guild ${guild.id}`);
     }
+
+    // State role rules depend on more than the channel, so check them on every update
+    await voiceRoleManager.applyStateRoles(member, newState);
   } catch (error) {
     logger.error('Error in voiceStateUpdate handler', error);
   }
 }
 
+/**
+ * Post the parts of a voice state change that the guild logs to its voice log channel
+ * @param {import('discord.js').VoiceState} oldState - The old voice state
+ * @param {import('discord.js').VoiceState} newState - The new voice state
+ * @param {Object} config - The guild's voice configuration
+ */
+function recordAuditEvents(oldState, newState, config) {
+  const { guild, member } = newState;
+  const oldChannel = oldState.channel;
+  const newChannel = newState.channel;
+  const user = `<@${member.id}>`;
+
+  if (!oldChannel && newChannel) {
+    voiceAuditLog.record(guild, config, 'join', `${user} joined <#${newChannel.id}>`);
+  } else if (oldChannel && !newChannel) {
+    voiceAuditLog.record(guild, config, 'leave', `${user} left <#${oldChannel.id}>`);
+  } else if (oldChannel && newChannel && oldChannel.id !== newChannel.id) {
+    voiceAuditLog.record(guild, config, 'move', `${user} moved from <#${oldChannel.id}> to <#${newChannel.id}>`);
+  }
+
+  // Mute and deafen changes only count while the member stays connected
+  if (oldChannel && newChannel) {
+    if (Boolean(oldState.serverMute) !== Boolean(newState.serverMute)) {
+      voiceAuditLog.record(guild, config, 'serverMute', `${user} was server ${newState.serverMute ? 'muted' : 'unmuted'} in <#${newChannel.id}>`);
+    }
+    if (Boolean(oldState.serverDeaf) !== Boolean(newState.serverDeaf)) {
+      voiceAuditLog.record(guild, config, 'deafen', `${user} was server ${newState.serverDeaf ? 'deafened' : 'undeafened'} in <#${newChannel.id}>`);
+    }
+    if (Boolean(oldState.selfDeaf) !== Boolean(newState.selfDeaf)) {
+      voiceAuditLog.record(guild, config, 'deafen', `${user} ${newState.selfDeaf ? 'deafened' : 'undeafened'} themselves in <#${newChannel.id}>`);
+    }
+  }
+
+  if (newChannel && !oldState.streaming && newState.streaming) {
+    voiceAuditLog.record(guild, config, 'streamStart', `${user} started streaming in <#${newChannel.id}>`);
+  }
+}
+
 /**
  * Handle user joining a voice channel
  * @param {import('discord.js').GuildMember} member - The guild member
@@ -81,11 +150,11 @@ async function handleVoiceStateUpdate(oldState, newState) {
 async function handleVoiceJoin(member, channel) {
   try {
     logger.info(`[VOICE] User ${member.user.tag} (${member.id}) joining channel ${channel.name} (${channel.id})`);
-    
+
     // Log member's current roles for debugging
     const currentRoles = member.roles.cache.map(role => `${role.name} (${role.id})`).join(', ');
     logger.debug(`[DEBUG] User ${member.user.tag} current roles: ${currentRoles}`);
-    
+
     // Check if bot has permissions
     logger.debug(`[DEBUG] Getting bot member object`);
     const me = member.guild.members.me;
@@ -93,78 +162,87 @@ async function handleVoiceJoin(member, channel) {
       logger.error('[ERROR] Bot member not found in guild');
       return false;
     }
-    
+
     logger.debug(`[DEBUG] Bot member found: ${me.user.tag} (${me.id})`);
-    
+
     // Log bot's permissions
     const botPermissions = me.permissions.toArray();
     logger.debug(`[DEBUG] Bot permissions: ${botPermissions.join(', ')}`);
-    
+
     const hasManageRoles = me.permissions.has('ManageRoles');
     logger.debug(`[DEBUG] Bot has ManageRoles permission: ${hasManageRoles}`);
-    
+
     if (!hasManageRoles) {
       logger.error('[ERROR] Bot is missing ManageRoles permission');
       return false;
     }
-    
+
     // Check if the bot is in the same guild as the member
     if (member.guild.id !== me.guild.id) {
       logger.warn(`[WARN] Bot is not in the same guild as the member`);
       return false;
     }
-    
+
     // Log channel permissions
     const channelPerms = channel.permissionsFor(me);
     const missingChannelPerms = ['ViewChannel', 'Connect', 'Speak', 'ManageRoles']
       .filter(perm => !channelPerms.has(perm));
-    
+
     if (missingChannelPerms.length > 0) {
       logger.error(`[ERROR] Bot is missing channel permissions: ${missingChannelPerms.join(', ')}`);
       return false;
     }
-    
+
     logger.debug(`[DEBUG] Bot has all required channel permissions`);
-    
+
     // Log current channel role mapping for debugging
     const guildConfig = await voiceRoleManager.getGuildConfig(member.guild.id);
-    const channelRoleId = guildConfig?.channelRoles?.[channel.id];
-    logger.debug(`[DEBUG] Channel ${channel.id} is mapped to role ID: ${channelRoleId || 'none'}`);
-    
+    // Channels without a direct mapping inherit the mapping of their parent category
+    const channelRoleIds = voiceRoleManager.resolveChannelRoleIds(guildConfig, channel);
+    logger.debug(`[DEBUG] Channel ${channel.id} (category ${channel.parentId || 'none'}) is mapped to role IDs: ${channelRoleIds.join(', ') || 'none'}`);
+
     // Log current config for debugging
     logger.debug('[DEBUG] VoiceRoleManager guild config:', {
       enabled: guildConfig?.enabled,
       channelRoles: guildConfig?.channelRoles || {}
     });
-    
+
     // Check if voice roles are enabled for this guild
     if (!guildConfig?.enabled) {
       logger.debug(`[DEBUG] Voice roles are disabled for guild ${member.guild.id}`);
       return;
     }
-    
+
     // Check if this channel has a role mapping
-    if (!channelRoleId) {
+    if (channelRoleIds.length === 0) {
       logger.debug(`[DEBUG] No role mapping found for channel ${channel.id} in guild ${member.guild.id}`);
       return;
     }
-    
+
     try {
       // Add voice role to the member
       const success = await voiceRoleManager.addVoiceRole(member);
       
       if (success) {
         logger.info(`[SUCCESS] Added voice role to user ${member.user.tag} in guild ${member.guild.name}`);
-        
-        // Get the role for verification
-        const role = await member.guild.roles.fetch(channelRoleId);
-        if (!role) {
-          logger.error(`[ERROR] Role ${channelRoleId} not found in guild ${member.guild.id}`);
-          return;
+
+        // Rejoining a mapped channel within the grace period keeps the roles.
+        // A member who isn't eligible here keeps the removal scheduled.
+        if (voiceRoleManager.cancelPendingRemoval(member.guild.id, member.id)) {
+          logger.info(`[GRACE] ${member.user.tag} rejoined within the grace period, keeping voice roles`);
         }
         
-        // Log role assignment success
-        logger.debug(`[DEBUG] Successfully assigned role ${role.name} (${role.id}) to ${member.user.tag}`);
+        // Get the roles for verification
+        for (const roleId of channelRoleIds) {
+          const role = await member.guild.roles.fetch(roleId).catch(() => null);
+          if (!role) {
+            logger.error(`[ERROR] Role ${roleId} not found in guild ${member.guild.id}`);
+            continue;
+          }
+          
+          // Log role assignment success
+          logger.debug(`[DEBUG] Successfully assigned role ${role.name} (${role.id}) to ${member.user.tag}`);
+        }
       } else {
         logger.warn(`[WARNING] Failed to add voice role to user ${member.user.tag}`);
       }
@@ -176,13 +254,13 @@ async function handleVoiceJoin(member, channel) {
       });
       return false;
     }
-    
+
     // Update presence or perform other actions
     await updateMemberPresence(member, 'joined');
-    
+
   } catch (error) {
     logger.error(`Failed to handle voice join for user ${member.id}`, error);
-    
+
     // Log additional context for debugging
     logger.error('Voice join error context:', {
       userId: member.id,
@@ -201,9 +279,11 @@ async function handleVoiceJoin(member, channel) {
  * Handle user leaving a voice channel
  * @param {import('discord.js').GuildMember} member - The guild member
  * @param {import('discord.js').VoiceChannel} channel - The voice channel
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate=false] - Skip the guild's grace period and remove roles now
  * @returns {Promise<void>}
  */
-async function handleVoiceLeave(member, channel) {
+async function handleVoiceLeave(member, channel, { immediate = false } = {}) {
   const startTime = Date.now();
   const logContext = {
     userId: member?.id,
@@ -220,20 +300,35 @@ async function handleVoiceLeave(member, channel) {
       logger.warn('[VOICE_LEAVE] Invalid member or channel provided', logContext);
       return;
     }
-    
+
     const { guild, user } = member;
     logger.info(`[VOICE_LEAVE] User ${user.tag} (${user.id}) left voice channel ${channel.name} (${channel.id}) in guild ${guild.name} (${guild.id})`, logContext);
-    
+
+    // Give the member a chance to reconnect before their roles are removed
+    if (!immediate) {
+      const guildConfig = await voiceRoleManager.getGuildConfig(guild.id);
+      if (guildConfig?.enabled && guildConfig.gracePeriod > 0) {
+        voiceRoleManager.scheduleRoleRemoval(
+          member,
+          channel.id,
+          guildConfig.gracePeriod * 1000,
+          () => handleVoiceLeave(member, channel, { immediate: true })
+        );
+        logger.info(`[GRACE] Removing voice roles from ${user.tag} in ${guildConfig.gracePeriod}s unless they rejoin a mapped channel`, logContext);
+        return;
+      }
+    }
+
     // Log member's current roles for debugging
     const currentRoles = member.roles.cache.map(role => `${role.name} (${role.id})`);
     const currentRoleIds = member.roles.cache.map(role => role.id);
-    
+
     logger.debug(`[DEBUG] User ${user.tag} current roles (${currentRoles.length}):`, {
       ...logContext,
       roles: currentRoles,
       roleCount: currentRoles.length
     });
-    
+
     // Log bot's permissions
     const me = guild.members.me;
     if (me) {
@@ -245,7 +340,7 @@ async function handleVoiceLeave(member, channel) {
         botRoles: me.roles.cache.map(r => `${r.name} (${r.id})`)
       });
     }
-    
+
     // Remove voice role from the member
     try {
       // Get the guild config
@@ -259,7 +354,7 @@ async function handleVoiceLeave(member, channel) {
       });
       
       // Get roles to be removed
-      const rolesToRemove = guildConfig?.channelRoles ? Object.values(guildConfig.channelRoles) : [];
+      const rolesToRemove = voiceRoleManager.getMappedRoleIds(guildConfig);
       const rolesToRemoveInfo = [];
       
       // Get role details for logging
@@ -287,21 +382,6 @@ async function handleVoiceLeave(member, channel) {
         timestamp: new Date().toISOString()
       });
       
-      // Force fetch the latest member data before removal
-      try {
-        member = await guild.members.fetch({ user: user.id, force: true });
-        logger.debug(`[DEBUG] Refreshed member data before role removal`, {
-          ...logContext,
-          currentRoles: member.roles.cache.map(r => `${r.name} (${r.id})`)
-        });
-      } catch (fetchError) {
-        logger.error(`[ERROR] Failed to refresh member data before role removal:`, {
-          ...logContext,
-          error: fetchError.message,
-          stack: fetchError.stack
-        });
-      }
-
       let rolesRemoved = false;
       try {
         rolesRemoved = await voiceRoleManager.removeVoiceRole(member);
@@ -320,96 +400,6 @@ async function handleVoiceLeave(member, channel) {
         durationMs: removeTime,
         rolesAfterRemoval: member.roles.cache.map(r => `${r.name} (${r.id})`)
       });
-      
-      if (rolesRemoved) {
-        // Verify the roles were actually removed
-        const verifyStartTime = Date.now();
-        logger.debug(`[VERIFY] Verifying role removal for ${user.tag}`, {
-          ...logContext,
-          timestamp: new Date().toISOString()
-        });
-        
-        const updatedMember = await guild.members.fetch({ user: user.id, force: true });
-        const remainingRoles = [];
-        
-        for (const roleId of rolesToRemove) {
-          if (updatedMember.roles.cache.has(roleId)) {
-            const role = guild.roles.cache.get(roleId);
-            remainingRoles.push({
-              id: roleId,
-              name: role?.name || 'Unknown Role',
-              position: role?.position
-            });
-          }
-        }
-        
-        const verifyTime = Date.now() - verifyStartTime;
-        
-        if (remainingRoles.length > 0) {
-          logger.warn(`[VERIFY] Failed to verify removal of ${remainingRoles.length} roles for ${user.tag}`, {
-            ...logContext,
-            remainingRoles,
-            durationMs: verifyTime,
-            timestamp: new Date().toISOString()
-          });
-          
-          // Try one more time with individual removal
-          logger.info(`[RETRY] Attempting individual role removal for ${user.tag}`, {
-            ...logContext,
-            remainingRolesCount: remainingRoles.length
-          });
-          
-          for (const { id: roleId, name } of remainingRoles) {
-            const attemptStart = Date.now();
-            try {
-              logger.debug(`[RETRY] Attempting to remove role ${name} (${roleId}) from ${user.tag}`, {
-                ...logContext,
-                roleId,
-                roleName: name,
-                timestamp: new Date().toISOString()
-              });
-              
-              await updatedMember.roles.remove(roleId, 'Force removal after failed verification');
-              
-              // Verify removal
-              const refreshedMember = await guild.members.fetch({ user: user.id, force: true });
-              const stillHasRole = refreshedMember.roles.cache.has(roleId);
-              
-              if (stillHasRole) {
-                throw new Error(`Role still present after removal attempt`);
-              }
-              
-              logger.info(`[SUCCESS] Force-removed role ${name} (${roleId}) from ${user.tag}`, {
-                ...logContext,
-                roleId,
-                roleName: name,
-                durationMs: Date.now() - attemptStart,
-                timestamp: new Date().toISOString()
-              });
-              
-            } catch (error) {
-              logger.error(`[ERROR] Failed to force-remove role ${name} (${roleId}) from ${user.tag}`, {
-                ...logContext,
-                roleId,
-                roleName: name,
-                error: error.message,
-                stack: error.stack,
-                durationMs: Date.now() - attemptStart,
-                timestamp: new Date().toISOString()
-              });
-            }
-            
-            // Rate limit protection
-            await new Promise(resolve => setTimeout(resolve, 500));
-          }
-        } else {
-          logger.info(`[SUCCESS] Verified removal of all roles from ${user.tag}`, {
-            ...logContext,
-            durationMs: verifyTime,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
     } catch (error) {
       logger.error(`[ERROR] Failed to remove roles from ${user.tag}`, {
         ...logContext,
@@ -422,10 +412,10 @@ async function handleVoiceLeave(member, channel) {
       // Re-throw to be caught by the outer try-catch
       throw error;
     }
-    
+
     // Update presence or perform other actions
     await updateMemberPresence(member, 'left');
-    
+
   } catch (error) {
     const errorContext = {
       ...logContext,
@@ -434,9 +424,9 @@ async function handleVoiceLeave(member, channel) {
       durationMs: Date.now() - startTime,
       timestamp: new Date().toISOString()
     };
-    
+
     logger.error(`[ERROR] Failed to handle voice leave for user ${member?.user?.tag || 'unknown'}`, errorContext);
-    
+
     // Log additional debug info
     try {
       if (member?.guild) {
@@ -468,9 +458,10 @@ async function handleVoiceSwitch(member, oldChannel, newChannel) {
     logger.debug(
       `User ${member.id} switched from voice channel ${oldChannel.id} to ${newChannel.id} in guild ${member.guild.id}`
     );
-    
-    // The role will be maintained since the user is still in a voice channel
-    // But we can update any channel-specific settings or presence here
+
+    // Swap the roles the old channel granted for the ones the new channel grants
+    await voiceRoleManager.switchVoiceRoles(member, oldChannel, newChannel);
+
     await updateMemberPresence(member, 'moved');
   } catch (error) {
     logger.error(`Failed to handle voice switch for user ${member.id}`, error);
@@ -492,7 +483,7 @@ async function updateMemberPresence(member, action) {
       left: 'left a voice channel',
       moved: 'moved to another voice channel'
     };
-    
+
     logger.debug(`User ${member.id} ${actions[action]}`);
   } catch (error) {
     logger.error(`Failed to update presence for user ${member.id}`, error);
@@ -1,5 +1,5 @@
 const { Client, GatewayIntentBits, Partials } = require('discord.js');
-const { getConfig } = require('../config');
+const config = require('../config');
 const { logger } = require('../utils/logger');
 
 /**
@@ -7,8 +7,6 @@ const { logger } = require('../utils/logger');
  * @returns {Promise<import('discord.js').Client>} Configured Discord client
  */
 async function createDiscordClient() {
-    const config = await getConfig();
-    
     const client = new Client({
         intents: [
             GatewayIntentBits.Guilds,
@@ -71,7 +69,7 @@ function setupClientEvents(client) {
         // Set initial presence
         await client.user.setPresence({
             activities: [{
-                name: `${client.config.bot.prefix}help | ${client.guilds.cache.size} servers`,
+                name: `${client.config.get('bot.prefix')}help | ${client.guilds.cache.size} servers`,
                 type: 0 // Playing
             }],
             status: 'online'
@@ -2,7 +2,14 @@ const { Collection } = require('discord.js');
 const path = require('path');
 const { readdir } = require('fs').promises;
 const logger = require('../utils/logger');
-const { isDev } = require('../utils/env');
+const config = require('../config');
+const {
+  getPermissionContext,
+  validateCommandPermission,
+  checkCommandPermission,
+  createPermissionDeniedEmbed,
+  isOwner
+} = require('../utils/permissions');
 
 // Command rate limiting
 const userCooldowns = new Collection();
@@ -22,6 +29,9 @@ class CommandHandler {
     // Application command data for registration
     this.slashCommands = [];
     this.contextMenus = [];
+
+    // Commands run today, for the {commandsToday} presence placeholder
+    this.usage = { day: null, count: 0 };
   }
   
   /**
@@ -48,6 +58,8 @@ class CommandHandler {
       throw new Error(`A command with the name "${commandName}" is already registered.`);
     }
 
+    validateCommandPermission(command);
+
     // Add to appropriate collections
     this.commands.set(commandName, command);
     
@@ -124,7 +136,7 @@ class CommandHandler {
             }
           } catch (error) {
             logger.error(`Error loading command ${entry.name}:`, error);
-            if (isDev()) {
+            if (config.isDev()) {
               console.error(error);
             }
           }
@@ -157,7 +169,7 @@ class CommandHandler {
 
       logger.info('Registering application commands...');
       
-      const testGuildId = process.env.TEST_GUILD_ID;
+      const testGuildId = config.get('bot.testGuildId');
       const commands = [...this.slashCommands, ...this.contextMenus];
       
       if (testGuildId) {
@@ -201,6 +213,10 @@ class CommandHandler {
       return false;
     }
     
+    if (!(await this.checkPermission(command, message))) {
+      return true;
+    }
+    
     // Check cooldown
     const cooldownInfo = this.isRateLimited(message.author.id);
     if (cooldownInfo.limited) {
@@ -213,6 +229,7 @@ class CommandHandler {
     // Execute command
     try {
       logger.info(`Executing legacy command: ${command.name} by ${message.author.tag}`);
+      this.recordUsage();
       await command.execute(message, args);
       return true;
     } catch (error) {
@@ -243,8 +260,12 @@ class CommandHandler {
       return false;
     }
 
+    if (!(await this.checkPermission(command, interaction))) {
+      return true;
+    }
+
     // Check cooldown (skip for bot owner)
-    if (interaction.user.id !== interaction.client.application.owner?.id) {
+    if (!isOwner(getPermissionContext(interaction))) {
       const cooldownInfo = this.isRateLimited(interaction.user.id);
       if (cooldownInfo.limited) {
         await interaction.reply({
@@ -258,6 +279,7 @@ class CommandHandler {
     // Execute command
     try {
       logger.info(`Executing slash command: ${command.data.name} by ${interaction.user.tag}`);
+      this.recordUsage();
       
       if (command.defer) {
         await interaction.deferReply({ ephemeral: command.ephemeral });
@@ -287,6 +309,53 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Check a command's permission (see utils/permissions) and reply with the
+   * denial embed if the user may not run it
+   * @param {Object} command - The command
+   * @param {import('discord.js').Interaction|import('discord.js').Message} source - Where the command came from
+   * @returns {Promise<boolean>} True if the command may run
+   */
+  async checkPermission(command, source) {
+    const commandName = command.data?.name || command.name;
+    const result = await checkCommandPermission(command, getPermissionContext(source));
+    if (result.allowed) {
+      return true;
+    }
+
+    const user = source.user || source.author;
+    const { level, permissions } = result.required;
+    logger.info(`[PERMISSIONS] Denied ${commandName} to ${user.tag}: needs level ${level}` +
+      (permissions.length > 0 ? ` and ${permissions.join(', ')}` : ''));
+
+    const embed = createPermissionDeniedEmbed(commandName, result);
+    if (source.author) {
+      await source.reply({ embeds: [embed] }).catch(console.error);
+    } else {
+      await source.reply({ embeds: [embed], ephemeral: true }).catch(console.error);
+    }
+    return false;
+  }
+
+  /**
+   * Count a command run towards today's total
+   */
+  recordUsage() {
+    const today = new Date().toDateString();
+    if (this.usage.day !== today) {
+      this.usage = { day: today, count: 0 };
+    }
+    this.usage.count++;
+  }
+
+  /**
+   * Get how many commands have run since local midnight
+   * @returns {number} The number of commands run today
+   */
+  getCommandsToday() {
+    return this.usage.day === new Date().toDateString() ? this.usage.count : 0;
+  }
+
   /**
    * Get a command by name or alias
    * @param {string} name - Command name or alias
@@ -3,7 +3,7 @@ const path = require('path');
 const { readdir, stat } = require('fs').promises;
 const { createCommandHandler } = require('../utils/interactionUtils');
 const { handleError } = require('../utils/errorUtils');
-const { isDev, env } = require('../utils/env');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 // Command rate limiting (10 commands per 30 seconds per user)
@@ -118,7 +118,7 @@ class CommandHandlerV2 {
           
         } catch (error) {
           logger.error(`Error loading command ${entry.name}`, error);
-          if (isDev()) {
+          if (config.isDev()) {
             console.error(`Error loading command ${entry.name}:`, error);
           }
         }
@@ -257,8 +257,8 @@ class CommandHandlerV2 {
 
       logger.info('Registering application commands...');
       
-      // Get the test guild ID from environment variables
-      const testGuildId = process.env.TEST_GUILD_ID;
+      // Register in a test guild instead of globally when bot.testGuildId is set
+      const testGuildId = config.get('bot.testGuildId');
       
       // Debug log the commands being registered
       logger.debug(`Found ${this.slashCommands.length} slash commands and ${this.contextMenus.length} context menus to register`);
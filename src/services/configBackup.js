@@ -0,0 +1,282 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BACKUP_PREFIX = 'guild-configs-';
+const BACKUP_PATTERN = /^guild-configs-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.json\.gz$/;
+const ARCHIVE_VERSION = 1;
+
+const INTERVAL_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// setTimeout fires almost at once for longer delays (about 24.8 days)
+const MAX_INTERVAL = 2 ** 31 - 1;
+
+/**
+ * Parse a backup interval such as `30m`, `12h`, `1d` or `1w`
+ * @param {string} interval - The interval from bot-config.json
+ * @returns {number} The interval in milliseconds
+ * @throws {Error} If the interval isn't a positive number followed by m, h, d or w,
+ *   or is longer than a timer can wait (24 days)
+ */
+function parseInterval(interval) {
+  const match = /^(\d+)\s*([mhdw])$/.exec(String(interval).trim());
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid backup interval "${interval}", expected e.g. 30m, 12h, 1d or 1w`);
+  }
+  const ms = Number(match[1]) * INTERVAL_UNITS[match[2]];
+  if (ms > MAX_INTERVAL) {
+    throw new Error(`Backup interval "${interval}" is too long, the most is 24d`);
+  }
+  return ms;
+}
+
+/**
+ * A backup archive as listed by the service
+ * @typedef {Object} BackupInfo
+ * @property {string} name - File name of the archive
+ * @property {Date} createdAt - When it was taken
+ * @property {number} size - Size in bytes
+ */
+
+/**
+ * Takes scheduled snapshots of the guild config store, whichever backend it
+ * uses, as gzipped JSON archives holding every guild's config and history.
+ * Configured by `database.backup` in bot-config.json.
+ */
+class ConfigBackupService {
+  constructor() {
+    this.store = null;
+    this.directory = null;
+    this.keepLast = 7;
+    this.interval = null;
+    this.timer = null;
+  }
+
+  /**
+   * Point the service at the config store and, if backups are enabled, start
+   * taking them. The first backup is due one interval after the newest
+   * existing one, so restarts don't postpone backups indefinitely.
+   * @param {import('../utils/vc-config')} store - The guild config store
+   * @param {Object} [options] - The `database.backup` block from bot-config.json
+   * @param {boolean} [options.enabled] - Whether scheduled backups are on
+   * @param {string} [options.interval='1d'] - Time between backups
+   * @param {number} [options.keepLast=7] - Backups to keep
+   * @param {string} [options.directory='./data/backups'] - Where backups are written
+   * @returns {Promise<boolean>} Whether backups were scheduled
+   */
+  async start(store, options = {}) {
+    this.stop();
+    this.store = store;
+    this.directory = path.resolve(process.cwd(), options.directory || './data/backups');
+    this.keepLast = Math.max(1, Number(options.keepLast) || 7);
+
+    if (!options.enabled) {
+      logger.info('[BACKUP] Scheduled config backups are disabled');
+      return false;
+    }
+
+    this.interval = parseInterval(options.interval || '1d');
+    const [latest] = await this.listBackups();
+    const delay = latest ? Math.max(0, latest.createdAt.getTime() + this.interval - Date.now()) : 0;
+    this.schedule(delay);
+
+    logger.info(`[BACKUP] Backing up guild configs every ${options.interval || '1d'} to ${this.directory}, keeping ${this.keepLast}`);
+    return true;
+  }
+
+  /**
+   * Stop taking scheduled backups
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a backup after a delay, then again every interval
+   * @private
+   */
+  schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.createBackup();
+      } catch (error) {
+        logger.error('[BACKUP] Scheduled config backup failed:', error);
+      }
+      this.schedule(this.interval);
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Throw unless start() has been called
+   * @private
+   */
+  assertReady() {
+    if (!this.store) {
+      throw new Error('Config backups are not available');
+    }
+  }
+
+  /**
+   * Snapshot every guild's config and history into a new archive, check that
+   * it reads back, and prune old archives
+   * @param {Object} [options]
+   * @param {boolean} [options.prune=true] - Delete archives beyond `keepLast` afterwards
+   * @returns {Promise<{name: string, guilds: number}>} The archive written
+   * @throws {Error} If the archive can't be written or doesn't read back intact
+   */
+  async createBackup({ prune = true } = {}) {
+    this.assertReady();
+    const { storage } = this.store;
+    const createdAt = new Date();
+
+    const guilds = {};
+    for (const guildId of await storage.listGuildIds()) {
+      try {
+        const config = await storage.read(guildId);
+        if (config) {
+          guilds[guildId] = { config, history: await storage.readHistory(guildId) };
+        }
+      } catch (error) {
+        logger.warn(`[BACKUP] Left guild ${guildId} out of the backup, its config could not be read:`, error.message);
+      }
+    }
+
+    const archive = { version: ARCHIVE_VERSION, createdAt: createdAt.toISOString(), storage: storage.type, guilds };
+    const name = `${BACKUP_PREFIX}${createdAt.toISOString().replace(/[:.]/g, '-')}.json.gz`;
+    const filePath = path.join(this.directory, name);
+    const tempPath = `${filePath}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, await gzip(JSON.stringify(archive)));
+    await fs.rename(tempPath, filePath);
+
+    // A backup that can't be restored is worse than none; don't let it push out good ones
+    try {
+      const check = await this.readBackup(name);
+      const expected = Object.keys(guilds).length;
+      if (Object.keys(check.guilds).length !== expected) {
+        throw new Error(`expected ${expected} guild(s), found ${Object.keys(check.guilds).length}`);
+      }
+    } catch (error) {
+      await fs.unlink(filePath).catch(() => {});
+      throw new Error(`Backup ${name} failed verification: ${error.message}`);
+    }
+
+    logger.info(`[BACKUP] Wrote ${name} with ${Object.keys(guilds).length} guild config(s)`);
+    if (prune) {
+      await this.prune();
+    }
+    return { name, guilds: Object.keys(guilds).length };
+  }
+
+  /**
+   * List backup archives, newest first
+   * @returns {Promise<BackupInfo[]>}
+   */
+  async listBackups() {
+    this.assertReady();
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of files.filter(file => BACKUP_PATTERN.test(file)).sort().reverse()) {
+      const stats = await fs.stat(path.join(this.directory, name));
+      // The name holds the ISO timestamp with ':' and '.' swapped for '-'
+      const stamp = name.slice(BACKUP_PREFIX.length, -'.json.gz'.length)
+        .replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+      backups.push({ name, createdAt: new Date(stamp), size: stats.size });
+    }
+    return backups;
+  }
+
+  /**
+   * Read and check a backup archive
+   * @param {string} name - File name of the archive
+   * @returns {Promise<{version: number, createdAt: string, storage: string, guilds: Object.<string, {config: Object, history: Object[]}>}>}
+   * @throws {Error} If the name isn't a backup or the archive is damaged
+   */
+  async readBackup(name) {
+    this.assertReady();
+    if (!BACKUP_PATTERN.test(name)) {
+      throw new Error(`"${name}" is not a config backup`);
+    }
+
+    const archive = JSON.parse((await gunzip(await fs.readFile(path.join(this.directory, name)))).toString('utf8'));
+    if (archive?.version !== ARCHIVE_VERSION || !archive.guilds || typeof archive.guilds !== 'object') {
+      throw new Error(`${name} is not a version ${ARCHIVE_VERSION} config backup`);
+    }
+    for (const [guildId, entry] of Object.entries(archive.guilds)) {
+      if (!entry?.config || typeof entry.config !== 'object') {
+        throw new Error(`${name} has no config for guild ${guildId}`);
+      }
+    }
+    return archive;
+  }
+
+  /**
+   * Restore every guild config in a backup. A backup of the current state is
+   * taken first, and each restored config is saved through the store, so the
+   * restore shows up in each guild's history and can be rolled back there.
+   * Active temporary channels are kept, and guilds that aren't in the backup
+   * are left as they are.
+   * @param {string} name - File name of the archive
+   * @param {import('../utils/vc-config').ConfigChangeMeta} [meta] - Who is restoring, for the history
+   * @returns {Promise<{restored: number, safetyBackup: string}>}
+   */
+  async restoreBackup(name, meta = {}) {
+    const archive = await this.readBackup(name);
+    // Pruning here could delete the archive being restored; the next scheduled backup prunes
+    const { name: safetyBackup } = await this.createBackup({ prune: false });
+
+    const guildIds = Object.keys(archive.guilds);
+    for (const guildId of guildIds) {
+      await this.store.restoreVCConfig(guildId, archive.guilds[guildId].config, meta);
+    }
+
+    logger.info(`[BACKUP] Restored ${guildIds.length} guild config(s) from ${name}; the previous state is in ${safetyBackup}`);
+    return { restored: guildIds.length, safetyBackup };
+  }
+
+  /**
+   * Delete all but the newest `keepLast` archives
+   * @private
+   */
+  async prune() {
+    const stale = (await this.listBackups()).slice(this.keepLast);
+    for (const { name } of stale) {
+      await fs.unlink(path.join(this.directory, name)).catch(error => {
+        logger.warn(`[BACKUP] Failed to delete old backup ${name}:`, error.message);
+      });
+    }
+    if (stale.length > 0) {
+      logger.info(`[BACKUP] Pruned ${stale.length} old backup(s)`);
+    }
+  }
+}
+
+// Create and export a singleton instance
+const configBackup = new ConfigBackupService();
+
+module.exports = configBackup;
+module.exports.ConfigBackupService = ConfigBackupService;
+module.exports.parseInterval = parseInterval;
+module.exports.MAX_INTERVAL = MAX_INTERVAL;
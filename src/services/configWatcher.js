@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { guildVoiceConfigSchema } = require('../config/schema');
+const { validatePresenceConfig } = require('../utils/config-validator');
+
+// Editors often save in several writes; wait for the file to settle before reading it
+const DEBOUNCE_DELAY = 500;
+const GUILD_FILE_PATTERN = /^(\d{17,20})\.json$/;
+
+/**
+ * Watches the config directory and applies edits without a restart. Every
+ * change is validated first; a change that fails is logged and ignored, and
+ * the bot carries on with the settings it had.
+ *
+ * Subsystems listen for the events below rather than re-reading files:
+ * - `bot-config` `{previous, current, changed}` after bot-config.json is reloaded,
+ *   where `changed` lists the dot paths that differ (e.g. `logging.level`)
+ * - `presence-config` `{config}` after presence-config.json passes validation
+ * - `guild-config` `{guildId, config}` after a guild's JSON file is edited by hand
+ */
+class ConfigWatcher extends EventEmitter {
+  constructor() {
+    super();
+    this.config = null;
+    this.watchers = [];
+    this.timers = new Map(); // file path -> debounce timer
+    this.lastWritten = new Map(); // guildId -> JSON the store last wrote
+    this.onStoreChange = ({ guildId, config }) => {
+      this.lastWritten.set(guildId, JSON.stringify(config));
+    };
+  }
+
+  /**
+   * Start watching bot-config.json, presence-config.json and, when guild configs
+   * are kept as JSON files, the guild config directory
+   * @param {import('../config').ConfigService} config - The bot configuration
+   * @param {string} [directory=config/] - The config directory
+   */
+  start(config, directory = path.join(process.cwd(), 'config')) {
+    this.stop();
+    this.config = config;
+
+    this.watch(directory, filename => {
+      if (filename === 'bot-config.json') return () => this.reloadBotConfig();
+      if (filename === 'presence-config.json') return () => this.reloadPresenceConfig(path.join(directory, filename));
+      return null;
+    });
+
+    // Guild configs in SQLite can only change through the bot
+    const { storage } = config.vcConfig;
+    if (storage?.type === 'json') {
+      config.vcConfig.on('change', this.onStoreChange);
+      this.watch(storage.location, filename => {
+        const match = GUILD_FILE_PATTERN.exec(filename);
+        return match ? () => this.reloadGuildConfig(match[1], path.join(storage.location, filename)) : null;
+      });
+    }
+
+    logger.info(`[CONFIG] Watching ${directory} for changes`);
+  }
+
+  /**
+   * Stop watching for changes
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.config?.vcConfig.off('change', this.onStoreChange);
+  }
+
+  /**
+   * Watch a directory, running the handler picked for a file once it settles
+   * @private
+   * @param {string} directory - Directory to watch
+   * @param {function(string): ?function(): Promise<void>} pickHandler - Returns the
+   *   handler for a file name, or null to ignore the file
+   */
+  watch(directory, pickHandler) {
+    let watcher;
+    try {
+      watcher = fs.watch(directory, (eventType, filename) => {
+        const handler = filename && pickHandler(filename.toString());
+        if (!handler) return;
+
+        const key = path.join(directory, filename.toString());
+        clearTimeout(this.timers.get(key));
+        const timer = setTimeout(() => {
+          this.timers.delete(key);
+          handler().catch(error => logger.error(`[CONFIG] Failed to apply a change to ${key}:`, error));
+        }, DEBOUNCE_DELAY);
+        timer.unref?.();
+        this.timers.set(key, timer);
+      });
+    } catch (error) {
+      logger.warn(`[CONFIG] Can't watch ${directory}, changes there need a restart:`, error.message);
+      return;
+    }
+
+    watcher.on('error', error => logger.warn(`[CONFIG] Stopped watching ${directory}:`, error.message));
+    watcher.unref?.();
+    this.watchers.push(watcher);
+  }
+
+  /**
+   * Reload bot-config.json and tell listeners what changed
+   * @private
+   */
+  async reloadBotConfig() {
+    let result;
+    try {
+      result = await this.config.reload();
+    } catch (error) {
+      logger.error(`[CONFIG] Rejected the change to bot-config.json, keeping the current settings: ${error.message}`);
+      return;
+    }
+
+    if (result.changed.length === 0) return;
+    logger.info(`[CONFIG] Reloaded bot-config.json, changed: ${result.changed.join(', ')}`);
+    this.emit('bot-config', result);
+  }
+
+  /**
+   * Validate presence-config.json and tell listeners it changed
+   * @private
+   * @param {string} filePath - Path of presence-config.json
+   */
+  async reloadPresenceConfig(filePath) {
+    let presenceConfig;
+    try {
+      presenceConfig = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      validatePresenceConfig(presenceConfig);
+    } catch (error) {
+      logger.error(`[CONFIG] Rejected the change to presence-config.json, keeping the current presence: ${error.message}`);
+      return;
+    }
+
+    logger.info('[CONFIG] Reloaded presence-config.json');
+    this.emit('presence-config', { config: presenceConfig });
+  }
+
+  /**
+   * Validate a guild config edited outside the bot and tell listeners it changed
+   * @private
+   * @param {string} guildId - The guild ID
+   * @param {string} filePath - Path of the guild's config file
+   */
+  async reloadGuildConfig(guildId, filePath) {
+    let guildConfig;
+    try {
+      guildConfig = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      logger.error(`[CONFIG] Rejected the change to the config of guild ${guildId}, voice roles keep the settings they had: ${error.message}`);
+      return;
+    }
+
+    // The bot's own saves are announced by the store already
+    if (JSON.stringify(guildConfig) === this.lastWritten.get(guildId)) return;
+
+    const { error } = guildVoiceConfigSchema.validate(guildConfig, { abortEarly: false, allowUnknown: true });
+    if (error) {
+      logger.error(`[CONFIG] Rejected the change to the config of guild ${guildId}, voice roles keep the settings they had: ${error.details.map(detail => detail.message).join('; ')}`);
+      return;
+    }
+
+    this.lastWritten.set(guildId, JSON.stringify(guildConfig));
+    logger.info(`[CONFIG] Reloaded the config of guild ${guildId}`);
+    this.emit('guild-config', { guildId, config: guildConfig });
+  }
+}
+
+// Create and export a singleton instance
+const configWatcher = new ConfigWatcher();
+
+module.exports = configWatcher;
+module.exports.ConfigWatcher = ConfigWatcher;
@@ -0,0 +1,538 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ActivityType } = require('discord.js');
+const logger = require('../utils/logger');
+const presenceConfig = require('../utils/presence-loader');
+const { resolvePresenceOverride } = require('../utils/presenceSchedule');
+const { renderTemplate } = require('../utils/presenceTemplate');
+const commandHandler = require('../handlers/commandHandler');
+
+const VALID_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+
+// Rotation bounds, schedule check period and how long voice activity settles before a re-check
+const MIN_ROTATION_INTERVAL = 30000;
+const DEFAULT_ROTATION_INTERVAL = 300000;
+const OVERRIDE_CHECK_INTERVAL = 60000;
+const VOICE_CHECK_DELAY = 10000;
+const MAX_ACTIVITY_LENGTH = 128;
+
+const ROTATION_SOURCE = { source: 'rotation', name: 'Rotation' };
+
+const ACTIVITY_TYPE_MAP = {
+  PLAYING: ActivityType.Playing,
+  STREAMING: ActivityType.Streaming,
+  LISTENING: ActivityType.Listening,
+  WATCHING: ActivityType.Watching,
+  COMPETING: ActivityType.Competing,
+  CUSTOM: ActivityType.Custom,
+
+  // Numeric types (for backward compatibility)
+  0: ActivityType.Playing,
+  1: ActivityType.Streaming,
+  2: ActivityType.Listening,
+  3: ActivityType.Watching,
+  4: ActivityType.Competing,
+  5: ActivityType.Custom
+};
+
+let packageVersion = '1.0.0';
+try {
+  packageVersion = JSON.parse(fs.readFileSync(path.join(__dirname, '../../package.json'), 'utf8')).version;
+} catch (error) {
+  logger.error('Error reading package.json:', error);
+}
+
+/**
+ * Timers and time as the service sees them; tests pass a fake to drive the
+ * rotation without waiting
+ * @typedef {Object} Clock
+ * @property {function(): number} now - Current time in ms since the epoch
+ * @property {function(Function, number): *} setInterval
+ * @property {function(*): void} clearInterval
+ * @property {function(Function, number): *} setTimeout
+ * @property {function(*): void} clearTimeout
+ */
+
+/** @type {Clock} */
+const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => {
+    const timer = setInterval(callback, ms);
+    timer.unref?.();
+    return timer;
+  },
+  clearInterval: timer => clearInterval(timer),
+  setTimeout: (callback, ms) => {
+    const timer = setTimeout(callback, ms);
+    timer.unref?.();
+    return timer;
+  },
+  clearTimeout: timer => clearTimeout(timer)
+};
+
+/**
+ * Convert an activity type name or number to Discord's ActivityType
+ * @param {string|number} [type] - The type, e.g. `WATCHING` or `3`
+ * @returns {ActivityType} The activity type, Playing when unknown
+ */
+function getActivityType(type) {
+  if (type === undefined || type === null) {
+    return ActivityType.Playing;
+  }
+  return ACTIVITY_TYPE_MAP[String(type).toUpperCase()] ?? ActivityType.Playing;
+}
+
+/**
+ * A key identifying a presence source, to tell when the active one changes
+ * @param {?Object} source - A presence override or the rotation
+ * @returns {string} The key
+ */
+function sourceKey(source) {
+  if (!source || source.source === 'rotation') return 'rotation';
+  return [source.source, source.guildId || '', source.name].join(':');
+}
+
+/**
+ * Runs the bot's presence: rotates through the configured activities, switches
+ * to schedules, event-driven overrides and forced activities while they apply,
+ * and fills in placeholders. Configuration comes from PresenceConfig only.
+ *
+ * States are `stopped`, `running` and `paused`; a paused service keeps the
+ * presence it shows until resumed. Events:
+ * - `state` `{state, previous}` when the service starts, stops, pauses or resumes
+ * - `update` `{name, type, status, source}` after the presence is set
+ * - `updateFailed` `{error}` when Discord rejects an update
+ */
+class PresenceService extends EventEmitter {
+  /**
+   * @param {Object} [options={}] - Options
+   * @param {import('discord.js').Client} [options.client] - The client; can also be given to start()
+   * @param {Clock} [options.clock] - Time and timers, the system's by default
+   * @param {import('../utils/presence-loader').PresenceConfig} [options.config] - Where the config comes from
+   * @param {function(): number} [options.random=Math.random] - Random source for randomized rotation
+   * @param {string} [options.version] - Bot version for `{version}`, package.json's by default
+   */
+  constructor({ client = null, clock = systemClock, config = presenceConfig, random = Math.random, version = packageVersion } = {}) {
+    super();
+    this.client = client;
+    this.clock = clock;
+    this.config = config;
+    this.random = random;
+    this.version = version;
+
+    this.state = 'stopped';
+    this.rotationTimer = null;
+    this.rotationInterval = null;
+    this.nextRotationAt = null;
+    this.overrideTimer = null;
+    this.voiceCheckTimer = null;
+    this.rotationIndex = -1;
+    this.forced = null; // set by force(); wins over everything else
+    this.appliedSource = null; // what the last successful update showed
+    this.lastUpdate = null;
+    this.pending = Promise.resolve(); // updates run one at a time, in order
+
+    this.onVoiceStateUpdate = () => this.scheduleVoiceCheck();
+  }
+
+  /**
+   * The presence configuration in use, with defaults filled in
+   * @returns {Object} The configuration
+   */
+  get presence() {
+    return this.config.getConfig();
+  }
+
+  /**
+   * Load the config, show the first activity and start the rotation and override checks
+   * @param {import('discord.js').Client} [client] - The client, if not given to the constructor
+   * @returns {Promise<boolean>} Whether the first update succeeded
+   */
+  async start(client = this.client) {
+    if (!client?.user) {
+      throw new Error('Presence needs a logged-in client');
+    }
+    this.stop();
+    this.client = client;
+
+    await this.config.load();
+    this.rotationIndex = -1;
+    this.client.on('voiceStateUpdate', this.onVoiceStateUpdate);
+    this.setState('running');
+    this.startTimers();
+
+    return this.update();
+  }
+
+  /**
+   * Stop every timer; the presence last shown stays until the bot disconnects
+   */
+  stop() {
+    this.clearTimers();
+    this.client?.off('voiceStateUpdate', this.onVoiceStateUpdate);
+    this.setState('stopped');
+  }
+
+  /**
+   * Hold the current presence: no rotation and no schedule or override switches
+   * @returns {boolean} False if the service wasn't running
+   */
+  pause() {
+    if (this.state !== 'running') return false;
+    this.clearTimers();
+    this.setState('paused');
+    return true;
+  }
+
+  /**
+   * Carry on after pause(), catching up with any schedule or override that changed meanwhile
+   * @returns {Promise<boolean>} False if the service wasn't paused
+   */
+  async resume() {
+    if (this.state !== 'paused') return false;
+    this.setState('running');
+    this.startTimers();
+    await this.checkOverrides();
+    return true;
+  }
+
+  /**
+   * Re-read the config and apply it, e.g. after presence-config.json was edited
+   * @returns {Promise<boolean>} Whether the presence was updated
+   */
+  async reload() {
+    await this.config.load();
+    if (this.state !== 'running') return false;
+    this.startTimers();
+    return this.update();
+  }
+
+  /**
+   * Change presence-config.json, save it and show the result straight away
+   * @param {function(Object): void} mutate - Changes a copy of the file's config in place
+   * @returns {Promise<Object>} The saved config, in the file's shape
+   * @throws {Error} If the changed config fails validatePresenceConfig or can't be written
+   */
+  async updateConfig(mutate) {
+    const next = this.config.getFileConfig();
+    mutate(next);
+    await this.config.save(next);
+
+    if (this.state === 'running') {
+      this.startTimers();
+      await this.update();
+    }
+    return next;
+  }
+
+  /**
+   * @private
+   * @param {string} state - The new state
+   */
+  setState(state) {
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    logger.info(`[Presence] ${previous} -> ${state}`);
+    this.emit('state', { state, previous });
+  }
+
+  /**
+   * Start the rotation timer and the schedule checks
+   * @private
+   */
+  startTimers() {
+    this.clearTimers();
+    this.overrideTimer = this.clock.setInterval(() => this.checkOverrides(), OVERRIDE_CHECK_INTERVAL);
+
+    const { rotation = {}, activities = [] } = this.presence;
+    if (rotation.enabled === false || activities.length < 2) {
+      logger.info('[Presence] Rotation is off, showing a single activity');
+      return;
+    }
+
+    this.rotationInterval = this.getRotationInterval();
+    this.nextRotationAt = this.clock.now() + this.rotationInterval;
+    this.rotationTimer = this.clock.setInterval(() => {
+      this.nextRotationAt = this.clock.now() + this.rotationInterval;
+      this.rotate();
+    }, this.rotationInterval);
+    logger.info(`[Presence] Rotating ${activities.length} activities every ${this.rotationInterval}ms`);
+  }
+
+  /**
+   * @private
+   */
+  clearTimers() {
+    this.clock.clearInterval(this.rotationTimer);
+    this.clock.clearInterval(this.overrideTimer);
+    this.clock.clearTimeout(this.voiceCheckTimer);
+    this.rotationTimer = null;
+    this.overrideTimer = null;
+    this.voiceCheckTimer = null;
+    this.rotationInterval = null;
+    this.nextRotationAt = null;
+  }
+
+  /**
+   * How often the rotation moves on: the presence config's `rotation.interval`,
+   * else bot.presenceUpdateInterval in bot-config.json
+   * @returns {number} The interval in ms, at least 30 seconds
+   */
+  getRotationInterval() {
+    const presenceInterval = this.presence.rotation?.interval;
+    const botInterval = this.client?.config?.get('bot.presenceUpdateInterval');
+    const configured = [presenceInterval, botInterval].find(value => typeof value === 'number') ?? DEFAULT_ROTATION_INTERVAL;
+    return Math.max(MIN_ROTATION_INTERVAL, configured);
+  }
+
+  /**
+   * Move to the next activity in the rotation and show it. The rotation waits
+   * while an override is showing.
+   * @returns {Promise<boolean>} Whether the presence was updated
+   */
+  async rotate() {
+    if (this.getOverride()) {
+      return this.updateIfChanged();
+    }
+
+    const { activities = [], rotation = {} } = this.presence;
+    if (activities.length > 1 && rotation.enabled !== false) {
+      if (rotation.randomize) {
+        // A different activity each time
+        const offset = 1 + Math.floor(this.random() * (activities.length - 1));
+        this.rotationIndex = (Math.max(this.rotationIndex, 0) + offset) % activities.length;
+      } else {
+        this.rotationIndex = (this.rotationIndex + 1) % activities.length;
+      }
+    }
+    return this.update();
+  }
+
+  /**
+   * The activity the rotation is on
+   * @returns {Object} The activity
+   */
+  getRotationActivity() {
+    const { activities = [] } = this.presence;
+    if (activities.length === 0) {
+      return { name: 'Discord Bot', type: 'PLAYING' };
+    }
+    if (this.rotationIndex < 0 || this.rotationIndex >= activities.length) {
+      this.rotationIndex = 0;
+    }
+    return activities[this.rotationIndex];
+  }
+
+  /**
+   * Find what should replace the rotation right now
+   * @param {number} [now] - The time to check, the clock's by default
+   * @returns {?Object} The forced presence, or the first schedule or event override that applies,
+   *   shaped like {@link module:utils/presenceSchedule~PresenceOverride}; null to rotate as usual
+   */
+  getOverride(now = this.clock.now()) {
+    if (this.forced?.until && this.forced.until <= now) {
+      logger.info(`[Presence] Forced activity "${this.forced.activity.name}" expired`);
+      this.forced = null;
+    }
+    if (this.forced) {
+      return this.forced;
+    }
+
+    try {
+      return resolvePresenceOverride(this.presence, this.client, new Date(now));
+    } catch (error) {
+      logger.error('[Presence] Error checking presence schedules:', error);
+      return null;
+    }
+  }
+
+  /**
+   * The activity and status to show now
+   * @returns {{activity: Object, status: string, source: Object}} What to show and why
+   */
+  getNextActivity() {
+    const override = this.getOverride();
+    const activity = override ? override.activity : this.getRotationActivity();
+    const status = [override?.status, this.presence.status].find(value => VALID_STATUSES.includes(value)) || 'online';
+    return { activity, status, source: override || ROTATION_SOURCE };
+  }
+
+  /**
+   * Fill in the placeholders and filters in presence text, e.g. `{users|abbr} users`
+   * @param {string} text - The template, checked by validatePresenceConfig when the config loaded
+   * @returns {string} The formatted text
+   */
+  format(text) {
+    if (!text || !this.client) return text || '';
+
+    try {
+      return renderTemplate(text, {
+        client: this.client,
+        prefix: this.presence.messages?.prefix || '!',
+        version: this.presence.messages?.version || this.version,
+        commandsToday: commandHandler.getCommandsToday(),
+        templates: this.presence.messages?.templates || {}
+      });
+    } catch (error) {
+      logger.error('Error formatting status:', error);
+      return text;
+    }
+  }
+
+  /**
+   * Show what getNextActivity() picks. Updates run one at a time.
+   * @returns {Promise<boolean>} Whether the presence was updated
+   */
+  update() {
+    this.pending = this.pending.then(() => this.applyPresence());
+    return this.pending;
+  }
+
+  /**
+   * Update only if a different source than the last update's applies. The check
+   * waits its turn behind queued updates, so timers firing together update once.
+   * @private
+   * @returns {Promise<boolean>} Whether the presence was updated
+   */
+  updateIfChanged() {
+    this.pending = this.pending.then(() => (
+      this.appliedSource && sourceKey(this.getOverride()) === this.appliedSource ? false : this.applyPresence()
+    ));
+    return this.pending;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<boolean>} Whether the presence was updated
+   */
+  async applyPresence() {
+    if (!this.client?.user) {
+      logger.error('[Presence] Cannot update presence: client.user is not available');
+      return false;
+    }
+
+    const { activity, status, source } = this.getNextActivity();
+    let name = this.format(activity.name);
+    if (name.length > MAX_ACTIVITY_LENGTH) {
+      name = `${name.substring(0, MAX_ACTIVITY_LENGTH - 3)}...`;
+    }
+    const type = getActivityType(activity.type);
+
+    try {
+      await this.client.user.setPresence({
+        activities: [{ name, type, url: activity.url || undefined }],
+        status,
+        afk: false
+      });
+    } catch (error) {
+      logger.error('[Presence] Failed to update presence:', error);
+      this.appliedSource = null;
+      this.emit('updateFailed', { error });
+      return false;
+    }
+
+    this.appliedSource = sourceKey(source);
+    this.lastUpdate = { name, type: ActivityType[type], status, source, at: this.clock.now() };
+    logger.debug(`[Presence] Showing "${name}" (${ActivityType[type]}, ${status}) from ${this.appliedSource}`);
+    this.emit('update', { name, type: ActivityType[type], status, source });
+    return true;
+  }
+
+  /**
+   * Update the presence if a schedule, live condition or forced activity has
+   * started or ended since the last update, or the last update failed
+   * @returns {Promise<boolean>} Whether an update was made
+   */
+  async checkOverrides() {
+    if (this.state !== 'running') return false;
+    return this.updateIfChanged();
+  }
+
+  /**
+   * Check live conditions shortly after voice activity; join and leave bursts settle into one check
+   * @private
+   */
+  scheduleVoiceCheck() {
+    if (this.voiceCheckTimer || this.state !== 'running') return;
+    this.voiceCheckTimer = this.clock.setTimeout(() => {
+      this.voiceCheckTimer = null;
+      this.checkOverrides().catch(error => logger.error('[Presence] Error checking presence overrides:', error));
+    }, VOICE_CHECK_DELAY);
+  }
+
+  /**
+   * Show an activity in place of the rotation, schedules and overrides
+   * @param {Object} activity - The activity, `{name, type, url?}`
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.status] - The status to show with it
+   * @param {number} [options.duration] - How long to show it for, in ms; until cleared when omitted
+   * @returns {Promise<boolean>} Whether the presence was updated
+   */
+  force(activity, options = {}) {
+    this.forced = {
+      source: 'forced',
+      name: 'Forced',
+      guildId: null,
+      activity: { ...activity, type: String(activity.type || 'PLAYING').toUpperCase() },
+      status: options.status || null,
+      until: options.duration ? this.clock.now() + options.duration : null
+    };
+    logger.info(`[Presence] Forcing activity "${activity.name}"${options.duration ? ` for ${options.duration}ms` : ''}`);
+    return this.update();
+  }
+
+  /**
+   * Stop forcing an activity and go back to schedules, overrides and the rotation
+   * @returns {Promise<boolean>} False if nothing was forced, otherwise whether the presence was updated
+   */
+  async clearForced() {
+    if (!this.forced) return false;
+    this.forced = null;
+    logger.info('[Presence] Cleared the forced activity');
+    return this.update();
+  }
+
+  /**
+   * Describe what the bot would show right now without changing its presence
+   * @param {number} [now] - The time to preview, the clock's by default
+   * @returns {{override: ?Object, forced: ?Object, name: string, status: string}} The override that
+   *   applies (null when the rotation is in charge), the forced activity, and the formatted
+   *   activity name and status it would show
+   */
+  preview(now = this.clock.now()) {
+    const override = this.getOverride(now);
+    const activity = override ? override.activity : this.getRotationActivity();
+    return {
+      override,
+      forced: this.forced,
+      name: this.format(activity.name),
+      status: [override?.status, this.presence.status].find(value => VALID_STATUSES.includes(value)) || 'online'
+    };
+  }
+
+  /**
+   * Report what the service is doing
+   * @returns {Object} State, rotation timing, the last update and the forced activity
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      rotationInterval: this.rotationInterval,
+      nextRotationAt: this.nextRotationAt,
+      activityCount: this.presence.activities?.length || 0,
+      source: this.appliedSource,
+      lastUpdate: this.lastUpdate,
+      forced: this.forced
+    };
+  }
+}
+
+// Create and export a singleton instance
+const presenceService = new PresenceService();
+
+module.exports = presenceService;
+module.exports.PresenceService = PresenceService;
+module.exports.systemClock = systemClock;
+module.exports.getActivityType = getActivityType;
@@ -0,0 +1,181 @@
+const logger = require('../utils/logger');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * How long to wait before retrying a failed role update, or null if the error
+ * should not be retried
+ * @param {Error} error - The error thrown by discord.js
+ * @param {number} attempt - The attempt that failed (1-based)
+ * @returns {number|null} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  // Thrown by @discordjs/rest when it gives up waiting on a rate limit
+  if (typeof error?.retryAfter === 'number') return error.retryAfter;
+  // A raw 429 carries retry_after in seconds
+  if (error?.status === 429) return (error.rawError?.retry_after ?? 1) * 1000;
+  // Discord-side failures are usually transient
+  if (error?.status >= 500) return 1000 * attempt;
+  return null;
+}
+
+/**
+ * Serialises role changes for a single guild. Changes queued for the same
+ * member before they are applied are merged into one request, and the queue
+ * pauses while Discord reports the guild as rate limited.
+ */
+class RoleMutationQueue {
+  /**
+   * @param {string} guildId - The guild this queue belongs to
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries=3] - Attempts per member before giving up
+   */
+  constructor(guildId, { maxRetries = 3 } = {}) {
+    this.guildId = guildId;
+    this.maxRetries = maxRetries;
+    this.pending = new Map(); // memberId -> { member, changes: Map<roleId, boolean>, reasons, waiters }
+    this.processing = false;
+    this.pausedUntil = 0;
+    this.metrics = {
+      processed: 0,
+      failed: 0,
+      retried: 0,
+      coalesced: 0,
+      rateLimited: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Number of members with changes waiting to be applied
+   * @returns {number}
+   */
+  get depth() {
+    return this.pending.size;
+  }
+
+  /**
+   * Queue role changes for a member. If the member already has changes queued
+   * they are merged, with the latest change for a role winning.
+   * @param {import('discord.js').GuildMember} member - The member to update
+   * @param {Object} changes
+   * @param {string[]} [changes.add=[]] - Role IDs to add
+   * @param {string[]} [changes.remove=[]] - Role IDs to remove
+   * @param {string} [reason] - Audit log reason
+   * @returns {Promise<{added: string[], removed: string[]}>} The roles actually changed
+   */
+  enqueue(member, { add = [], remove = [] } = {}, reason) {
+    return new Promise((resolve, reject) => {
+      let entry = this.pending.get(member.id);
+      if (entry) {
+        entry.member = member;
+        this.metrics.coalesced++;
+      } else {
+        entry = { member, changes: new Map(), reasons: new Set(), waiters: [] };
+        this.pending.set(member.id, entry);
+      }
+
+      remove.forEach(roleId => entry.changes.set(roleId, false));
+      add.forEach(roleId => entry.changes.set(roleId, true));
+      if (reason) entry.reasons.add(reason);
+      entry.waiters.push({ resolve, reject });
+
+      this.process();
+    });
+  }
+
+  /**
+   * Hold off sending requests for a while
+   * @param {number} ms - How long to pause, in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.metrics.rateLimited++;
+    logger.warn(`[ROLE_QUEUE][${this.guildId}] Rate limited, pausing for ${ms}ms with ${this.depth} member(s) queued`);
+  }
+
+  /**
+   * Snapshot of the queue's depth and counters
+   * @returns {{depth: number, processed: number, failed: number, retried: number, coalesced: number, rateLimited: number, lastError: ?Object}}
+   */
+  getMetrics() {
+    return { depth: this.depth, ...this.metrics };
+  }
+
+  /**
+   * Apply queued changes one member at a time until the queue is empty
+   * @private
+   */
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.pending.size > 0) {
+        const wait = this.pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        const [memberId, entry] = this.pending.entries().next().value;
+        this.pending.delete(memberId);
+
+        try {
+          const result = await this.apply(entry);
+          this.metrics.processed++;
+          entry.waiters.forEach(waiter => waiter.resolve(result));
+        } catch (error) {
+          this.metrics.failed++;
+          this.metrics.lastError = { message: error.message, code: error.code, at: Date.now() };
+          logger.error(`[ROLE_QUEUE][${this.guildId}] Failed to update roles for member ${memberId}:`, {
+            error: error.message,
+            code: error.code
+          });
+          entry.waiters.forEach(waiter => waiter.reject(error));
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Send a member's merged changes as a single role update
+   * @private
+   */
+  async apply({ member, changes, reasons }) {
+    const current = member.roles.cache;
+    const added = [];
+    const removed = [];
+    for (const [roleId, shouldHave] of changes) {
+      if (shouldHave && !current.has(roleId)) added.push(roleId);
+      if (!shouldHave && current.has(roleId)) removed.push(roleId);
+    }
+
+    if (added.length === 0 && removed.length === 0) {
+      return { added, removed };
+    }
+
+    const roleIds = [...current.keys()].filter(roleId => !removed.includes(roleId)).concat(added);
+    const reason = [...reasons].join('; ') || undefined;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await member.roles.set(roleIds, reason);
+        break;
+      } catch (error) {
+        const delay = getRetryDelay(error, attempt);
+        if (delay === null || attempt >= this.maxRetries) throw error;
+
+        this.metrics.retried++;
+        if (error.status === 429 || typeof error.retryAfter === 'number') {
+          this.pause(delay);
+        }
+        await sleep(delay);
+      }
+    }
+
+    logger.debug(`[ROLE_QUEUE][${this.guildId}] Updated roles for ${member.user?.tag || member.id}`, { added, removed });
+    return { added, removed };
+  }
+}
+
+module.exports = RoleMutationQueue;
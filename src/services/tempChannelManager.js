@@ -0,0 +1,450 @@
+const { ChannelType, PermissionFlagsBits, ButtonStyle, Colors } = require('discord.js');
+const logger = require('../utils/logger');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../utils/errorUtils');
+const { createEmbed, createButton, createActionRow } = require('../utils/embedUtils');
+
+const DEFAULT_NAME_TEMPLATE = "{user}'s Room";
+
+// Permissions granted to the member who owns a temporary channel
+const OWNER_PERMISSIONS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.Connect,
+  PermissionFlagsBits.Speak,
+  PermissionFlagsBits.Stream,
+  PermissionFlagsBits.ManageChannels,
+  PermissionFlagsBits.MoveMembers,
+  PermissionFlagsBits.MuteMembers,
+  PermissionFlagsBits.DeafenMembers
+];
+
+/**
+ * @typedef {Object} HubSettings
+ * @property {string} [nameTemplate] - Name for created channels; `{user}` is replaced with the owner's display name
+ * @property {number} [userLimit] - User limit for created channels (0 for none)
+ */
+
+/**
+ * @typedef {Object} TempChannel
+ * @property {string} ownerId - ID of the member who owns the channel
+ * @property {string} hubId - ID of the hub channel it was created from
+ * @property {number} createdAt - Creation time (ms since epoch)
+ */
+
+/**
+ * Creates personal voice channels when members join a hub channel and deletes
+ * them once they are empty. Hubs and the channels created from them are stored
+ * in the guild config (`hubChannels` and `tempChannels`).
+ */
+class TempChannelManager {
+  constructor() {
+    this.creating = new Set(); // `${guildId}:${userId}` while a channel is being created
+    this.deleting = new Set(); // channel IDs being deleted
+  }
+
+  /**
+   * Load a guild's stored config through the client's config system
+   * @private
+   */
+  async loadConfig(client, guildId) {
+    return client.config.getVCConfig(guildId);
+  }
+
+  /**
+   * Change a guild's stored config under its write lock, so channels created
+   * and deleted at the same time don't drop each other's records
+   * @private
+   */
+  async updateConfig(client, guildId, mutate) {
+    return client.config.updateVCConfig(guildId, mutate);
+  }
+
+  /**
+   * Check whether a channel is a hub
+   * @param {Object} config - The guild's voice configuration
+   * @param {string} channelId - The channel ID
+   * @returns {boolean}
+   */
+  isHub(config, channelId) {
+    return Boolean(channelId && config?.hubChannels?.[channelId]);
+  }
+
+  /**
+   * Get the stored record for a temporary channel
+   * @param {Object} config - The guild's voice configuration
+   * @param {string} channelId - The channel ID
+   * @returns {TempChannel|null}
+   */
+  getTempChannel(config, channelId) {
+    return (channelId && config?.tempChannels?.[channelId]) || null;
+  }
+
+  /**
+   * Resolve a temporary channel and check that a member owns it
+   * @param {import('discord.js').GuildMember} member - The member using an owner control
+   * @param {string} [channelId] - The channel to control, defaults to the member's current voice channel
+   * @returns {Promise<{channel: import('discord.js').VoiceChannel, record: TempChannel}>}
+   * @throws {NotFoundError} If the channel is not a temporary channel
+   * @throws {AuthorizationError} If the member does not own the channel
+   */
+  async getOwnedChannel(member, channelId = member.voice.channelId) {
+    const { channel, record } = await this.resolveTempChannel(member, channelId);
+    if (record.ownerId !== member.id) {
+      throw new AuthorizationError('Only the owner of this channel can do that. If they have left, use claim to take it over.');
+    }
+    return { channel, record };
+  }
+
+  /**
+   * @private
+   */
+  async resolveTempChannel(member, channelId) {
+    if (!channelId) {
+      throw new NotFoundError('Join your voice channel first');
+    }
+
+    const config = await this.loadConfig(member.client, member.guild.id);
+    const record = this.getTempChannel(config, channelId);
+    const channel = record && member.guild.channels.cache.get(channelId);
+    if (!channel) {
+      throw new NotFoundError('This is not a temporary voice channel');
+    }
+    return { channel, record };
+  }
+
+  /**
+   * Stop members without an explicit permit from joining
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @returns {Promise<void>}
+   */
+  async lock(channel) {
+    await channel.permissionOverwrites.edit(channel.guild.roles.everyone, { Connect: false }, { reason: 'Temporary channel locked by its owner' });
+  }
+
+  /**
+   * Let everyone who can see the channel join it again
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @returns {Promise<void>}
+   */
+  async unlock(channel) {
+    await channel.permissionOverwrites.edit(channel.guild.roles.everyone, { Connect: null }, { reason: 'Temporary channel unlocked by its owner' });
+  }
+
+  /**
+   * Change the channel's user limit
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @param {number} limit - The new limit, 0 for none
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the limit is out of range
+   */
+  async setLimit(channel, limit) {
+    if (!Number.isInteger(limit) || limit < 0 || limit > 99) {
+      throw new ValidationError('The user limit must be a whole number from 0 to 99');
+    }
+    await channel.setUserLimit(limit, 'User limit changed by the channel owner');
+  }
+
+  /**
+   * Rename the channel. Discord only allows two renames per channel every ten minutes.
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @param {string} name - The new name
+   * @returns {Promise<import('discord.js').VoiceChannel>} The renamed channel
+   * @throws {ValidationError} If the name is empty or too long
+   */
+  async rename(channel, name) {
+    const trimmed = name?.trim();
+    if (!trimmed || trimmed.length > 100) {
+      throw new ValidationError('The channel name must be between 1 and 100 characters');
+    }
+    return channel.setName(trimmed, 'Renamed by the channel owner');
+  }
+
+  /**
+   * Let a user join the channel even while it is locked
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @param {import('discord.js').User} user - The user to permit
+   * @returns {Promise<void>}
+   */
+  async permit(channel, user) {
+    await channel.permissionOverwrites.edit(user.id, { ViewChannel: true, Connect: true }, { reason: 'Permitted by the channel owner' });
+  }
+
+  /**
+   * Stop a user from joining the channel and disconnect them if they are in it
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @param {TempChannel} record - The channel's stored record
+   * @param {import('discord.js').User} user - The user to reject
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the user is the owner
+   */
+  async reject(channel, record, user) {
+    if (user.id === record.ownerId) {
+      throw new ValidationError('You cannot reject yourself from your own channel');
+    }
+
+    await channel.permissionOverwrites.edit(user.id, { Connect: false }, { reason: 'Rejected by the channel owner' });
+
+    const member = channel.members.get(user.id);
+    if (member) {
+      await member.voice.disconnect('Rejected by the channel owner');
+    }
+  }
+
+  /**
+   * Hand the channel, and its owner permissions, to another member
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @param {TempChannel} record - The channel's stored record
+   * @param {import('discord.js').User} user - The new owner
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the user is a bot or already owns the channel
+   */
+  async transfer(channel, record, user) {
+    if (user.bot) {
+      throw new ValidationError('Bots cannot own voice channels');
+    }
+    if (user.id === record.ownerId) {
+      throw new ValidationError(`<@${user.id}> already owns this channel`);
+    }
+
+    const { guild, client } = channel;
+    const config = await this.loadConfig(client, guild.id);
+    if (!config.tempChannels?.[channel.id]) {
+      throw new NotFoundError('This is not a temporary voice channel');
+    }
+
+    const previousOwnerId = config.tempChannels[channel.id].ownerId;
+    await channel.permissionOverwrites.delete(previousOwnerId, 'Channel ownership transferred').catch(() => {});
+    await channel.permissionOverwrites.edit(user.id, this.getOwnerOverwrite(), { reason: 'Channel ownership transferred' });
+
+    await this.updateConfig(client, guild.id, latest => {
+      if (!latest.tempChannels?.[channel.id]) return false;
+      latest.tempChannels[channel.id] = { ...latest.tempChannels[channel.id], ownerId: user.id };
+    });
+
+    logger.info(`[TEMP_VC] Ownership of ${channel.name} (${channel.id}) moved from ${previousOwnerId} to ${user.id}`);
+  }
+
+  /**
+   * Take over a temporary channel whose owner has left it
+   * @param {import('discord.js').GuildMember} member - The member claiming the channel
+   * @param {string} [channelId] - The channel to claim, defaults to the member's current voice channel
+   * @returns {Promise<import('discord.js').VoiceChannel>} The claimed channel
+   * @throws {ValidationError} If the member is not in the channel or the owner is still in it
+   */
+  async claim(member, channelId = member.voice.channelId) {
+    const { channel, record } = await this.resolveTempChannel(member, channelId);
+
+    if (record.ownerId === member.id) {
+      throw new ValidationError('You already own this channel');
+    }
+    if (member.voice.channelId !== channel.id) {
+      throw new ValidationError('You need to be in the channel to claim it');
+    }
+    if (channel.members.has(record.ownerId)) {
+      throw new ValidationError(`<@${record.ownerId}> is still in the channel`);
+    }
+
+    await this.transfer(channel, record, member.user);
+    return channel;
+  }
+
+  /**
+   * Permission overwrite given to a channel's owner
+   * @private
+   */
+  getOwnerOverwrite() {
+    return Object.fromEntries(
+      Object.entries(PermissionFlagsBits)
+        .filter(([, bit]) => OWNER_PERMISSIONS.includes(bit))
+        .map(([name]) => [name, true])
+    );
+  }
+
+  /**
+   * Build the control panel message posted in a temporary channel's chat
+   * @param {import('discord.js').VoiceChannel} channel - The temporary channel
+   * @returns {{embeds: import('discord.js').EmbedBuilder[], components: import('discord.js').ActionRowBuilder[]}}
+   */
+  buildControlPanel(channel) {
+    const embed = createEmbed({
+      title: `🎛️ ${channel.name}`,
+      description: [
+        'The owner of this channel can use these buttons to manage it.',
+        'Permit, Reject and Transfer ask which member to apply to.',
+        'If the owner leaves, anyone in the channel can claim it.'
+      ].join('\n'),
+      color: Colors.Blurple
+    });
+
+    const row = createActionRow([
+      createButton({ customId: `voice:lock:${channel.id}`, label: 'Lock', emoji: '🔒', style: ButtonStyle.Secondary }),
+      createButton({ customId: `voice:unlock:${channel.id}`, label: 'Unlock', emoji: '🔓', style: ButtonStyle.Secondary }),
+      createButton({ customId: `voice:rename:${channel.id}`, label: 'Rename', emoji: '✏️', style: ButtonStyle.Secondary }),
+      createButton({ customId: `voice:limit:${channel.id}`, label: 'Limit', emoji: '👥', style: ButtonStyle.Secondary }),
+      createButton({ customId: `voice:claim:${channel.id}`, label: 'Claim', emoji: '👑', style: ButtonStyle.Primary })
+    ]);
+    const memberRow = createActionRow([
+      createButton({ customId: `voice:permit:${channel.id}`, label: 'Permit', emoji: '✅', style: ButtonStyle.Secondary }),
+      createButton({ customId: `voice:reject:${channel.id}`, label: 'Reject', emoji: '⛔', style: ButtonStyle.Secondary }),
+      createButton({ customId: `voice:transfer:${channel.id}`, label: 'Transfer', emoji: '🔁', style: ButtonStyle.Secondary })
+    ]);
+
+    return { embeds: [embed], components: [row, memberRow] };
+  }
+
+  /**
+   * Create a personal channel for a member who joined a hub and move them into it.
+   * If they already own a temporary channel they are moved back into it instead.
+   * @param {import('discord.js').GuildMember} member - The member who joined the hub
+   * @param {import('discord.js').VoiceChannel} hub - The hub channel
+   * @returns {Promise<import('discord.js').VoiceChannel|null>} The member's channel, or null if none could be created
+   */
+  async handleHubJoin(member, hub) {
+    const { guild, client } = member;
+    const key = `${guild.id}:${member.id}`;
+    if (this.creating.has(key)) return null;
+    this.creating.add(key);
+
+    try {
+      const config = await this.loadConfig(client, guild.id);
+      const settings = config.hubChannels?.[hub.id];
+      if (!settings) return null;
+
+      // Send members who already own a channel back to it
+      const existingId = Object.keys(config.tempChannels || {})
+        .find(channelId => config.tempChannels[channelId].ownerId === member.id);
+      const existing = existingId && guild.channels.cache.get(existingId);
+      if (existing) {
+        await member.voice.setChannel(existing, 'Returning to their temporary voice channel');
+        return existing;
+      }
+
+      const me = guild.members.me;
+      const missing = ['ManageChannels', 'MoveMembers'].filter(perm => !me?.permissions.has(perm));
+      if (missing.length > 0) {
+        logger.error(`[TEMP_VC] Cannot create temporary channel in ${guild.name}: missing ${missing.join(', ')}`);
+        return null;
+      }
+
+      const name = (settings.nameTemplate || DEFAULT_NAME_TEMPLATE)
+        .replace(/\{user\}/g, member.displayName)
+        .slice(0, 100);
+
+      const channel = await guild.channels.create({
+        name,
+        type: ChannelType.GuildVoice,
+        parent: hub.parentId,
+        bitrate: hub.bitrate,
+        userLimit: settings.userLimit || 0,
+        permissionOverwrites: [
+          ...(hub.parent?.permissionOverwrites.cache.values() || []),
+          { id: member.id, allow: OWNER_PERMISSIONS }
+        ],
+        reason: `Temporary voice channel for ${member.user.tag}`
+      });
+
+      await this.updateConfig(client, guild.id, latest => {
+        latest.tempChannels = {
+          ...(latest.tempChannels || {}),
+          [channel.id]: { ownerId: member.id, hubId: hub.id, createdAt: Date.now() }
+        };
+      });
+
+      logger.info(`[TEMP_VC] Created ${channel.name} (${channel.id}) for ${member.user.tag} from hub ${hub.name}`);
+
+      try {
+        await member.voice.setChannel(channel, 'Moving member into their temporary voice channel');
+      } catch (error) {
+        // The member left the hub before we could move them
+        logger.warn(`[TEMP_VC] Could not move ${member.user.tag} into ${channel.name}:`, error.message);
+        await this.deleteIfEmpty(channel);
+        return null;
+      }
+
+      await channel.send({ content: `<@${member.id}>`, ...this.buildControlPanel(channel) }).catch(error => {
+        logger.warn(`[TEMP_VC] Could not post the control panel in ${channel.name}:`, error.message);
+      });
+
+      return channel;
+    } catch (error) {
+      logger.error(`[TEMP_VC] Failed to create temporary channel for ${member.user.tag}:`, error);
+      return null;
+    } finally {
+      this.creating.delete(key);
+    }
+  }
+
+  /**
+   * Delete a temporary channel once nobody is left in it
+   * @param {import('discord.js').VoiceBasedChannel} channel - The channel a member just left
+   * @returns {Promise<boolean>} Whether the channel was deleted
+   */
+  async deleteIfEmpty(channel) {
+    const { guild, client } = channel;
+    if (this.deleting.has(channel.id)) return false;
+    this.deleting.add(channel.id);
+
+    try {
+      const config = await this.loadConfig(client, guild.id);
+      if (!this.getTempChannel(config, channel.id) || channel.members.size > 0) {
+        return false;
+      }
+
+      await channel.delete('Temporary voice channel is empty');
+      await this.updateConfig(client, guild.id, latest => {
+        if (!latest.tempChannels?.[channel.id]) return false;
+        delete latest.tempChannels[channel.id];
+      });
+
+      logger.info(`[TEMP_VC] Deleted empty temporary channel ${channel.name} (${channel.id})`);
+      return true;
+    } catch (error) {
+      logger.error(`[TEMP_VC] Failed to delete temporary channel ${channel.id}:`, error);
+      return false;
+    } finally {
+      this.deleting.delete(channel.id);
+    }
+  }
+
+  /**
+   * Remove temporary channels that emptied or vanished while the bot was offline
+   * @param {import('discord.js').Client} client - The Discord client
+   * @returns {Promise<void>}
+   */
+  async cleanupTempChannels(client) {
+    for (const guild of client.guilds.cache.values()) {
+      try {
+        const config = await this.loadConfig(client, guild.id);
+        const tempChannelIds = Object.keys(config.tempChannels || {});
+        if (tempChannelIds.length === 0) continue;
+
+        const removed = [];
+        for (const channelId of tempChannelIds) {
+          const channel = await guild.channels.fetch(channelId).catch(() => null);
+          if (channel && channel.members.size > 0) continue;
+
+          if (channel) {
+            await channel.delete('Temporary voice channel is empty').catch(error => {
+              logger.warn(`[TEMP_VC] Failed to delete temporary channel ${channelId}:`, error.message);
+            });
+          }
+          removed.push(channelId);
+        }
+
+        if (removed.length > 0) {
+          await this.updateConfig(client, guild.id, latest => {
+            removed.forEach(channelId => delete latest.tempChannels?.[channelId]);
+          });
+          logger.info(`[TEMP_VC] Cleaned up ${removed.length} temporary channel(s) in ${guild.name}`);
+        }
+      } catch (error) {
+        logger.error(`[TEMP_VC] Failed to clean up temporary channels in guild ${guild.id}:`, error);
+      }
+    }
+  }
+}
+
+// Create and export a singleton instance
+const tempChannelManager = new TempChannelManager();
+
+module.exports = tempChannelManager;
+module.exports.TempChannelManager = TempChannelManager;
@@ -0,0 +1,135 @@
+const { Colors } = require('discord.js');
+const logger = require('../utils/logger');
+const { createEmbed } = require('../utils/embedUtils');
+
+// How long to collect events before posting them as one message
+const BATCH_DELAY = 5000;
+// Lines per message; keeps the embed well under Discord's description limit
+const MAX_LINES = 25;
+
+/**
+ * Voice events that can be posted to a guild's log channel. The keys are the
+ * toggles stored under `logging` in the guild config.
+ * @type {Object.<string, {label: string, emoji: string}>}
+ */
+const EVENT_TYPES = {
+  join: { label: 'Join', emoji: '📥' },
+  leave: { label: 'Leave', emoji: '📤' },
+  move: { label: 'Move', emoji: '🔀' },
+  serverMute: { label: 'Server mute', emoji: '🔇' },
+  deafen: { label: 'Deafen', emoji: '🙉' },
+  streamStart: { label: 'Stream start', emoji: '📺' },
+  roleGrant: { label: 'Role granted', emoji: '➕' },
+  roleRemove: { label: 'Role removed', emoji: '➖' }
+};
+
+/**
+ * Fill in event toggles missing from a stored guild config; every event is on by default
+ * @param {Object.<string, boolean>} [logging] - The guild's stored toggles
+ * @returns {Object.<string, boolean>} A toggle for every event type
+ */
+function normalizeLogging(logging) {
+  return Object.fromEntries(
+    Object.keys(EVENT_TYPES).map(type => [type, logging?.[type] !== false])
+  );
+}
+
+/**
+ * Posts voice activity to the guild's configured log channel (`channels.log`).
+ * Events are collected per guild and posted together, so a burst of joins or
+ * a reconciliation pass becomes one message instead of dozens.
+ */
+class VoiceAuditLog {
+  constructor() {
+    this.batches = new Map(); // guildId -> { guild, channelId, lines, timer }
+  }
+
+  /**
+   * Check whether an event type should be posted for a guild
+   * @param {Object} config - The guild's voice configuration
+   * @param {string} type - One of the EVENT_TYPES keys
+   * @returns {boolean}
+   */
+  isEnabled(config, type) {
+    return Boolean(config?.logChannelId) && config.logging?.[type] !== false;
+  }
+
+  /**
+   * Queue an event for the guild's log channel
+   * @param {import('discord.js').Guild} guild - The guild the event happened in
+   * @param {Object} config - The guild's voice configuration
+   * @param {string} type - One of the EVENT_TYPES keys
+   * @param {string} description - What happened, e.g. `<@user> joined <#channel>`
+   * @param {number} [at=Date.now()] - When it happened
+   */
+  record(guild, config, type, description, at = Date.now()) {
+    const eventType = EVENT_TYPES[type];
+    if (!eventType) {
+      logger.warn(`[VOICE_LOG] Unknown event type "${type}"`);
+      return;
+    }
+    if (!this.isEnabled(config, type)) return;
+
+    let batch = this.batches.get(guild.id);
+    if (!batch) {
+      batch = { guild, channelId: config.logChannelId, lines: [], timer: null };
+      batch.timer = setTimeout(() => this.flush(guild.id), BATCH_DELAY);
+      batch.timer.unref?.();
+      this.batches.set(guild.id, batch);
+    }
+
+    batch.channelId = config.logChannelId;
+    batch.lines.push(`<t:${Math.floor(at / 1000)}:T> ${eventType.emoji} ${description}`);
+
+    if (batch.lines.length >= MAX_LINES) {
+      this.flush(guild.id);
+    }
+  }
+
+  /**
+   * Post a guild's queued events now
+   * @param {string} guildId - The guild ID
+   * @returns {Promise<void>}
+   */
+  async flush(guildId) {
+    const batch = this.batches.get(guildId);
+    if (!batch) return;
+
+    clearTimeout(batch.timer);
+    this.batches.delete(guildId);
+
+    const channel = batch.guild.channels.cache.get(batch.channelId);
+    if (!channel?.isTextBased()) {
+      logger.warn(`[VOICE_LOG] Log channel ${batch.channelId} in ${batch.guild.name} is missing or not a text channel, dropped ${batch.lines.length} event(s)`);
+      return;
+    }
+
+    const embed = createEmbed({
+      title: 'Voice Activity',
+      description: batch.lines.join('\n'),
+      color: Colors.Blurple
+    });
+
+    try {
+      await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+    } catch (error) {
+      logger.warn(`[VOICE_LOG] Failed to post ${batch.lines.length} event(s) to ${batch.channelId} in ${batch.guild.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Post every guild's queued events, e.g. before shutting down
+   * @returns {Promise<void>}
+   */
+  async flushAll() {
+    await Promise.all([...this.batches.keys()].map(guildId => this.flush(guildId)));
+  }
+}
+
+// Create and export a singleton instance
+const voiceAuditLog = new VoiceAuditLog();
+
+module.exports = voiceAuditLog;
+module.exports.VoiceAuditLog = VoiceAuditLog;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.normalizeLogging = normalizeLogging;
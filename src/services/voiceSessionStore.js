@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// How often open sessions record that the bot still saw them, so sessions left
+// open by a crash or restart can be closed at a sensible time
+const CHECKPOINT_INTERVAL = 60 * 1000;
+
+/**
+ * Reporting windows used by the voice statistics, in milliseconds
+ * @type {Object.<string, number>}
+ */
+const WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS voice_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER,
+    last_seen_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_voice_sessions_guild_started ON voice_sessions (guild_id, started_at);
+  CREATE INDEX IF NOT EXISTS idx_voice_sessions_open ON voice_sessions (guild_id, user_id, ended_at);
+`;
+
+// Time spent inside [@since, @now], clipping sessions that straddle either edge
+const DURATION = 'SUM(MIN(COALESCE(ended_at, @now), @now) - MAX(started_at, @since))';
+const IN_WINDOW = 'started_at < @now AND COALESCE(ended_at, @now) > @since';
+
+/**
+ * Records voice channel sessions (join, leave, move) in the SQLite database
+ * configured by the `database` block of bot-config.json
+ */
+class VoiceSessionStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.checkpointTimer = null;
+  }
+
+  /**
+   * Whether the store is open and recording sessions
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.db !== null;
+  }
+
+  /**
+   * Open the session database
+   * @param {Object} [options] - The `database` block from bot-config.json
+   * @param {boolean} [options.enabled] - Whether the database is enabled
+   * @param {string} [options.type] - Database type, only `sqlite` is supported
+   * @param {string} [options.path] - Path to the database file
+   * @returns {boolean} Whether the store was opened
+   */
+  open(options = {}) {
+    if (this.db) return true;
+
+    if (!options.enabled) {
+      logger.info('[VOICE_SESSIONS] Database is disabled, voice session tracking is off');
+      return false;
+    }
+
+    if (options.type && options.type !== 'sqlite') {
+      logger.warn(`[VOICE_SESSIONS] Unsupported database type "${options.type}", voice session tracking is off`);
+      return false;
+    }
+
+    const Database = require('better-sqlite3');
+    const dbPath = path.resolve(process.cwd(), options.path || './data/bot.db');
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      closeOpen: this.db.prepare(
+        'UPDATE voice_sessions SET ended_at = @at, last_seen_at = @at WHERE guild_id = @guildId AND user_id = @userId AND ended_at IS NULL'
+      ),
+      insert: this.db.prepare(
+        'INSERT INTO voice_sessions (guild_id, user_id, channel_id, started_at, last_seen_at) VALUES (@guildId, @userId, @channelId, @at, @at)'
+      ),
+      checkpoint: this.db.prepare('UPDATE voice_sessions SET last_seen_at = @at WHERE ended_at IS NULL'),
+      closeStale: this.db.prepare('UPDATE voice_sessions SET ended_at = last_seen_at WHERE ended_at IS NULL'),
+      userTotal: this.db.prepare(
+        `SELECT ${DURATION} AS duration FROM voice_sessions WHERE guild_id = @guildId AND user_id = @userId AND ${IN_WINDOW}`
+      ),
+      userChannels: this.db.prepare(
+        `SELECT channel_id AS channelId, ${DURATION} AS duration FROM voice_sessions
+         WHERE guild_id = @guildId AND user_id = @userId AND ${IN_WINDOW}
+         GROUP BY channel_id ORDER BY duration DESC LIMIT @limit`
+      ),
+      channelTotal: this.db.prepare(
+        `SELECT ${DURATION} AS duration FROM voice_sessions WHERE guild_id = @guildId AND channel_id = @channelId AND ${IN_WINDOW}`
+      ),
+      channelUsers: this.db.prepare(
+        `SELECT user_id AS userId, ${DURATION} AS duration FROM voice_sessions
+         WHERE guild_id = @guildId AND channel_id = @channelId AND ${IN_WINDOW}
+         GROUP BY user_id ORDER BY duration DESC LIMIT @limit`
+      ),
+      topChannels: this.db.prepare(
+        `SELECT channel_id AS channelId, ${DURATION} AS duration FROM voice_sessions
+         WHERE guild_id = @guildId AND ${IN_WINDOW}
+         GROUP BY channel_id ORDER BY duration DESC LIMIT @limit`
+      )
+    };
+
+    logger.info(`[VOICE_SESSIONS] Recording voice sessions to ${dbPath}`);
+    return true;
+  }
+
+  /**
+   * Stop checkpointing and close the database
+   */
+  close() {
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+
+    if (this.db) {
+      this.checkpoint();
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+
+  /**
+   * Record a voice state transition. Leaving or moving closes the member's open
+   * session; joining or moving starts a new one.
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @param {string|null} oldChannelId - The channel the member left, if any
+   * @param {string|null} newChannelId - The channel the member joined, if any
+   * @param {number} [at=Date.now()] - When the transition happened
+   */
+  recordTransition(guildId, userId, oldChannelId, newChannelId, at = Date.now()) {
+    if (!this.db || oldChannelId === newChannelId) return;
+
+    try {
+      this.db.transaction(() => {
+        this.statements.closeOpen.run({ guildId, userId, at });
+        if (newChannelId) {
+          this.statements.insert.run({ guildId, userId, channelId: newChannelId, at });
+        }
+      })();
+    } catch (error) {
+      logger.error(`[VOICE_SESSIONS] Failed to record voice session for user ${userId} in guild ${guildId}:`, error);
+    }
+  }
+
+  /**
+   * Close sessions left open by the previous run and open sessions for members
+   * who are in voice right now, then start checkpointing
+   * @param {import('discord.js').Client} client - The Discord client
+   * @param {number} [at=Date.now()] - The current time
+   */
+  resume(client, at = Date.now()) {
+    if (!this.db) return;
+
+    const stale = this.statements.closeStale.run().changes;
+
+    let opened = 0;
+    this.db.transaction(() => {
+      for (const guild of client.guilds.cache.values()) {
+        for (const voiceState of guild.voiceStates.cache.values()) {
+          if (!voiceState.channelId || voiceState.member?.user?.bot) continue;
+          this.statements.insert.run({
+            guildId: guild.id,
+            userId: voiceState.id,
+            channelId: voiceState.channelId,
+            at
+          });
+          opened++;
+        }
+      }
+    })();
+
+    logger.info(`[VOICE_SESSIONS] Closed ${stale} stale sessions and opened ${opened} for members already in voice`);
+
+    if (!this.checkpointTimer) {
+      this.checkpointTimer = setInterval(() => this.checkpoint(), CHECKPOINT_INTERVAL);
+      this.checkpointTimer.unref?.();
+    }
+  }
+
+  /**
+   * Mark every open session as still active
+   * @param {number} [at=Date.now()] - The current time
+   */
+  checkpoint(at = Date.now()) {
+    if (!this.db) return;
+
+    try {
+      this.statements.checkpoint.run({ at });
+    } catch (error) {
+      logger.error('[VOICE_SESSIONS] Failed to checkpoint open sessions:', error);
+    }
+  }
+
+  /**
+   * Time a member spent in voice during a window
+   * @param {string} guildId - The guild ID
+   * @param {string} userId - The user ID
+   * @param {number} since - Start of the window (ms since epoch)
+   * @param {Object} [options]
+   * @param {number} [options.now=Date.now()] - End of the window
+   * @param {number} [options.limit=5] - Maximum number of channels to return
+   * @returns {{total: number, channels: Array<{channelId: string, duration: number}>}} Durations in ms
+   */
+  getUserTotals(guildId, userId, since, { now = Date.now(), limit = 5 } = {}) {
+    this.assertOpen();
+    const params = { guildId, userId, since, now, limit };
+    return {
+      total: this.statements.userTotal.get(params).duration || 0,
+      channels: this.statements.userChannels.all(params)
+    };
+  }
+
+  /**
+   * Time members spent in a voice channel during a window
+   * @param {string} guildId - The guild ID
+   * @param {string} channelId - The voice channel ID
+   * @param {number} since - Start of the window (ms since epoch)
+   * @param {Object} [options]
+   * @param {number} [options.now=Date.now()] - End of the window
+   * @param {number} [options.limit=5] - Maximum number of members to return
+   * @returns {{total: number, users: Array<{userId: string, duration: number}>}} Durations in ms
+   */
+  getChannelTotals(guildId, channelId, since, { now = Date.now(), limit = 5 } = {}) {
+    this.assertOpen();
+    const params = { guildId, channelId, since, now, limit };
+    return {
+      total: this.statements.channelTotal.get(params).duration || 0,
+      users: this.statements.channelUsers.all(params)
+    };
+  }
+
+  /**
+   * The busiest voice channels in a guild during a window
+   * @param {string} guildId - The guild ID
+   * @param {number} since - Start of the window (ms since epoch)
+   * @param {Object} [options]
+   * @param {number} [options.now=Date.now()] - End of the window
+   * @param {number} [options.limit=5] - Maximum number of channels to return
+   * @returns {Array<{channelId: string, duration: number}>} Durations in ms
+   */
+  getTopChannels(guildId, since, { now = Date.now(), limit = 5 } = {}) {
+    this.assertOpen();
+    return this.statements.topChannels.all({ guildId, since, now, limit });
+  }
+
+  /**
+   * @private
+   */
+  assertOpen() {
+    if (!this.db) {
+      throw new Error('Voice session tracking is not enabled');
+    }
+  }
+}
+
+// Create and export a singleton instance
+const voiceSessionStore = new VoiceSessionStore();
+
+module.exports = voiceSessionStore;
+module.exports.VoiceSessionStore = VoiceSessionStore;
+module.exports.WINDOWS = WINDOWS;
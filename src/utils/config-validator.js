@@ -1,28 +1,110 @@
+const { validateSchedule, validateConditions } = require('./presenceSchedule');
+const { validateTemplate, validateCustomTemplates } = require('./presenceTemplate');
+
 /**
- * Validates the application configuration
+ * Validates the settings the bot needs to connect. The schema has already
+ * checked the rest, bot.environment included, when the config service loaded.
+ * @param {import('../config').ConfigService} config - The loaded config service
  * @throws {Error} If configuration is invalid
  */
-function validateConfig() {
-    const requiredEnvVars = [
-        'DISCORD_TOKEN',
-        'CLIENT_ID',
-        'GUILD_ID'
-    ];
+function validateConfig(config) {
+    const required = ['bot.token', 'bot.clientId', 'bot.guildId'];
+    const missing = required.filter(key => !config.get(key));
+
+    if (missing.length > 0) {
+        throw new Error(`Missing required settings: ${missing.join(', ')}`);
+    }
+
+    // Validate the token format (three dot-separated parts)
+    if (!/^[A-Za-z0-9-_]+\.[A-Za-z0-9-_]+\.[A-Za-z0-9-_]+$/.test(config.get('bot.token'))) {
+        throw new Error('Invalid bot.token (DISCORD_TOKEN) format');
+    }
+}
+
+// Map of numeric activity types to their string equivalents
+const ACTIVITY_TYPE_MAP = {
+    0: 'PLAYING',
+    1: 'STREAMING',
+    2: 'LISTENING',
+    3: 'WATCHING',
+    4: 'COMPETING',
+    5: 'CUSTOM',
+    PLAYING: 'PLAYING',
+    STREAMING: 'STREAMING',
+    LISTENING: 'LISTENING',
+    WATCHING: 'WATCHING',
+    COMPETING: 'COMPETING',
+    CUSTOM: 'CUSTOM'
+};
 
-    const missingVars = requiredEnvVars.filter(key => !process.env[key]);
+const VALID_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
 
-    if (missingVars.length > 0) {
-        throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+/**
+ * Validates one activity and normalises its type to the string form
+ * @param {Object} activity - The activity to validate
+ * @param {string} where - Its location in the config, for messages
+ * @param {string[]} customNames - Placeholders defined in `messages.templates`
+ * @throws {Error} If the activity is invalid
+ */
+function validateActivity(activity, where, customNames) {
+    if (!activity || typeof activity !== 'object') {
+        throw new Error(`${where} must be an object`);
     }
 
-    // Validate DISCORD_TOKEN format (starts with a letter and has at least 2 dots)
-    if (process.env.DISCORD_TOKEN && !/^[A-Za-z0-9-_]+\.[A-Za-z0-9-_]+\.[A-Za-z0-9-_]+$/.test(process.env.DISCORD_TOKEN)) {
-        throw new Error('Invalid DISCORD_TOKEN format');
+    if (!activity.name) {
+        throw new Error(`${where} is missing required property: name`);
     }
 
-    // Validate NODE_ENV if set
-    if (process.env.NODE_ENV && !['development', 'production', 'test'].includes(process.env.NODE_ENV)) {
-        throw new Error('NODE_ENV must be one of: development, production, test');
+    try {
+        validateTemplate(activity.name, customNames);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+
+    // Convert numeric type to string if needed
+    if (activity.type !== undefined) {
+        const typeStr = activity.type.toString().toUpperCase();
+        if (!(typeStr in ACTIVITY_TYPE_MAP)) {
+            throw new Error(`${where} has an invalid activity type: ${activity.type}. Must be one of: ${Object.keys(ACTIVITY_TYPE_MAP).join(', ')}`);
+        }
+        // Convert to string type for consistency
+        activity.type = ACTIVITY_TYPE_MAP[typeStr];
+    }
+}
+
+/**
+ * Validates the schedules and event-driven overrides of the config or of one guild
+ * @param {Object} config - An object that may hold `schedules` and `overrides`
+ * @param {string} where - Its location in the config, for messages
+ * @param {string[]} customNames - Placeholders defined in `messages.templates`
+ * @throws {Error} If an entry is invalid
+ */
+function validatePresenceEntries(config, where, customNames) {
+    for (const key of ['schedules', 'overrides']) {
+        if (config[key] === undefined) continue;
+        if (!Array.isArray(config[key])) {
+            throw new Error(`${where}${key} must be an array`);
+        }
+
+        config[key].forEach((entry, index) => {
+            const location = `${where}${key}[${index}]`;
+            if (!entry || typeof entry !== 'object') {
+                throw new Error(`${location} must be an object`);
+            }
+            if (!entry.name || typeof entry.name !== 'string') {
+                throw new Error(`${location} is missing required property: name`);
+            }
+            if (entry.status !== undefined && !VALID_STATUSES.includes(entry.status)) {
+                throw new Error(`Invalid status in ${location}: ${entry.status}. Must be one of: ${VALID_STATUSES.join(', ')}`);
+            }
+            validateActivity(entry.activity, `${location}.activity`, customNames);
+
+            if (key === 'schedules') {
+                validateSchedule(entry, location);
+            } else {
+                validateConditions(entry, location);
+            }
+        });
     }
 }
 
@@ -36,55 +118,51 @@ function validatePresenceConfig(config) {
         throw new Error('Presence configuration is required');
     }
 
-    const validStatuses = ['online', 'idle', 'dnd', 'invisible'];
-    if (config.status && !validStatuses.includes(config.status)) {
-        throw new Error(`Invalid status: ${config.status}. Must be one of: ${validStatuses.join(', ')}`);
+    if (config.status && !VALID_STATUSES.includes(config.status)) {
+        throw new Error(`Invalid status: ${config.status}. Must be one of: ${VALID_STATUSES.join(', ')}`);
     }
 
-    if (config.activities && !Array.isArray(config.activities)) {
-        throw new Error('Activities must be an array');
+    // Placeholders are checked here so a typo is rejected rather than shown in the status
+    const templates = config.messages?.templates;
+    if (templates !== undefined) {
+        validateCustomTemplates(templates);
     }
-
-    // Map of numeric activity types to their string equivalents
-    const activityTypeMap = {
-        0: 'PLAYING',
-        1: 'STREAMING',
-        2: 'LISTENING',
-        3: 'WATCHING',
-        4: 'COMPETING',
-        5: 'CUSTOM',
-        PLAYING: 'PLAYING',
-        STREAMING: 'STREAMING',
-        LISTENING: 'LISTENING',
-        WATCHING: 'WATCHING',
-        COMPETING: 'COMPETING',
-        CUSTOM: 'CUSTOM'
-    };
+    const customNames = Object.keys(templates || {});
 
     if (config.activities) {
         if (!Array.isArray(config.activities)) {
             throw new Error('Activities must be an array');
         }
 
-        config.activities.forEach((activity, index) => {
-            if (!activity || typeof activity !== 'object') {
-                throw new Error(`Activity at index ${index} must be an object`);
-            }
+        config.activities.forEach((activity, index) => validateActivity(activity, `Activity at index ${index}`, customNames));
+    }
 
-            if (!activity.name) {
-                throw new Error(`Activity at index ${index} is missing required property: name`);
+    if (Array.isArray(config.statusMessages)) {
+        config.statusMessages.forEach((message, index) => {
+            try {
+                validateTemplate(message, customNames);
+            } catch (error) {
+                throw new Error(`Status message at index ${index}: ${error.message}`);
             }
+        });
+    }
 
-            // Convert numeric type to string if needed
-            if (activity.type !== undefined) {
-                const typeStr = activity.type.toString();
-                if (!(typeStr in activityTypeMap)) {
-                    throw new Error(`Invalid activity type at index ${index}: ${activity.type}. Must be one of: ${Object.keys(activityTypeMap).join(', ')}`);
-                }
-                // Convert to string type for consistency
-                activity.type = activityTypeMap[typeStr];
+    validatePresenceEntries(config, '', customNames);
+
+    if (config.guildOverrides !== undefined) {
+        if (!config.guildOverrides || typeof config.guildOverrides !== 'object' || Array.isArray(config.guildOverrides)) {
+            throw new Error('guildOverrides must be an object keyed by guild ID');
+        }
+
+        for (const [guildId, guildConfig] of Object.entries(config.guildOverrides)) {
+            if (!/^\d{17,20}$/.test(guildId)) {
+                throw new Error(`guildOverrides key "${guildId}" is not a guild ID`);
             }
-        });
+            if (!guildConfig || typeof guildConfig !== 'object') {
+                throw new Error(`guildOverrides.${guildId} must be an object`);
+            }
+            validatePresenceEntries(guildConfig, `guildOverrides.${guildId}.`, customNames);
+        }
     }
 }
 
@@ -0,0 +1,402 @@
+/**
+ * Storage backends for guild configuration
+ * @module utils/configStorage
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { existsSync, mkdirSync } = require('fs');
+const logger = require('./logger');
+
+// Guild IDs are Discord snowflakes; anything else (e.g. a stray "undefined")
+// is never read or written
+const GUILD_ID_PATTERN = /^\d{17,20}$/;
+
+/**
+ * Where guild configs and their revision history are kept. Every backend
+ * stores whole config objects; locking and history policy live in VCConfig.
+ * @typedef {Object} ConfigStorage
+ * @property {string} type - `json` or `sqlite`
+ * @property {string} location - Directory or database file, for logs
+ * @property {function(string): Promise<?Object>} read - Read a guild's config, null if it has none;
+ *   rejects if the stored data is unreadable
+ * @property {function(string, Object): Promise<void>} write - Replace a guild's config atomically
+ * @property {function(): Promise<string[]>} listGuildIds - Every guild with a stored config
+ * @property {function(string): Promise<Object[]>} readHistory - A guild's revisions, oldest first
+ * @property {function(string, Object, number): Promise<void>} appendRevision - Add a revision,
+ *   keeping only the newest `keep`
+ * @property {function(): void} close - Release the backend's resources
+ */
+
+/**
+ * Throw if a guild ID isn't a snowflake
+ * @param {string} guildId - The guild ID
+ * @throws {Error} If the ID is missing or malformed
+ */
+function assertGuildId(guildId) {
+    if (!guildId) {
+        throw new Error('Guild ID is required');
+    }
+    if (!GUILD_ID_PATTERN.test(guildId)) {
+        throw new Error(`Invalid guild ID "${guildId}"`);
+    }
+}
+
+/**
+ * Write a file by writing a temporary file next to it and renaming it into
+ * place, so readers only ever see the old or the new contents
+ * @param {string} filePath - The file to write
+ * @param {string} data - The new contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+        await fs.writeFile(tempPath, data, 'utf8');
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Stores each guild's config as `guilds/<guildId>.json` and its history as
+ * `guilds/history/<guildId>.json` under the config directory
+ * @implements {ConfigStorage}
+ */
+class JsonFileStorage {
+    /**
+     * @param {string} configDir - The config directory
+     */
+    constructor(configDir) {
+        this.type = 'json';
+        this.configDir = path.resolve(process.cwd(), configDir);
+        this.location = path.join(this.configDir, 'guilds');
+    }
+
+    /**
+     * Get the configuration file path for a guild
+     * @param {string} guildId - The guild ID
+     * @returns {string} The configuration file path
+     */
+    getConfigPath(guildId) {
+        assertGuildId(guildId);
+        return path.join(this.location, `${guildId}.json`);
+    }
+
+    /**
+     * Get the revision history file path for a guild
+     * @param {string} guildId - The guild ID
+     * @returns {string} The history file path
+     */
+    getHistoryPath(guildId) {
+        assertGuildId(guildId);
+        return path.join(this.location, 'history', `${guildId}.json`);
+    }
+
+    async read(guildId) {
+        try {
+            return JSON.parse(await fs.readFile(this.getConfigPath(guildId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async write(guildId, config) {
+        const configPath = this.getConfigPath(guildId);
+        const parentDir = path.dirname(configPath);
+
+        if (!existsSync(parentDir)) {
+            logger.warn(`[CONFIG_STORE] Directory does not exist, creating: ${parentDir}`);
+            mkdirSync(parentDir, { recursive: true });
+        }
+
+        // Verify we can write to the directory
+        try {
+            await fs.access(parentDir, fs.constants.W_OK);
+        } catch (accessError) {
+            logger.error(`[CONFIG_STORE] No write access to directory ${parentDir}:`, accessError);
+            throw new Error(`No write access to config directory: ${accessError.message}`);
+        }
+
+        // Convert config to string first to catch any JSON serialization errors
+        let configString;
+        try {
+            configString = JSON.stringify(config, null, 2);
+        } catch (stringifyError) {
+            throw new Error(`Invalid configuration data: ${stringifyError.message}`);
+        }
+
+        logger.debug(`[CONFIG_STORE] Writing config to ${configPath}`);
+        await writeFileAtomic(configPath, configString);
+
+        // Read back the file to verify contents
+        try {
+            JSON.parse(await fs.readFile(configPath, 'utf8'));
+        } catch (verifyError) {
+            throw new Error(`Failed to verify config file after write: ${verifyError.message}`);
+        }
+    }
+
+    async listGuildIds() {
+        try {
+            const files = await fs.readdir(this.location);
+            return files
+                .filter(file => file.endsWith('.json'))
+                .map(file => file.slice(0, -'.json'.length))
+                .filter(guildId => GUILD_ID_PATTERN.test(guildId));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async readHistory(guildId) {
+        try {
+            const history = JSON.parse(await fs.readFile(this.getHistoryPath(guildId), 'utf8'));
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async appendRevision(guildId, revision, keep) {
+        const history = await this.readHistory(guildId);
+        history.push(revision);
+
+        const historyPath = this.getHistoryPath(guildId);
+        await fs.mkdir(path.dirname(historyPath), { recursive: true });
+        await writeFileAtomic(historyPath, JSON.stringify(history.slice(-keep), null, 2));
+    }
+
+    close() {}
+}
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS guild_configs (
+    guild_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS guild_config_revisions (
+    guild_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (guild_id, revision)
+  );
+  CREATE TABLE IF NOT EXISTS config_storage_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+/**
+ * Stores guild configs and their history in the SQLite database configured
+ * by the `database` block of bot-config.json
+ * @implements {ConfigStorage}
+ */
+class SqliteStorage {
+    /**
+     * @param {string} dbPath - Path to the database file
+     */
+    constructor(dbPath) {
+        const Database = require('better-sqlite3');
+
+        this.type = 'sqlite';
+        this.location = path.resolve(process.cwd(), dbPath);
+        mkdirSync(path.dirname(this.location), { recursive: true });
+
+        this.db = new Database(this.location);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SQLITE_SCHEMA);
+
+        this.statements = {
+            read: this.db.prepare('SELECT data FROM guild_configs WHERE guild_id = ?'),
+            write: this.db.prepare(
+                `INSERT INTO guild_configs (guild_id, data, updated_at) VALUES (@guildId, @data, @at)
+                 ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+            ),
+            list: this.db.prepare('SELECT guild_id AS guildId FROM guild_configs ORDER BY guild_id'),
+            history: this.db.prepare('SELECT data FROM guild_config_revisions WHERE guild_id = ? ORDER BY revision'),
+            insertRevision: this.db.prepare(
+                'INSERT OR REPLACE INTO guild_config_revisions (guild_id, revision, data) VALUES (@guildId, @revision, @data)'
+            ),
+            trimRevisions: this.db.prepare(
+                'DELETE FROM guild_config_revisions WHERE guild_id = @guildId AND revision <= @revision - @keep'
+            ),
+            getMeta: this.db.prepare('SELECT value FROM config_storage_meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT OR REPLACE INTO config_storage_meta (key, value) VALUES (?, ?)')
+        };
+
+        // Insert and trim together so a guild never holds more than `keep` revisions
+        this.appendRevisionTx = this.db.transaction((guildId, revision, keep) => {
+            this.statements.insertRevision.run({ guildId, revision: revision.revision, data: JSON.stringify(revision) });
+            this.statements.trimRevisions.run({ guildId, revision: revision.revision, keep });
+        });
+    }
+
+    async read(guildId) {
+        assertGuildId(guildId);
+        const row = this.statements.read.get(guildId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async write(guildId, config) {
+        assertGuildId(guildId);
+        // One statement, so the row is replaced whole or not at all
+        this.statements.write.run({ guildId, data: JSON.stringify(config), at: Date.now() });
+    }
+
+    async listGuildIds() {
+        return this.statements.list.all().map(row => row.guildId);
+    }
+
+    async readHistory(guildId) {
+        assertGuildId(guildId);
+        return this.statements.history.all(guildId).map(row => JSON.parse(row.data));
+    }
+
+    async appendRevision(guildId, revision, keep) {
+        assertGuildId(guildId);
+        this.appendRevisionTx(guildId, revision, keep);
+    }
+
+    /**
+     * Read a storage bookkeeping value
+     * @param {string} key - The key
+     * @returns {?string} The value, or null if it was never set
+     */
+    getMeta(key) {
+        return this.statements.getMeta.get(key)?.value ?? null;
+    }
+
+    /**
+     * Set a storage bookkeeping value
+     * @param {string} key - The key
+     * @param {string} value - The value
+     */
+    setMeta(key, value) {
+        this.statements.setMeta.run(key, value);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Copy guild configs and their history from one backend to another.
+ * Guilds whose stored data can't be read are skipped and reported.
+ * @param {ConfigStorage} source - The backend to copy from
+ * @param {ConfigStorage} target - The backend to copy to
+ * @param {number} keep - Revisions to keep per guild
+ * @param {string[]} [guildIds] - Only copy these guilds (default: every guild in the source)
+ * @returns {Promise<{migrated: string[], skipped: string[]}>} Guild IDs copied and skipped
+ */
+async function migrateConfigs(source, target, keep, guildIds) {
+    const migrated = [];
+    const skipped = [];
+
+    for (const guildId of guildIds ?? await source.listGuildIds()) {
+        try {
+            const config = await source.read(guildId);
+            if (!config) continue;
+
+            for (const revision of await source.readHistory(guildId)) {
+                await target.appendRevision(guildId, revision, keep);
+            }
+            await target.write(guildId, config);
+            migrated.push(guildId);
+        } catch (error) {
+            logger.warn(`[CONFIG_STORE] Skipped guild ${guildId} while migrating configs: ${error.message}`);
+            skipped.push(guildId);
+        }
+    }
+
+    return { migrated, skipped };
+}
+
+// Set in the SQLite database once the JSON files have been imported
+const JSON_MIGRATION_KEY = 'json_migrated_at';
+// Guilds whose JSON files couldn't be imported yet, as a JSON array of IDs
+const JSON_MIGRATION_PENDING_KEY = 'json_migration_pending';
+
+/**
+ * Import the JSON files into SQLite: every guild the first time, then on
+ * later starts only the guilds that were skipped, until they all import.
+ * A skipped guild that has since been saved in the database is left alone,
+ * so an old file never replaces a newer config.
+ * @param {JsonFileStorage} jsonStorage - The JSON files
+ * @param {SqliteStorage} storage - The database
+ * @param {number} keep - Revisions to keep per guild
+ */
+async function importJsonConfigs(jsonStorage, storage, keep) {
+    const firstRun = !storage.getMeta(JSON_MIGRATION_KEY);
+    let guildIds;
+    if (!firstRun) {
+        const pending = JSON.parse(storage.getMeta(JSON_MIGRATION_PENDING_KEY) || '[]');
+        if (pending.length === 0) return;
+
+        const saved = new Set(await storage.listGuildIds());
+        for (const guildId of pending.filter(id => saved.has(id))) {
+            logger.warn(`[CONFIG_STORE] Not importing ${jsonStorage.location}/${guildId}.json: guild ${guildId} has been saved in the database since`);
+        }
+        guildIds = pending.filter(id => !saved.has(id));
+    }
+
+    const { migrated, skipped } = await migrateConfigs(jsonStorage, storage, keep, guildIds);
+    if (firstRun) {
+        storage.setMeta(JSON_MIGRATION_KEY, new Date().toISOString());
+    }
+    storage.setMeta(JSON_MIGRATION_PENDING_KEY, JSON.stringify(skipped));
+
+    logger.info(`[CONFIG_STORE] Imported ${migrated.length} guild config(s) from ${jsonStorage.location} into ${storage.location}`);
+    if (skipped.length > 0) {
+        logger.error(`[CONFIG_STORE] Could not import ${skipped.length} guild config(s) from ${jsonStorage.location}: ${skipped.join(', ')}. Fix or remove the files; they are retried on the next start.`);
+    }
+}
+
+/**
+ * Open the storage backend chosen by the `database` block of bot-config.json.
+ * SQLite is used when the database is enabled with `type: sqlite`; otherwise
+ * configs stay in JSON files. The first time SQLite is opened, the existing
+ * JSON files are imported into it, and any that couldn't be read are retried
+ * on later opens. The files are left in place as a backup.
+ * @param {Object} [options] - The `database` block from bot-config.json
+ * @param {boolean} [options.enabled] - Whether the database is enabled
+ * @param {string} [options.type] - `sqlite` or `json`
+ * @param {string} [options.path] - Path to the database file
+ * @param {Object} settings
+ * @param {string} settings.configDir - The config directory holding the JSON files
+ * @param {number} settings.keep - Revisions to keep per guild
+ * @returns {Promise<ConfigStorage>} The opened backend
+ */
+async function openConfigStorage(options = {}, { configDir, keep }) {
+    const jsonStorage = new JsonFileStorage(configDir);
+    if (!options.enabled || options.type !== 'sqlite') {
+        return jsonStorage;
+    }
+
+    let storage;
+    try {
+        storage = new SqliteStorage(options.path || './data/bot.db');
+    } catch (error) {
+        logger.error('[CONFIG_STORE] Failed to open the SQLite database, keeping guild configs in JSON files:', error);
+        return jsonStorage;
+    }
+
+    await importJsonConfigs(jsonStorage, storage, keep);
+    return storage;
+}
+
+module.exports = {
+    JsonFileStorage,
+    SqliteStorage,
+    migrateConfigs,
+    openConfigStorage,
+    assertGuildId,
+    writeFileAtomic
+};
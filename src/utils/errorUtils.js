@@ -1,6 +1,6 @@
 const { EmbedBuilder } = require('discord.js');
 const logger = require('./logger');
-const config = require('./config');
+const config = require('../config');
 
 /**
  * Base error class for application-specific errors
@@ -211,7 +211,7 @@ async function handleError(error, {
         .setDescription(userFacingMessage)
         .setTimestamp();
 
-      if (config.env === 'development' && error.stack) {
+      if (config.isDev() && error.stack) {
         const stack = error.stack.split('\n').slice(0, 3).join('\n');
         embed.addFields(
           { name: 'Error Details', value: `\`\`\`${stack}\`\`\``, inline: false }
@@ -224,7 +224,7 @@ async function handleError(error, {
           components: [],
           ephemeral 
         });
-      } else if (interaction.isCommand() || interaction.isButton() || interaction.isSelectMenu()) {
+      } else if (interaction.isCommand() || interaction.isButton() || interaction.isAnySelectMenu()) {
         await interaction.reply({ 
           embeds: [embed],
           ephemeral,
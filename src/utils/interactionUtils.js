@@ -14,6 +14,7 @@ const {
 } = require('discord.js');
 const { withInteractionErrorHandling } = require('./errorUtils');
 const logger = require('./logger');
+const { isOwner } = require('./permissions');
 
 // Helper constants for common Discord.js values
 const DEFAULT_EMBED_COLOR = 0x5865F2; // Discord blurple
@@ -244,13 +245,29 @@ function createPaginatedEmbed({
 }
 
 /**
- * Creates a confirmation dialog
+ * Check whether the user behind an interaction owns the bot, either as
+ * `permissions.ownerID` in the configuration or as the Discord application's owner
+ * @param {import('discord.js').Interaction} interaction - The interaction to check
+ * @returns {boolean}
+ */
+function isBotOwner(interaction) {
+  return isOwner({ user: interaction.user, client: interaction.client });
+}
+
+/**
+ * Creates a confirmation dialog. The buttons are handled by the `confirm` and
+ * `cancel` cases of the button router in events/interactionCreate.js, which
+ * disables them and emits a `confirmation` event on the client.
  * @param {Object} options - Confirmation options
- * @returns {Promise<boolean>} Whether the user confirmed
+ * @param {import('discord.js').ChatInputCommandInteraction} options.interaction - The interaction to reply to; deferred interactions are edited
+ * @param {string} [options.question='Are you sure?'] - Message content shown above the buttons
+ * @param {import('discord.js').EmbedBuilder[]} [options.embeds=[]] - Embeds shown with the question
+ * @returns {Promise<boolean>} Whether the user confirmed; false if they cancelled or the dialog timed out
  */
 function createConfirmation({
   interaction,
   question = 'Are you sure?',
+  embeds = [],
   confirmLabel = 'Confirm',
   cancelLabel = 'Cancel',
   confirmStyle = ButtonStyle.Danger,
@@ -258,48 +275,49 @@ function createConfirmation({
   ephemeral = true,
   timeout = DEFAULT_PAGE_TIMEOUT,
 }) {
+  // The router reports the confirmation under the first customId parameter
+  const confirmationId = interaction.id;
+
   const confirmButton = createButton({
-    customId: 'confirm',
+    customId: `confirm:${confirmationId}`,
     label: confirmLabel,
     style: confirmStyle,
   });
 
   const cancelButton = createButton({
-    customId: 'cancel',
+    customId: `cancel:${confirmationId}`,
     label: cancelLabel,
     style: cancelStyle,
   });
 
   const row = new ActionRowBuilder().addComponents(confirmButton, cancelButton);
-
-  return interaction.reply({
-    content: question,
-    components: [row],
-    fetchReply: true,
-    ephemeral,
-  }).then(message => {
-    const collector = message.createMessageComponentCollector({
-      componentType: 'BUTTON',
-      time: timeout,
-    });
-
-    collector.on('collect', async i => {
-      await i.update({
-        components: [row.components.map(c => c.setDisabled(true))],
-      });
-      resolve(i.customId === 'confirm');
-    });
-
-    collector.on('end', async collected => {
-      if (collected.size === 0) {
-        await message.edit({
-          components: [row.components.map(c => c.setDisabled(true))],
-        });
-      }
-    });
-
-    return collector;
-  });
+  const payload = { content: question, embeds, components: [row] };
+
+  const sent = interaction.deferred || interaction.replied
+    ? interaction.editReply(payload)
+    : interaction.reply({ ...payload, ephemeral });
+
+  return sent.then(() => new Promise(resolve => {
+    const { client } = interaction;
+
+    const onConfirmation = ({ messageId, confirmed }) => {
+      if (messageId !== confirmationId) return;
+      clearTimeout(timer);
+      client.off('confirmation', onConfirmation);
+      resolve(confirmed);
+    };
+
+    const timer = setTimeout(async () => {
+      client.off('confirmation', onConfirmation);
+      const disabledRow = new ActionRowBuilder().addComponents(
+        row.components.map(component => ButtonBuilder.from(component).setDisabled(true))
+      );
+      await interaction.editReply({ components: [disabledRow] }).catch(() => {});
+      resolve(false);
+    }, timeout);
+
+    client.on('confirmation', onConfirmation);
+  }));
 }
 
 /**
@@ -384,7 +402,8 @@ function addOption(command, {
 }
 
 /**
- * Creates a command handler for slash commands
+ * Creates a command handler for slash commands. `ownerOnly` and `permissions`
+ * become the command's `permission`, enforced by the command handler.
  * @param {Object} options - Command handler options
  * @returns {Object} Command handler
  */
@@ -401,6 +420,7 @@ function createCommandHandler({
 
   return {
     data,
+    permission: { level: ownerOnly ? 'owner' : 'everyone', permissions },
     async execute(interaction) {
       try {
         // Check if command is guild-only
@@ -411,26 +431,6 @@ function createCommandHandler({
           });
         }
 
-
-        // Check if command is owner-only
-        if (ownerOnly && interaction.user.id !== interaction.client.application.owner?.id) {
-          return interaction.reply({
-            content: 'This command can only be used by the bot owner.',
-            ephemeral: true,
-          });
-        }
-
-        // Check permissions
-        if (permissions.length > 0) {
-          const member = await interaction.guild?.members.fetch(interaction.user.id);
-          if (!member?.permissions.has(permissions)) {
-            return interaction.reply({
-              content: `You need the following permissions to use this command: ${permissions.join(', ')}`,
-              ephemeral: true,
-            });
-          }
-        }
-
         // Handle cooldowns
         if (cooldown > 0) {
           const now = Date.now();
@@ -489,6 +489,7 @@ module.exports = {
   createSelectMenu,
   createPaginatedEmbed,
   createConfirmation,
+  isBotOwner,
   OptionType,
   addOption,
   createCommandHandler
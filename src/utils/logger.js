@@ -9,10 +9,11 @@ const path = require('path');
 const fs = require('fs').promises;
 const { format } = require('util');
 
-// Avoid circular dependencies by not importing config directly
+// Avoid circular dependencies by not importing config directly. The config
+// service sets the level from `logging.level` (or LOG_LEVEL) once it has loaded.
 const CONFIG = {
     logDir: process.env.LOG_DIR || path.join(process.cwd(), 'logs'),
-    logLevel: process.env.LOG_LEVEL || 'info',
+    logLevel: 'info',
     env: process.env.NODE_ENV || 'development'
 };
 
@@ -285,6 +286,25 @@ class Logger {
     this.log('silly', message, meta);
   }
 
+  /**
+   * Change the level logged from now on, e.g. when `logging.level` is edited in bot-config.json
+   * @param {string} level - One of the `logging.level` values; `trace` is winston's `silly`
+   * @returns {boolean} Whether the level was applied
+   */
+  setLevel(level) {
+    const winstonLevel = level === 'trace' ? 'silly' : level;
+    if (!(winstonLevel in winston.config.npm.levels)) {
+      this.warn(`Unknown log level "${level}", keeping the current level`);
+      return false;
+    }
+
+    if (this.logger && 'level' in this.logger) {
+      this.logger.level = winstonLevel;
+    }
+    this.info(`Log level set to ${winstonLevel}`);
+    return true;
+  }
+
   /**
    * Create a child logger with additional metadata
    * @param {Object} meta - Metadata to include in all logs from this child
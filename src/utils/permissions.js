@@ -0,0 +1,278 @@
+const { PermissionFlagsBits, PermissionsBitField } = require('discord.js');
+const { createEmbed } = require('./embedUtils');
+const logger = require('./logger');
+const config = require('../config');
+const { commandPermissionSchema, PERMISSION_LEVELS } = require('../config/schema');
+
+/**
+ * Declarative command permissions, enforced by the command handler before a
+ * command runs. A command declares who may use it with
+ * `permission: { level, permissions }`:
+ *
+ * - `level` is the lowest level allowed, each level including those below it:
+ *   - everyone: anyone
+ *   - moderator: members with a role in permissions.moderatorRoles
+ *   - admin: members with Administrator or a role in permissions.adminRoles
+ *   - owner: the bot owner (permissions.ownerID or the application owner)
+ * - `permissions` lists Discord permissions the member must also have, by
+ *   PermissionFlagsBits name, e.g. `['ManageRoles']`
+ *
+ * A guild can replace either part for a command with an override of
+ * `commandPermissions.<command>` in its config. Owner commands can't be
+ * overridden, as they act on the whole bot.
+ * @module utils/permissions
+ */
+
+const DENIED_COLOR = '#ED4245';
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+
+// Owner command overrides already warned about, as `guildId:command`
+const ignoredOverrides = new Set();
+
+/**
+ * Who may use a command
+ * @typedef {Object} CommandPermission
+ * @property {'everyone'|'moderator'|'admin'|'owner'} [level='everyone'] - Lowest level allowed
+ * @property {string[]} [permissions=[]] - Discord permissions the member also needs
+ */
+
+/**
+ * Who is running a command, from an interaction or a message
+ * @typedef {Object} PermissionContext
+ * @property {import('discord.js').User} user - The user running the command
+ * @property {?(import('discord.js').GuildMember|Object)} member - Their guild member, null in DMs
+ * @property {?Readonly<PermissionsBitField>} memberPermissions - Their permissions in the channel
+ * @property {?string} guildId - The guild, null in DMs
+ * @property {import('discord.js').Client} client - The Discord.js client instance
+ */
+
+/**
+ * Build the permission context of an interaction or a legacy command message
+ * @param {import('discord.js').Interaction|import('discord.js').Message} source - Where the command came from
+ * @returns {PermissionContext}
+ */
+function getPermissionContext(source) {
+  const user = source.user || source.author;
+  return {
+    user,
+    member: source.member || null,
+    memberPermissions: source.memberPermissions || source.member?.permissions || null,
+    guildId: source.guildId || null,
+    client: source.client
+  };
+}
+
+/**
+ * Normalise permissions given as names, flags or a bitfield to sorted names
+ * @param {Array<string|bigint>|bigint} [permissions=[]] - The permissions
+ * @returns {string[]} PermissionFlagsBits names
+ */
+function toPermissionNames(permissions = []) {
+  return new PermissionsBitField(permissions).toArray();
+}
+
+/**
+ * Check the permission a command declares, and turn permission flags into names
+ * @param {Object} command - The command being registered
+ * @throws {Error} If the level or a permission is unknown
+ */
+function validateCommandPermission(command) {
+  if (!command.permission) return;
+
+  // Commands made with createCommandHandler list flags rather than names
+  const permission = { ...command.permission };
+  if (permission.permissions) {
+    permission.permissions = permission.permissions.flatMap(entry => (typeof entry === 'string' ? entry : toPermissionNames(entry)));
+  }
+  const { error } = commandPermissionSchema.validate(permission);
+  if (error) {
+    throw new Error(`Invalid permission for command ${command.data?.name || command.name}: ${error.message}`);
+  }
+  command.permission = permission;
+}
+
+/**
+ * Get the permission a command needs in a guild, with the guild's override applied
+ * @param {Object} command - The registered command
+ * @param {?string} guildId - The guild, or null in DMs
+ * @returns {Promise<{level: string, permissions: string[], overridden: boolean}>}
+ */
+async function resolveCommandPermission(command, guildId) {
+  const name = command.data?.name || command.name;
+  const declared = command.permission || {};
+  const resolved = {
+    level: declared.level || 'everyone',
+    permissions: toPermissionNames(declared.permissions),
+    overridden: false
+  };
+
+  const override = await config.getForGuild(guildId, `commandPermissions.${name}`);
+  if (!override) {
+    return resolved;
+  }
+  if (resolved.level === 'owner') {
+    if (!ignoredOverrides.has(`${guildId}:${name}`)) {
+      ignoredOverrides.add(`${guildId}:${name}`);
+      logger.warn(`[PERMISSIONS] Ignoring the permission override of owner command ${name} for guild ${guildId}`);
+    }
+    return resolved;
+  }
+
+  return {
+    level: override.level || resolved.level,
+    permissions: override.permissions ? toPermissionNames(override.permissions) : resolved.permissions,
+    overridden: true
+  };
+}
+
+/**
+ * Get the configured `permissions.ownerID`, ignoring an empty value or the
+ * placeholder shipped in bot-config.json
+ * @returns {?string} The owner's user ID
+ */
+function getConfiguredOwnerId() {
+  const ownerId = config.get('permissions.ownerID');
+  return SNOWFLAKE_PATTERN.test(ownerId || '') ? ownerId : null;
+}
+
+/**
+ * Get the owner of the Discord application; for an application owned by a
+ * team, the team's owner. Only known once loadApplicationOwner() has run.
+ * @param {import('discord.js').Client} client - The Discord.js client instance
+ * @returns {?string} The owner's user ID
+ */
+function getApplicationOwnerId(client) {
+  const owner = client?.application?.owner;
+  return owner?.ownerId || owner?.id || null;
+}
+
+/**
+ * Check whether a user is the bot owner
+ * @param {PermissionContext} context - Who is running the command
+ * @returns {boolean}
+ */
+function isOwner({ user, client }) {
+  return user.id === getConfiguredOwnerId() || user.id === getApplicationOwnerId(client);
+}
+
+/**
+ * Fetch the Discord application so its owner is known, and say loudly when
+ * nobody would have the owner level. Run once the client is ready.
+ * @param {import('discord.js').Client} client - The Discord.js client instance
+ * @returns {Promise<?string>} The bot owner's user ID, or null if there is none
+ */
+async function loadApplicationOwner(client) {
+  try {
+    await client.application.fetch();
+  } catch (error) {
+    logger.warn('[PERMISSIONS] Failed to fetch the Discord application, its owner is unknown:', error);
+  }
+
+  const ownerId = getConfiguredOwnerId() || getApplicationOwnerId(client);
+  if (!ownerId) {
+    logger.error('[PERMISSIONS] No bot owner: set permissions.ownerID in bot-config.json or OWNER_ID. ' +
+      'Until then nobody can use owner commands such as /backup, /config and /presence.');
+    return null;
+  }
+
+  logger.info(`[PERMISSIONS] Bot owner is ${ownerId}`);
+  return ownerId;
+}
+
+/**
+ * Get the role IDs of a guild member, cached or as sent with the interaction
+ * @param {?(import('discord.js').GuildMember|Object)} member - The member
+ * @returns {string[]} Role IDs
+ */
+function getRoleIds(member) {
+  if (!member) return [];
+  if (member.roles?.cache) return [...member.roles.cache.keys()];
+  return Array.isArray(member.roles) ? member.roles : [];
+}
+
+/**
+ * Work out the highest permission level a user has where they run a command
+ * @param {PermissionContext} context - Who is running the command
+ * @returns {Promise<string>} One of PERMISSION_LEVELS
+ */
+async function getPermissionLevel(context) {
+  if (isOwner(context)) return 'owner';
+  if (!context.guildId) return 'everyone';
+
+  const roleIds = getRoleIds(context.member);
+  const adminRoles = await config.getForGuild(context.guildId, 'permissions.adminRoles', []);
+  if (context.memberPermissions?.has(PermissionFlagsBits.Administrator) || adminRoles.some(id => roleIds.includes(id))) {
+    return 'admin';
+  }
+
+  const moderatorRoles = await config.getForGuild(context.guildId, 'permissions.moderatorRoles', []);
+  if (moderatorRoles.some(id => roleIds.includes(id))) {
+    return 'moderator';
+  }
+
+  return 'everyone';
+}
+
+/**
+ * Check whether a user may run a command
+ * @param {Object} command - The registered command
+ * @param {PermissionContext} context - Who is running the command
+ * @returns {Promise<{allowed: boolean, level: string, required: {level: string, permissions: string[]}, missing: string[], reason: ?string}>}
+ *   `missing` lists the Discord permissions the member lacks
+ */
+async function checkCommandPermission(command, context) {
+  const { level: requiredLevel, permissions } = await resolveCommandPermission(command, context.guildId);
+  const level = await getPermissionLevel(context);
+  const result = { allowed: true, level, required: { level: requiredLevel, permissions }, missing: [], reason: null };
+
+  // Roles and Discord permissions only exist in a server
+  if (!context.guildId && (permissions.length > 0 || ['moderator', 'admin'].includes(requiredLevel))) {
+    return { ...result, allowed: false, reason: 'This command can only be used in a server.' };
+  }
+
+  if (PERMISSION_LEVELS.indexOf(level) < PERMISSION_LEVELS.indexOf(requiredLevel)) {
+    return { ...result, allowed: false, reason: `This command needs the **${requiredLevel}** permission level.` };
+  }
+
+  const missing = permissions.filter(name => !context.memberPermissions?.has(PermissionFlagsBits[name]));
+  if (missing.length > 0) {
+    return { ...result, allowed: false, missing, reason: 'You are missing the Discord permissions this command needs.' };
+  }
+
+  return result;
+}
+
+/**
+ * Build the embed shown when a command is denied
+ * @param {string} commandName - The command
+ * @param {Object} result - The result of checkCommandPermission
+ * @returns {import('discord.js').EmbedBuilder}
+ */
+function createPermissionDeniedEmbed(commandName, result) {
+  const fields = [{ name: 'Required level', value: result.required.level, inline: true }];
+  if (result.required.permissions.length > 0) {
+    fields.push({ name: 'Required permissions', value: result.required.permissions.join(', '), inline: true });
+  }
+  if (result.missing.length > 0) {
+    fields.push({ name: 'Missing', value: result.missing.join(', '), inline: true });
+  }
+
+  return createEmbed({
+    title: '🔒 Permission denied',
+    description: `You can't use \`${commandName}\`. ${result.reason}`,
+    color: DENIED_COLOR,
+    fields
+  });
+}
+
+module.exports = {
+  PERMISSION_LEVELS,
+  getPermissionContext,
+  validateCommandPermission,
+  resolveCommandPermission,
+  getPermissionLevel,
+  checkCommandPermission,
+  createPermissionDeniedEmbed,
+  isOwner,
+  loadApplicationOwner
+};
@@ -1,134 +1,170 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { logger } = require('./logger');
+const logger = require('./logger');
+const { writeFileAtomic } = require('./configStorage');
+const { validatePresenceConfig } = require('./config-validator');
 
-// Get directory name in CommonJS
-const __filename = __filename;
-const __dirname = __dirname;
+const VALID_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
 
 // Default presence configuration
-const defaultPresenceConfig = {
+const DEFAULT_PRESENCE = {
     status: 'online',
     activities: [
+        {
+            name: '{guilds} servers | {prefix}help',
+            type: 'WATCHING',
+            url: null
+        },
         {
             name: 'with {users} users',
-            type: 'PLAYING'
+            type: 'PLAYING',
+            url: null
         },
         {
             name: 'v{version}',
-            type: 'PLAYING'
+            type: 'PLAYING',
+            url: null
         },
         {
             name: '{prefix}help',
-            type: 'LISTENING'
+            type: 'WATCHING',
+            url: null
         }
     ],
-    statusMessages: [
-        'Serving {guilds} servers with {users} users',
-        'Version {version} | Prefix: {prefix}',
-        'Type {prefix}help for commands'
-    ],
-    updateInterval: 120000,
-    randomizeStatus: true,
-    activitySettings: {
-        showTimestamps: true,
-        showServerCount: true,
-        showUserCount: true
-    }
+    // Without an interval here, bot.presenceUpdateInterval in bot-config.json is used
+    rotation: {
+        enabled: true,
+        randomize: true
+    },
+    messages: {
+        prefix: '!',
+        // Custom placeholders, e.g. { "servers": "{guilds|plural:server,servers}" }
+        templates: {}
+    },
+    // Time windows and live conditions that replace the rotation while they apply;
+    // guildOverrides holds the same per guild, checked against that guild only
+    schedules: [],
+    overrides: [],
+    guildOverrides: {}
 };
 
+/**
+ * Fill in defaults and tidy a validated presence config. Older files set the
+ * rotation with top-level `updateInterval` and `randomizeStatus`; those are
+ * used when `rotation` doesn't say otherwise.
+ * @param {Object} fileConfig - The config as written in the file
+ * @returns {Object} The config the bot runs with
+ */
+function normalizePresenceConfig(fileConfig) {
+    const activities = (fileConfig.activities || [])
+        .filter(activity => activity && activity.name)
+        .map(activity => ({
+            name: activity.name,
+            type: String(activity.type || 'PLAYING').toUpperCase(),
+            url: activity.url || null
+        }));
+
+    const legacyRotation = {};
+    if (typeof fileConfig.updateInterval === 'number') legacyRotation.interval = fileConfig.updateInterval;
+    if (typeof fileConfig.randomizeStatus === 'boolean') legacyRotation.randomize = fileConfig.randomizeStatus;
+
+    return {
+        ...DEFAULT_PRESENCE,
+        ...fileConfig,
+        status: VALID_STATUSES.includes(fileConfig.status) ? fileConfig.status : DEFAULT_PRESENCE.status,
+        activities: activities.length > 0 ? activities : DEFAULT_PRESENCE.activities.map(activity => ({ ...activity })),
+        rotation: { ...DEFAULT_PRESENCE.rotation, ...legacyRotation, ...(fileConfig.rotation || {}) },
+        messages: {
+            ...DEFAULT_PRESENCE.messages,
+            ...(fileConfig.messages || {}),
+            templates: { ...(fileConfig.messages?.templates || {}) }
+        },
+        schedules: fileConfig.schedules || [],
+        overrides: fileConfig.overrides || [],
+        guildOverrides: fileConfig.guildOverrides || {}
+    };
+}
+
+/**
+ * The presence configuration in `config/presence-config.json`. This is the one
+ * place it is read and written; a file that fails validatePresenceConfig is
+ * never applied, and the last good config stays in use.
+ */
 class PresenceConfig {
-    constructor() {
-        this.config = { ...defaultPresenceConfig };
-        this.configPath = path.join(process.cwd(), 'config', 'presence-config.json');
+    /**
+     * @param {string} [configPath=config/presence-config.json] - Path of the config file
+     */
+    constructor(configPath = path.join(process.cwd(), 'config', 'presence-config.json')) {
+        this.configPath = configPath;
+        this.fileConfig = JSON.parse(JSON.stringify(DEFAULT_PRESENCE));
+        this.config = normalizePresenceConfig(this.fileConfig);
     }
 
     /**
-     * Load presence configuration from file
+     * Load presence configuration from file, creating it with the defaults if it's missing
+     * @returns {Promise<boolean>} False if the file couldn't be used and the last good config was kept
      */
     async load() {
-        logger.info('Loading presence configuration...');
-        
+        let fileConfig;
         try {
-            // Reset to defaults first
-            this.config = JSON.parse(JSON.stringify(defaultPresenceConfig));
-            
-            // Check if config file exists
-            try {
-                await fs.access(this.configPath);
-                logger.debug(`Presence config file found at: ${this.configPath}`);
-                
-                // Read and parse config file
-                const fileContent = await fs.readFile(this.configPath, 'utf8');
-                
-                if (!fileContent.trim()) {
-                    logger.warn('Presence config file is empty, using defaults');
-                    return;
-                }
-                
-                const fileConfig = JSON.parse(fileContent);
-                
-                // Merge with defaults
-                this.config = {
-                    ...this.config,
-                    ...fileConfig,
-                    activities: fileConfig.activities || this.config.activities,
-                    statusMessages: fileConfig.statusMessages || this.config.statusMessages,
-                    activitySettings: {
-                        ...this.config.activitySettings,
-                        ...(fileConfig.activitySettings || {})
-                    }
-                };
-                
-                logger.info('Presence configuration loaded successfully');
-                
-            } catch (error) {
-                if (error.code === 'ENOENT') {
-                    // File doesn't exist, create it with defaults
-                    logger.warn('Presence config file not found, creating default...');
-                    await this.save();
-                } else {
-                    logger.error('Error loading presence config:', error);
-                    throw error;
-                }
-            }
+            const fileContent = await fs.readFile(this.configPath, 'utf8');
+            fileConfig = JSON.parse(fileContent);
+            validatePresenceConfig(fileConfig);
         } catch (error) {
-            logger.error('Failed to load presence configuration:', error);
-            throw error;
+            if (error.code === 'ENOENT') {
+                logger.warn('Presence config file not found, creating default...');
+                await this.save(JSON.parse(JSON.stringify(DEFAULT_PRESENCE))).catch(() => {});
+                return true;
+            }
+
+            logger.error(`Error loading presence config, keeping the current one: ${error.message}`);
+            return false;
         }
+
+        this.fileConfig = fileConfig;
+        this.config = normalizePresenceConfig(fileConfig);
+        logger.debug(`Presence configuration loaded from ${this.configPath}`);
+        return true;
     }
-    
+
     /**
-     * Save current presence configuration to file
+     * Validate and save a new presence configuration, then use it
+     * @param {Object} fileConfig - The config to write, in the file's shape
+     * @returns {Promise<boolean>} True once saved
+     * @throws {Error} If the config is invalid or can't be written
      */
-    async save() {
+    async save(fileConfig) {
+        validatePresenceConfig(fileConfig);
+
         try {
-            // Ensure config directory exists
-            const configDir = path.join(process.cwd(), 'config');
-            await fs.mkdir(configDir, { recursive: true });
-            
-            // Write config to file with pretty print
-            await fs.writeFile(
-                this.configPath,
-                JSON.stringify(this.config, null, 2),
-                'utf8'
-            );
-            
-            logger.info(`Presence configuration saved to ${this.configPath}`);
-            return true;
+            await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+            await writeFileAtomic(this.configPath, JSON.stringify(fileConfig, null, 4) + '\n');
         } catch (error) {
             logger.error('Failed to save presence configuration:', error);
             throw error;
         }
+
+        this.fileConfig = fileConfig;
+        this.config = normalizePresenceConfig(fileConfig);
+        logger.info(`Presence configuration saved to ${this.configPath}`);
+        return true;
     }
-    
+
     /**
-     * Get the presence configuration
+     * Get the presence configuration, with defaults filled in
      * @returns {Object} The presence configuration
      */
     getConfig() {
         return this.config;
     }
+
+    /**
+     * Get a copy of the config as written in the file, to change and pass to save()
+     * @returns {Object} The file's config
+     */
+    getFileConfig() {
+        return JSON.parse(JSON.stringify(this.fileConfig));
+    }
 }
 
 // Create a singleton instance
@@ -137,3 +173,5 @@ const presenceConfig = new PresenceConfig();
 // Export the singleton instance and the class
 module.exports = presenceConfig;
 module.exports.PresenceConfig = PresenceConfig;
+module.exports.DEFAULT_PRESENCE = DEFAULT_PRESENCE;
+module.exports.normalizePresenceConfig = normalizePresenceConfig;
@@ -0,0 +1,345 @@
+/**
+ * Time schedules and live conditions that take over the bot's presence
+ * @module utils/presenceSchedule
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Live values an override's `when` can test; each is a minimum
+ * @type {Object<string, string>}
+ */
+const CONDITIONS = {
+    voiceUsers: 'people in voice channels',
+    activeVoiceChannels: 'voice channels with someone in them'
+};
+
+/**
+ * Parse one cron field, e.g. `*`, `19-22`, `1,3,5` or `*\/15`
+ * @param {string} field - The field text
+ * @param {{name: string, min: number, max: number}} range - Allowed values
+ * @returns {Set<number>} The values the field matches
+ * @throws {Error} If the field is malformed or out of range
+ */
+function parseCronField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${name} "${part}"`);
+        }
+
+        const from = match[1] === '*' ? min : Number(match[2]);
+        const to = match[1] === '*' ? max : Number(match[3] ?? (match[4] ? max : match[2]));
+        const step = match[4] ? Number(match[4]) : 1;
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`Invalid ${name} "${part}", must be within ${min}-${max}`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week).
+ * A schedule using it is active during every minute the expression matches,
+ * so `* 19-22 * * 5` covers Friday 19:00-22:59.
+ * @param {string} expression - The cron expression
+ * @returns {{fields: Set<number>[], anyDayOfMonth: boolean, anyDayOfWeek: boolean}} The parsed expression
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields`);
+    }
+
+    const fields = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+    // 7 is Sunday as well as 0
+    if (fields[4].has(7)) fields[4].add(0);
+
+    return { fields, anyDayOfMonth: parts[2] === '*', anyDayOfWeek: parts[4] === '*' };
+}
+
+/**
+ * Check a parsed cron expression against a local time. As in cron, when both
+ * day fields are restricted either one matching is enough.
+ * @param {ReturnType<typeof parseCron>} cron - The parsed expression
+ * @param {LocalTime} time - The local time
+ * @returns {boolean} Whether the expression matches
+ */
+function cronMatches({ fields, anyDayOfMonth, anyDayOfWeek }, time) {
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+    if (!minutes.has(time.minute) || !hours.has(time.hour) || !months.has(time.month)) {
+        return false;
+    }
+
+    const dayOfMonth = daysOfMonth.has(time.day);
+    const dayOfWeek = daysOfWeek.has(time.weekday);
+    if (anyDayOfMonth || anyDayOfWeek) return dayOfMonth && dayOfWeek;
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * @typedef {Object} LocalTime
+ * @property {number} minute - 0-59
+ * @property {number} hour - 0-23
+ * @property {number} day - Day of month, 1-31
+ * @property {number} month - 1-12
+ * @property {number} weekday - 0 (Sunday) to 6
+ */
+
+/**
+ * Break a date into its parts in a timezone
+ * @param {Date} date - The date
+ * @param {string} [timezone] - IANA timezone such as `Europe/London`; the host's when omitted
+ * @returns {LocalTime} The local time
+ */
+function getLocalTime(date, timezone) {
+    if (!timezone) {
+        return {
+            minute: date.getMinutes(),
+            hour: date.getHours(),
+            day: date.getDate(),
+            month: date.getMonth() + 1,
+            weekday: date.getDay()
+        };
+    }
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        minute: 'numeric',
+        hour: 'numeric',
+        day: 'numeric',
+        month: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        day: Number(parts.day),
+        month: Number(parts.month),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+/**
+ * Convert `HH:MM` to minutes since midnight
+ * @param {string} time - The time
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Check whether a schedule is active. A window whose end is at or before its
+ * start runs past midnight and belongs to the day it starts on, so Friday
+ * 22:00-02:00 is still active early on Saturday.
+ * @param {Object} schedule - A validated schedule
+ * @param {Date} [now=new Date()] - The time to check
+ * @returns {boolean} Whether the schedule is active
+ */
+function isScheduleActive(schedule, now = new Date()) {
+    const time = getLocalTime(now, schedule.timezone);
+
+    if (schedule.cron) {
+        return cronMatches(parseCron(schedule.cron), time);
+    }
+
+    const days = (schedule.days || DAY_NAMES).map(day => DAY_NAMES.indexOf(day.toLowerCase()));
+    const minute = time.hour * 60 + time.minute;
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+
+    if (start < end) {
+        return days.includes(time.weekday) && minute >= start && minute < end;
+    }
+    return (days.includes(time.weekday) && minute >= start) ||
+        (days.includes((time.weekday + 6) % 7) && minute < end);
+}
+
+/**
+ * Count who is in voice, in one guild or every guild the bot is in
+ * @param {import('discord.js').Client} client - The Discord.js client instance
+ * @param {string} [guildId] - Only count this guild
+ * @returns {{voiceUsers: number, activeVoiceChannels: number}} The counts, bots excluded
+ */
+function getVoiceStats(client, guildId) {
+    const guilds = guildId
+        ? [client.guilds.cache.get(guildId)].filter(Boolean)
+        : [...client.guilds.cache.values()];
+    const channels = new Set();
+    let voiceUsers = 0;
+
+    for (const guild of guilds) {
+        for (const state of guild.voiceStates.cache.values()) {
+            if (!state.channelId || state.member?.user?.bot) continue;
+            voiceUsers++;
+            channels.add(state.channelId);
+        }
+    }
+
+    return { voiceUsers, activeVoiceChannels: channels.size };
+}
+
+/**
+ * Check an override's conditions, e.g. `{ voiceUsers: 5 }` for at least five people in voice
+ * @param {Object<string, number>} when - The conditions
+ * @param {Object<string, number>} stats - Current values, as from getVoiceStats
+ * @returns {boolean} Whether every condition holds
+ */
+function conditionsMet(when, stats) {
+    return Object.entries(when).every(([name, minimum]) => (stats[name] || 0) >= minimum);
+}
+
+/**
+ * @typedef {Object} PresenceOverride
+ * @property {'event'|'schedule'} source - What kind of entry matched
+ * @property {string} name - The entry's name
+ * @property {?string} guildId - The guild whose `guildOverrides` it came from, null for bot-wide entries
+ * @property {Object} activity - The activity to show
+ * @property {?string} status - The status to show, null to keep the configured one
+ */
+
+/**
+ * Every schedule and override in a presence config, guild entries first
+ * @param {Object} config - The presence configuration
+ * @returns {Array<{source: string, guildId: ?string, entry: Object}>} The entries, in priority order
+ */
+function listPresenceEntries(config) {
+    const entries = [];
+    const add = (guildId, { overrides = [], schedules = [] }) => {
+        overrides.forEach(entry => entries.push({ source: 'event', guildId, entry }));
+        schedules.forEach(entry => entries.push({ source: 'schedule', guildId, entry }));
+    };
+
+    Object.entries(config.guildOverrides || {}).forEach(([guildId, guildConfig]) => add(guildId, guildConfig));
+    add(null, config);
+
+    // Live conditions win over schedules wherever they are defined
+    return entries.sort((a, b) => (a.source === b.source ? 0 : a.source === 'event' ? -1 : 1));
+}
+
+/**
+ * Check whether one entry applies now
+ * @param {{source: string, guildId: ?string, entry: Object}} item - An entry from listPresenceEntries
+ * @param {import('discord.js').Client} client - The Discord.js client instance
+ * @param {Date} now - The time to check
+ * @returns {boolean} Whether it applies
+ */
+function isEntryActive({ source, guildId, entry }, client, now) {
+    if (guildId && !client.guilds.cache.has(guildId)) return false;
+    if (source === 'schedule') return isScheduleActive(entry, now);
+    return conditionsMet(entry.when, getVoiceStats(client, guildId || undefined));
+}
+
+/**
+ * Find the schedule or event-driven override that should replace the rotation
+ * @param {Object} config - The presence configuration
+ * @param {import('discord.js').Client} client - The Discord.js client instance
+ * @param {Date} [now=new Date()] - The time to check
+ * @returns {?PresenceOverride} The first entry that applies, or null to rotate as usual
+ */
+function resolvePresenceOverride(config, client, now = new Date()) {
+    const match = listPresenceEntries(config).find(item => isEntryActive(item, client, now));
+    if (!match) return null;
+
+    return {
+        source: match.source,
+        name: match.entry.name,
+        guildId: match.guildId,
+        activity: match.entry.activity,
+        status: match.entry.status || null
+    };
+}
+
+/**
+ * Check a schedule's shape
+ * @param {Object} schedule - The schedule
+ * @param {string} where - Its location in the config, for messages
+ * @throws {Error} If the schedule is invalid
+ */
+function validateSchedule(schedule, where) {
+    if (schedule.cron) {
+        try {
+            parseCron(schedule.cron);
+        } catch (error) {
+            throw new Error(`${where}: ${error.message}`);
+        }
+    } else {
+        if (!TIME_PATTERN.test(schedule.start || '') || !TIME_PATTERN.test(schedule.end || '')) {
+            throw new Error(`${where} needs a cron expression, or start and end times as HH:MM`);
+        }
+        if (schedule.days !== undefined) {
+            if (!Array.isArray(schedule.days) || schedule.days.length === 0) {
+                throw new Error(`${where}: days must be a non-empty array`);
+            }
+            const unknown = schedule.days.find(day => !DAY_NAMES.includes(String(day).toLowerCase()));
+            if (unknown !== undefined) {
+                throw new Error(`${where}: unknown day "${unknown}". Must be one of: ${DAY_NAMES.join(', ')}`);
+            }
+        }
+    }
+
+    if (schedule.timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+        } catch {
+            throw new Error(`${where}: unknown timezone "${schedule.timezone}"`);
+        }
+    }
+}
+
+/**
+ * Check an event-driven override's conditions
+ * @param {Object} override - The override
+ * @param {string} where - Its location in the config, for messages
+ * @throws {Error} If the conditions are invalid
+ */
+function validateConditions(override, where) {
+    const { when } = override;
+    if (!when || typeof when !== 'object' || Object.keys(when).length === 0) {
+        throw new Error(`${where} needs at least one condition in "when"`);
+    }
+
+    for (const [name, minimum] of Object.entries(when)) {
+        if (!(name in CONDITIONS)) {
+            throw new Error(`${where}: unknown condition "${name}". Must be one of: ${Object.keys(CONDITIONS).join(', ')}`);
+        }
+        if (!Number.isInteger(minimum) || minimum < 1) {
+            throw new Error(`${where}: ${name} must be a whole number of at least 1`);
+        }
+    }
+}
+
+module.exports = {
+    DAY_NAMES,
+    CONDITIONS,
+    parseCron,
+    isScheduleActive,
+    getVoiceStats,
+    listPresenceEntries,
+    isEntryActive,
+    resolvePresenceOverride,
+    validateSchedule,
+    validateConditions
+};
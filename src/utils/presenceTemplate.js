@@ -0,0 +1,298 @@
+/**
+ * Placeholders and filters for presence activity text, e.g.
+ * `{voiceUsers|plural:person,people} in {topChannel|default:no channel}`
+ * @module utils/presenceTemplate
+ */
+
+const { getVoiceStats } = require('./presenceSchedule');
+
+// `{name}` or `{name|filter|filter:arg,arg}`; everything in braces is a placeholder
+const TOKEN_PATTERN = /\{([^{}]*)\}/g;
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+const MAX_PADDING = 50;
+
+/**
+ * Format a duration as its two largest units, e.g. `3d 4h` or `12m`
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+function formatDuration(ms) {
+    const minutes = Math.floor((ms || 0) / 60000);
+    const units = [
+        [Math.floor(minutes / 1440), 'd'],
+        [Math.floor(minutes / 60) % 24, 'h'],
+        [minutes % 60, 'm']
+    ];
+    const first = units.findIndex(([value]) => value > 0);
+    if (first === -1) return '0m';
+    return units.slice(first, first + 2)
+        .filter(([value]) => value > 0)
+        .map(([value, unit]) => `${value}${unit}`)
+        .join(' ');
+}
+
+/**
+ * Voice counts for a render, worked out once however many placeholders use them
+ * @param {Object} context - The render context
+ * @returns {{voiceUsers: number, activeVoiceChannels: number}} The counts
+ */
+function voiceStats(context) {
+    context.voiceStats = context.voiceStats || getVoiceStats(context.client);
+    return context.voiceStats;
+}
+
+/**
+ * The voice channel with the most people in it, bots excluded
+ * @param {import('discord.js').Client} client - The Discord.js client instance
+ * @returns {?import('discord.js').VoiceBasedChannel} The channel, or null if voice is empty
+ */
+function getTopChannel(client) {
+    let top = null;
+    let topCount = 0;
+
+    for (const guild of client.guilds.cache.values()) {
+        const counts = new Map();
+        for (const state of guild.voiceStates.cache.values()) {
+            if (!state.channelId || state.member?.user?.bot) continue;
+            counts.set(state.channelId, (counts.get(state.channelId) || 0) + 1);
+        }
+        for (const [channelId, count] of counts) {
+            const channel = guild.channels.cache.get(channelId);
+            if (channel && count > topCount) {
+                top = channel;
+                topCount = count;
+            }
+        }
+    }
+
+    return top;
+}
+
+/**
+ * Built-in placeholders; `resolve` receives the render context
+ * @type {Object<string, {description: string, resolve: function(Object): (string|number)}>}
+ */
+const PLACEHOLDERS = {
+    guilds: {
+        description: 'Servers the bot is in',
+        resolve: ({ client }) => client.guilds.cache.size
+    },
+    users: {
+        description: 'Members across those servers',
+        resolve: ({ client }) => client.guilds.cache.reduce((acc, guild) => acc + (guild.memberCount || 0), 0)
+    },
+    prefix: {
+        description: 'The message command prefix',
+        resolve: ({ prefix }) => prefix
+    },
+    version: {
+        description: 'The bot version',
+        resolve: ({ version }) => version
+    },
+    voiceUsers: {
+        description: 'People in voice channels',
+        resolve: context => voiceStats(context).voiceUsers
+    },
+    activeVoiceChannels: {
+        description: 'Voice channels with someone in them',
+        resolve: context => voiceStats(context).activeVoiceChannels
+    },
+    uptime: {
+        description: 'How long the bot has been connected, e.g. 3d 4h',
+        resolve: ({ client }) => formatDuration(client.uptime)
+    },
+    commandsToday: {
+        description: 'Commands run since midnight',
+        resolve: ({ commandsToday }) => commandsToday || 0
+    },
+    topChannel: {
+        description: 'The busiest voice channel, empty when nobody is in voice',
+        resolve: ({ client }) => getTopChannel(client)?.name || ''
+    }
+};
+
+/**
+ * Abbreviate a number, e.g. 1234 to `1.2k`
+ * @param {number} value - The number
+ * @returns {string} The abbreviated number
+ */
+function abbreviate(value) {
+    const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'k']];
+    for (const [size, suffix] of units) {
+        if (Math.abs(value) >= size) {
+            return `${Number((value / size).toFixed(1))}${suffix}`;
+        }
+    }
+    return String(value);
+}
+
+/**
+ * Filters, applied left to right. `args` lists how many arguments each takes
+ * and `check` rejects bad ones when the config is loaded.
+ * @type {Object<string, {args: number[], description: string, check?: function(string[]): ?string, apply: function(*, string[]): string}>}
+ */
+const FILTERS = {
+    plural: {
+        args: [2],
+        description: 'Number followed by the singular or plural word, e.g. plural:person,people',
+        apply: (value, [singular, plural]) => `${value} ${Number(value) === 1 ? singular : plural}`
+    },
+    abbr: {
+        args: [0],
+        description: 'Abbreviate large numbers, e.g. 1.2k',
+        apply: value => (Number.isFinite(Number(value)) && value !== '' ? abbreviate(Number(value)) : String(value))
+    },
+    number: {
+        args: [0],
+        description: 'Group thousands, e.g. 12,345',
+        apply: value => (Number.isFinite(Number(value)) && value !== '' ? Number(value).toLocaleString('en-US') : String(value))
+    },
+    pad: {
+        args: [1, 2],
+        description: 'Pad to a width from the left, e.g. pad:3 or pad:3,0',
+        check: ([width, fill]) => {
+            if (!/^\d+$/.test(width) || Number(width) < 1 || Number(width) > MAX_PADDING) {
+                return `width must be a whole number from 1 to ${MAX_PADDING}`;
+            }
+            if (fill !== undefined && fill.length !== 1) {
+                return 'fill must be a single character';
+            }
+            return null;
+        },
+        apply: (value, [width, fill = ' ']) => String(value).padStart(Number(width), fill)
+    },
+    upper: {
+        args: [0],
+        description: 'Upper case',
+        apply: value => String(value).toUpperCase()
+    },
+    lower: {
+        args: [0],
+        description: 'Lower case',
+        apply: value => String(value).toLowerCase()
+    },
+    default: {
+        args: [1],
+        description: 'Text to show when the value is empty, e.g. default:nobody',
+        apply: (value, [fallback]) => (value === '' || value === null || value === undefined ? fallback : String(value))
+    }
+};
+
+/**
+ * Split the inside of a placeholder into its name and filters
+ * @param {string} body - Text between the braces, e.g. `users|abbr|pad:5`
+ * @returns {{name: string, filters: Array<{name: string, args: string[]}>}} The parsed placeholder
+ */
+function parsePlaceholder(body) {
+    const [name, ...filters] = body.split('|').map(part => part.trim());
+    return {
+        name,
+        filters: filters.map(filter => {
+            const separator = filter.indexOf(':');
+            if (separator === -1) return { name: filter, args: [] };
+            return { name: filter.slice(0, separator).trim(), args: filter.slice(separator + 1).split(',') };
+        })
+    };
+}
+
+/**
+ * Check a template's placeholders and filters
+ * @param {string} text - The template
+ * @param {string[]} [customNames=[]] - Placeholders defined in `messages.templates`
+ * @throws {Error} On the first unknown placeholder or filter, or bad filter arguments
+ */
+function validateTemplate(text, customNames = []) {
+    for (const [token, body] of String(text).matchAll(TOKEN_PATTERN)) {
+        const { name, filters } = parsePlaceholder(body);
+
+        if (!(name in PLACEHOLDERS) && !customNames.includes(name)) {
+            const known = [...Object.keys(PLACEHOLDERS), ...customNames].map(known => `{${known}}`).join(', ');
+            throw new Error(`Unknown placeholder ${token}. Must be one of: ${known}`);
+        }
+
+        for (const filter of filters) {
+            const definition = FILTERS[filter.name];
+            if (!definition) {
+                throw new Error(`Unknown filter "${filter.name}" in ${token}. Must be one of: ${Object.keys(FILTERS).join(', ')}`);
+            }
+            if (!definition.args.includes(filter.args.length)) {
+                throw new Error(`Filter "${filter.name}" in ${token} takes ${definition.args.join(' or ')} argument(s)`);
+            }
+            const problem = definition.check?.(filter.args);
+            if (problem) {
+                throw new Error(`Filter "${filter.name}" in ${token}: ${problem}`);
+            }
+        }
+    }
+}
+
+/**
+ * Check the custom placeholders in `messages.templates`. They can use the
+ * built-in placeholders but not each other, and can't replace a built-in.
+ * @param {Object<string, string>} templates - Custom placeholder name to template
+ * @throws {Error} If a name or template is invalid
+ */
+function validateCustomTemplates(templates) {
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+        throw new Error('messages.templates must be an object of name to template');
+    }
+
+    for (const [name, template] of Object.entries(templates)) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`messages.templates: "${name}" must be letters and digits, starting with a letter`);
+        }
+        if (name in PLACEHOLDERS) {
+            throw new Error(`messages.templates: {${name}} is a built-in placeholder and can't be redefined`);
+        }
+        if (typeof template !== 'string') {
+            throw new Error(`messages.templates.${name} must be a string`);
+        }
+        try {
+            validateTemplate(template);
+        } catch (error) {
+            throw new Error(`messages.templates.${name}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Fill in a template
+ * @param {string} text - The template
+ * @param {Object} context - What the placeholders read from
+ * @param {import('discord.js').Client} context.client - The Discord.js client instance
+ * @param {string} [context.prefix] - The command prefix
+ * @param {string} [context.version] - The bot version
+ * @param {number} [context.commandsToday] - Commands run since midnight
+ * @param {Object<string, string>} [context.templates] - Custom placeholders from `messages.templates`
+ * @returns {string} The filled-in text; unknown placeholders are left as written
+ */
+function renderTemplate(text, context) {
+    const templates = context.templates || {};
+
+    return String(text).replace(TOKEN_PATTERN, (token, body) => {
+        const { name, filters } = parsePlaceholder(body);
+
+        let value;
+        if (name in PLACEHOLDERS) {
+            value = PLACEHOLDERS[name].resolve(context);
+        } else if (typeof templates[name] === 'string') {
+            value = renderTemplate(templates[name], { ...context, templates: {} });
+        } else {
+            return token;
+        }
+
+        return filters.reduce((current, filter) => {
+            const definition = FILTERS[filter.name];
+            return definition ? definition.apply(current, filter.args) : current;
+        }, value ?? '');
+    });
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    FILTERS,
+    formatDuration,
+    validateTemplate,
+    validateCustomTemplates,
+    renderTemplate
+};
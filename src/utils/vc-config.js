@@ -3,10 +3,11 @@
  * @module utils/vc-config
  */
 
-const fs = require('fs').promises;
 const path = require('path');
+const EventEmitter = require('events');
 const { existsSync, mkdirSync } = require('fs');
 const logger = require('./logger');
+const { JsonFileStorage, openConfigStorage, assertGuildId } = require('./configStorage');
 
 /**
  * Channel-Role mapping configuration
@@ -20,22 +21,192 @@ const logger = require('./logger');
  * @typedef {Object} VCConfig
  * @property {boolean} enabled - Whether voice channel role assignment is enabled
  * @property {Object.<string, string[]>} channelRoles - Mapping of channel IDs to role IDs
+ * @property {StateRoleRule[]} [stateRoles] - Roles granted by voice state details rather than channel membership
+ * @property {Object.<string, ChannelFilters>} [channelFilters] - Eligibility filters for each channel mapping
  */
 
 /**
- * VCConfig class for managing VC settings
+ * Who may receive the roles a channel mapping grants
+ * @typedef {Object} ChannelFilters
+ * @property {string[]} requiredRoles - Role IDs the member must all have
+ * @property {string[]} excludedRoles - Role IDs that make a member ineligible (e.g. muted or quarantined)
+ * @property {number} minAccountAgeDays - Minimum age of the member's Discord account, 0 for none
+ * @property {number} minGuildDays - Minimum time since the member joined the guild, 0 for none
  */
-class VCConfig {
+
+/**
+ * Voice state details a state role rule can test
+ * @type {string[]}
+ */
+const STATE_RULE_CONDITIONS = ['streaming', 'video', 'stageSpeaker', 'selfMute'];
+
+/**
+ * Role granted while a member's voice state matches every condition in `when`
+ * @typedef {Object} StateRoleRule
+ * @property {string} roleId - The role to grant
+ * @property {Object.<string, boolean>} when - Expected value for each condition in STATE_RULE_CONDITIONS;
+ *   `stageSpeaker: false` matches stage audience members
+ * @property {string[]} channelIds - Channels (or their categories) the rule applies in; empty means any mapped channel
+ */
+
+/**
+ * Normalize a channel-role mapping so every channel maps to an array of role IDs.
+ * Older configs stored a single role ID string per channel; those are wrapped
+ * in an array so callers only ever deal with one shape.
+ * @param {Object.<string, (string|string[])>} [channelRoles] - Raw mapping from a config file
+ * @returns {Object.<string, string[]>} Normalized mapping
+ */
+function normalizeChannelRoles(channelRoles) {
+    const normalized = {};
+    if (!channelRoles || typeof channelRoles !== 'object') {
+        return normalized;
+    }
+
+    for (const [channelId, roles] of Object.entries(channelRoles)) {
+        const roleIds = (Array.isArray(roles) ? roles : [roles])
+            .filter(roleId => typeof roleId === 'string' && roleId.length > 0);
+
+        if (roleIds.length > 0) {
+            normalized[channelId] = [...new Set(roleIds)];
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Normalize per-mapping eligibility filters from a config file, dropping
+ * entries that don't filter anything
+ * @param {Object.<string, Object>} [channelFilters] - Raw filters from a config file
+ * @returns {Object.<string, ChannelFilters>} Normalized filters keyed by mapped channel ID
+ */
+function normalizeChannelFilters(channelFilters) {
+    const normalized = {};
+    if (!channelFilters || typeof channelFilters !== 'object') {
+        return normalized;
+    }
+
+    const toRoleIds = roleIds => [...new Set((Array.isArray(roleIds) ? roleIds : [])
+        .filter(roleId => typeof roleId === 'string' && roleId.length > 0))];
+    const toDays = days => (Number.isInteger(days) && days > 0 ? days : 0);
+
+    for (const [channelId, filters] of Object.entries(channelFilters)) {
+        const entry = {
+            requiredRoles: toRoleIds(filters?.requiredRoles),
+            excludedRoles: toRoleIds(filters?.excludedRoles),
+            minAccountAgeDays: toDays(filters?.minAccountAgeDays),
+            minGuildDays: toDays(filters?.minGuildDays)
+        };
+
+        if (entry.requiredRoles.length > 0 || entry.excludedRoles.length > 0 ||
+            entry.minAccountAgeDays > 0 || entry.minGuildDays > 0) {
+            normalized[channelId] = entry;
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Normalize state role rules from a config file, dropping rules without a
+ * role or without any known condition
+ * @param {Array<Object>} [rules] - Raw rules from a config file
+ * @returns {StateRoleRule[]} Normalized rules
+ */
+function normalizeStateRules(rules) {
+    if (!Array.isArray(rules)) {
+        return [];
+    }
+
+    return rules.reduce((normalized, rule) => {
+        if (typeof rule?.roleId !== 'string' || rule.roleId.length === 0) {
+            return normalized;
+        }
+
+        const when = {};
+        for (const condition of STATE_RULE_CONDITIONS) {
+            if (typeof rule.when?.[condition] === 'boolean') {
+                when[condition] = rule.when[condition];
+            }
+        }
+
+        if (Object.keys(when).length > 0) {
+            const channelIds = (Array.isArray(rule.channelIds) ? rule.channelIds : [])
+                .filter(channelId => typeof channelId === 'string' && channelId.length > 0);
+            normalized.push({ roleId: rule.roleId, when, channelIds: [...new Set(channelIds)] });
+        }
+
+        return normalized;
+    }, []);
+}
+
+// Revisions kept per guild; older ones are dropped as new ones are recorded
+const MAX_REVISIONS = 50;
+
+// Keys holding runtime bookkeeping rather than settings. They are left out of
+// revisions, so temporary channels coming and going don't fill the history,
+// and a rollback never brings back channels that have since been deleted.
+const RUNTIME_KEYS = ['tempChannels'];
+
+/**
+ * Who made a config change and with which command
+ * @typedef {Object} ConfigChangeMeta
+ * @property {string} [userId] - ID of the user who made the change
+ * @property {string} [userTag] - Tag of that user, kept for display after they leave
+ * @property {string} [command] - The command that made the change, e.g. `/vc-config enable`
+ */
+
+/**
+ * One recorded write to a guild config
+ * @typedef {Object} ConfigRevision
+ * @property {number} revision - Revision number, counting up from 1 per guild
+ * @property {number} at - When the change was saved (ms since epoch)
+ * @property {?string} userId - Who made the change, null for changes made by the bot itself
+ * @property {?string} userTag - Tag of that user
+ * @property {?string} command - The command that made the change
+ * @property {?Object} before - Settings before the change, null if the config didn't exist
+ * @property {Object} after - Settings after the change
+ */
+
+/**
+ * Strip runtime bookkeeping from a config so only its settings are compared and stored
+ * @param {?Object} config - A guild config
+ * @returns {?Object} The config's settings
+ */
+function toRevisionState(config) {
+    if (!config) {
+        return null;
+    }
+    const state = { ...config };
+    RUNTIME_KEYS.forEach(key => delete state[key]);
+    return state;
+}
+
+/**
+ * VCConfig class for managing VC settings. It is the single store for guild
+ * configs: writes to a guild are serialised, each write replaces the stored
+ * config atomically, and every successful write emits `change` so caches
+ * built from a guild's config can be dropped. Where configs are kept is up to
+ * the storage backend (see utils/configStorage).
+ * @fires VCConfig#change
+ */
+class VCConfig extends EventEmitter {
     /**
      * Creates a new VCConfig instance
      * @param {string} configDir - Directory to store configuration files
+     * @param {Object} [options]
+     * @param {import('./configStorage').ConfigStorage} [options.storage] - Storage backend,
+     *   defaults to JSON files under `configDir`
      * @throws {Error} If config directory cannot be created
      */
-    constructor(configDir) {
+    constructor(configDir, { storage } = {}) {
+        super();
         this.configDir = configDir;
+        this.locks = new Map(); // guildId -> promise settled when the last queued task finishes
         this.defaultConfig = {
             enabled: true,
-            channelRoles: {}
+            channelRoles: {},
+            gracePeriod: 0
         };
 
         // Ensure config directory exists
@@ -55,75 +226,151 @@ class VCConfig {
         } catch (error) {
             throw new Error(`Failed to initialize config directory: ${error.message}`);
         }
+
+        this.storage = storage || new JsonFileStorage(this.configDir);
     }
 
     /**
-     * Get the configuration file path for a guild
+     * Switch to another storage backend, closing the current one. Meant for
+     * startup, before anything has read or written a guild config.
+     * @param {import('./configStorage').ConfigStorage} storage - The new backend
+     */
+    useStorage(storage) {
+        if (storage === this.storage) return;
+        this.storage.close();
+        this.storage = storage;
+        logger.info(`[VC-CONFIG] Guild configs are stored in ${storage.type} (${storage.location})`);
+    }
+
+    /**
+     * Open the storage backend chosen by the `database` block of bot-config.json
+     * and switch to it, importing existing JSON configs the first time SQLite is used
+     * @param {Object} [options] - The `database` block from bot-config.json
+     * @returns {Promise<import('./configStorage').ConfigStorage>} The backend in use
+     */
+    async openStorage(options) {
+        const storage = await openConfigStorage(options, { configDir: this.configDir, keep: MAX_REVISIONS });
+        this.useStorage(storage);
+        return storage;
+    }
+
+    /**
+     * Run a task while holding a guild's write lock. Tasks for the same guild
+     * run one at a time, in the order they were queued.
+     * @template T
      * @param {string} guildId - The guild ID
-     * @returns {string} The configuration file path
+     * @param {function(): Promise<T>} task - The task to run
+     * @returns {Promise<T>} The task's result
      */
-    getConfigPath(guildId) {
-        if (!guildId) {
-            throw new Error('Guild ID is required');
+    async withLock(guildId, task) {
+        const previous = this.locks.get(guildId) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.locks.set(guildId, tail);
+
+        await previous;
+        try {
+            return await task();
+        } finally {
+            release();
+            if (this.locks.get(guildId) === tail) {
+                this.locks.delete(guildId);
+            }
         }
-        return path.join(this.configDir, 'guilds', `${guildId}.json`);
     }
 
     /**
-     * Get VC configuration for a guild
+     * Get VC configuration for a guild, creating the default config if the
+     * guild has none yet
      * @param {string} guildId - The guild ID
      * @returns {Promise<VCConfig>} The VC configuration
      * @throws {Error} If configuration cannot be loaded
      */
     async getVCConfig(guildId) {
-        const configPath = this.getConfigPath(guildId);
-        const guildsDir = path.join(this.configDir, 'guilds');
-        
+        return this.withLock(guildId, () => this.loadVCConfig(guildId));
+    }
+
+    /**
+     * Read, change and save a guild's config while holding its write lock, so
+     * concurrent updates can't overwrite each other
+     * @param {string} guildId - The guild ID
+     * @param {function(VCConfig): (void|boolean|Promise<void|boolean>)} mutate - Changes the config in place;
+     *   returning false skips the save
+     * @param {ConfigChangeMeta} [meta={}] - Who made the change, for the history
+     * @returns {Promise<VCConfig>} The config as it was left by `mutate`
+     */
+    async updateVCConfig(guildId, mutate, meta = {}) {
+        return this.withLock(guildId, async () => {
+            // A config that can't be read must not be replaced by defaults
+            const config = await this.loadVCConfig(guildId, { fallback: false });
+            if (await mutate(config) === false) {
+                return config;
+            }
+            await this.writeVCConfig(guildId, config, meta);
+            return config;
+        });
+    }
+
+    /**
+     * Replace a guild's settings with an earlier copy (a revision or a backup),
+     * keeping its current runtime bookkeeping such as active temporary channels
+     * @param {string} guildId - The guild ID
+     * @param {Object} settings - The settings to restore
+     * @param {ConfigChangeMeta} [meta={}] - Who made the change, for the history
+     * @returns {Promise<VCConfig>} The restored config
+     */
+    async restoreVCConfig(guildId, settings, meta = {}) {
+        return this.updateVCConfig(guildId, (latest) => {
+            const runtime = Object.fromEntries(
+                RUNTIME_KEYS.filter(key => latest[key] !== undefined).map(key => [key, latest[key]])
+            );
+            Object.keys(latest).forEach(key => delete latest[key]);
+            Object.assign(latest, JSON.parse(JSON.stringify(toRevisionState(settings))), runtime);
+        }, meta);
+    }
+
+    /**
+     * Load a guild's config; callers must hold the guild's lock
+     * @param {string} guildId - The guild ID
+     * @param {Object} [options]
+     * @param {boolean} [options.fallback=true] - Return the default config when the stored
+     *   one can't be read; updates turn this off so they never save over it
+     * @returns {Promise<VCConfig>} The VC configuration
+     * @throws {Error} If the stored config can't be read and `fallback` is off
+     * @private
+     */
+    async loadVCConfig(guildId, { fallback = true } = {}) {
+        assertGuildId(guildId);
         logger.info(`[VC-CONFIG] Loading config for guild ${guildId}`);
-        logger.debug(`[VC-CONFIG] Config path: ${configPath}`);
         
         try {
-            // Check if guilds directory exists
-            const guildsDirExists = await fs.access(guildsDir).then(() => true).catch(() => false);
-            logger.debug(`[VC-CONFIG] Guilds directory exists: ${guildsDirExists}`);
-            
-            if (!guildsDirExists) {
-                logger.warn(`[VC-CONFIG] Guilds directory does not exist, creating it`);
-                await fs.mkdir(guildsDir, { recursive: true });
-                logger.info(`[VC-CONFIG] Created guilds directory at ${guildsDir}`);
-            }
-            
-            // Check if file exists
-            const fileExists = await fs.access(configPath).then(() => true).catch(() => false);
-            logger.debug(`[VC-CONFIG] Config file exists: ${fileExists}`);
-
-            if (!fileExists) {
-                logger.warn(`[VC-CONFIG] Config file not found for guild ${guildId}, creating default config`);
-                // Create default config if file doesn't exist
-                await this.saveVCConfig(guildId, this.defaultConfig);
-                logger.info(`[VC-CONFIG] Created default config for guild ${guildId}`);
-                return { ...this.defaultConfig };
-            }
-
-            logger.debug(`[VC-CONFIG] Reading config file for guild ${guildId}`);
-            const configData = await fs.readFile(configPath, 'utf8');
-            logger.debug(`[VC-CONFIG] Raw config data:`, configData);
-            
             let config;
             try {
-                config = JSON.parse(configData);
-                logger.debug(`[VC-CONFIG] Successfully parsed config for guild ${guildId}`);
+                config = await this.storage.read(guildId);
             } catch (parseError) {
                 logger.error(`[VC-CONFIG] Failed to parse config for guild ${guildId}:`, parseError);
+                if (!fallback) {
+                    throw new Error(`The config for guild ${guildId} could not be read, so it was not changed: ${parseError.message}`);
+                }
                 logger.warn(`[VC-CONFIG] Using default config due to parse error`);
-                return { ...this.defaultConfig };
+                return { ...this.defaultConfig, channelRoles: {} };
             }
+
+            if (!config) {
+                logger.warn(`[VC-CONFIG] Config not found for guild ${guildId}, creating default config`);
+                // Create default config if the guild has none
+                await this.writeVCConfig(guildId, this.defaultConfig);
+                logger.info(`[VC-CONFIG] Created default config for guild ${guildId}`);
+                return { ...this.defaultConfig, channelRoles: {} };
+            }
+            
+            config.channelRoles = normalizeChannelRoles(config.channelRoles);
             
             logger.info(`[VC-CONFIG] Successfully loaded config for guild ${guildId}`, {
-                hasConfig: !!config,
-                configKeys: config ? Object.keys(config) : 'no config',
-                hasChannelRoles: !!(config && config.channelRoles),
-                channelRolesCount: config && config.channelRoles ? Object.keys(config.channelRoles).length : 0
+                configKeys: Object.keys(config),
+                channelRolesCount: Object.keys(config.channelRoles).length,
+                storage: this.storage.type
             });
             
             return config;
@@ -131,33 +378,44 @@ class VCConfig {
             logger.error(`[VC-CONFIG] Error loading config for guild ${guildId}:`, {
                 error: error.message,
                 stack: error.stack,
-                configPath: configPath,
-                configDir: path.dirname(configPath)
+                storage: this.storage.type,
+                location: this.storage.location
             });
+            if (!fallback) {
+                throw error;
+            }
             // Return default config on error
-            return { ...this.defaultConfig };
+            return { ...this.defaultConfig, channelRoles: {} };
         }
     }
 
     /**
-     * Save VC configuration for a guild
+     * Save VC configuration for a guild, replacing whatever is stored. Changes
+     * to its settings are recorded as a new revision in the guild's history.
+     * Prefer updateVCConfig when changing a config that was read earlier.
      * @param {string} guildId - The guild ID
-     * @param {VCConfig} config - The VC configuration to save
+     * @param {Object} config - The configuration to save
+     * @param {ConfigChangeMeta} [meta={}] - Who made the change, for the history
      * @returns {Promise<void>}
      * @throws {Error} If configuration cannot be saved
      */
+    async saveVCConfig(guildId, config, meta = {}) {
+        return this.withLock(guildId, () => this.writeVCConfig(guildId, config, meta));
+    }
+
     /**
-     * Save VC configuration for a guild
+     * Write a guild's config; callers must hold the guild's lock
      * @param {string} guildId - The guild ID
      * @param {Object} config - The configuration to save
+     * @param {ConfigChangeMeta} [meta={}] - Who made the change, for the history
      * @returns {Promise<void>}
-     * @throws {Error} If configuration cannot be saved
+     * @private
      */
-    async saveVCConfig(guildId, config) {
-        const configPath = this.getConfigPath(guildId);
-        const parentDir = path.dirname(configPath);
+    async writeVCConfig(guildId, config, meta = {}) {
+        assertGuildId(guildId);
+        const before = await this.readVCConfig(guildId);
         
-        logger.info(`[VC-CONFIG] Attempting to save config for guild ${guildId} to ${configPath}`);
+        logger.info(`[VC-CONFIG] Attempting to save config for guild ${guildId} to ${this.storage.type} storage`);
         logger.debug(`[VC-CONFIG] Config to save:`, {
             enabled: config.enabled,
             channelRolesCount: config.channelRoles ? Object.keys(config.channelRoles).length : 0,
@@ -165,65 +423,109 @@ class VCConfig {
         });
         
         try {
-            // Ensure parent directory exists
-            logger.debug(`[VC-CONFIG] Ensuring directory exists: ${parentDir}`);
-            
-            if (!existsSync(parentDir)) {
-                logger.warn(`[VC-CONFIG] Directory does not exist, creating: ${parentDir}`);
-                mkdirSync(parentDir, { recursive: true });
-                logger.info(`[VC-CONFIG] Directory created successfully`);
-            }
-
-            // Verify we can write to the directory
-            try {
-                await fs.access(parentDir, fs.constants.W_OK);
-                logger.debug(`[VC-CONFIG] Write access verified for directory: ${parentDir}`);
-            } catch (accessError) {
-                logger.error(`[VC-CONFIG] No write access to directory ${parentDir}:`, accessError);
-                throw new Error(`No write access to config directory: ${accessError.message}`);
-            }
-
-            // Convert config to string first to catch any JSON serialization errors
-            let configString;
-            try {
-                configString = JSON.stringify(config, null, 2);
-                logger.debug(`[VC-CONFIG] Successfully stringified config`);
-            } catch (stringifyError) {
-                logger.error(`[VC-CONFIG] Failed to stringify config:`, stringifyError);
-                throw new Error(`Invalid configuration data: ${stringifyError.message}`);
-            }
-
-            // Try to write the file
-            logger.debug(`[VC-CONFIG] Writing config to ${configPath}`);
-            await fs.writeFile(configPath, configString, 'utf8');
+            await this.storage.write(guildId, config);
             logger.info(`[VC-CONFIG] Successfully saved config for guild ${guildId}`);
-            
-            // Verify the file was written
-            try {
-                const stats = await fs.stat(configPath);
-                logger.debug(`[VC-CONFIG] Config file verified, size: ${stats.size} bytes`);
-                
-                // Read back the file to verify contents
-                const fileContent = await fs.readFile(configPath, 'utf8');
-                const parsedContent = JSON.parse(fileContent);
-                logger.debug(`[VC-CONFIG] Verified config contents:`, {
-                    hasChannelRoles: !!parsedContent.channelRoles,
-                    channelRolesCount: parsedContent.channelRoles ? Object.keys(parsedContent.channelRoles).length : 0
-                });
-            } catch (verifyError) {
-                logger.error(`[VC-CONFIG] Failed to verify config file after write:`, verifyError);
-                throw new Error(`Failed to verify config file after write: ${verifyError.message}`);
-            }
         } catch (error) {
-            console.error(`[VC-CONFIG] Error saving config for guild ${guildId}:`, {
+            logger.error(`[VC-CONFIG] Error saving config for guild ${guildId}:`, {
                 error: error.message,
                 stack: error.stack,
-                configPath,
-                directory: path.dirname(configPath),
+                storage: this.storage.type,
+                location: this.storage.location,
                 configKeys: config ? Object.keys(config) : 'no config provided'
             });
             throw new Error(`Failed to save config for guild ${guildId}: ${error.message}`);
         }
+
+        // The config itself is saved at this point; a history failure shouldn't undo that
+        try {
+            await this.recordRevision(guildId, before, config, meta);
+        } catch (historyError) {
+            logger.error(`[VC-CONFIG] Failed to record config history for guild ${guildId}:`, historyError);
+        }
+
+        /**
+         * A guild's config was saved
+         * @event VCConfig#change
+         * @type {{guildId: string, config: Object}}
+         */
+        this.emit('change', { guildId, config });
+    }
+
+    /**
+     * Read a guild's config as stored, without creating or normalizing it and
+     * without waiting for pending writes. Writes are atomic, so this always
+     * sees a complete config.
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<?Object>} The stored config, or null if it is missing or unreadable
+     */
+    async readVCConfig(guildId) {
+        try {
+            return await this.storage.read(guildId);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Append a revision to a guild's history if a save changed its settings
+     * @param {string} guildId - The guild ID
+     * @param {?Object} before - The config as stored before the save
+     * @param {Object} after - The config that was saved
+     * @param {ConfigChangeMeta} meta - Who made the change
+     * @returns {Promise<?ConfigRevision>} The recorded revision, or null if nothing changed
+     * @private
+     */
+    async recordRevision(guildId, before, after, meta) {
+        const beforeState = toRevisionState(before);
+        // Round-trip through JSON so the revision holds exactly what was written
+        const afterState = toRevisionState(JSON.parse(JSON.stringify(after)));
+        if (JSON.stringify(beforeState) === JSON.stringify(afterState)) {
+            return null;
+        }
+
+        const history = await this.getHistory(guildId);
+        const revision = {
+            revision: (history[history.length - 1]?.revision || 0) + 1,
+            at: Date.now(),
+            userId: meta.userId || null,
+            userTag: meta.userTag || null,
+            command: meta.command || null,
+            before: beforeState,
+            after: afterState
+        };
+
+        await this.storage.appendRevision(guildId, revision, MAX_REVISIONS);
+        logger.info(`[VC-CONFIG] Recorded revision ${revision.revision} for guild ${guildId}`, {
+            userId: revision.userId,
+            command: revision.command
+        });
+
+        return revision;
+    }
+
+    /**
+     * Get the recorded revisions of a guild's config, oldest first
+     * @param {string} guildId - The guild ID
+     * @returns {Promise<ConfigRevision[]>} Up to the last 50 revisions
+     */
+    async getHistory(guildId) {
+        try {
+            return await this.storage.readHistory(guildId);
+        } catch (error) {
+            logger.error(`[VC-CONFIG] Failed to read config history for guild ${guildId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a single revision of a guild's config
+     * @param {string} guildId - The guild ID
+     * @param {number} revision - The revision number
+     * @returns {Promise<?ConfigRevision>} The revision, or null if it isn't in the history
+     */
+    async getRevision(guildId, revision) {
+        const history = await this.getHistory(guildId);
+        return history.find(entry => entry.revision === revision) || null;
     }
 
     /**
@@ -232,14 +534,10 @@ class VCConfig {
      */
     async getAllConfigs() {
         try {
-            const files = await fs.readdir(this.configDir);
             const configs = {};
 
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const guildId = file.replace('.json', '');
-                    configs[guildId] = await this.getVCConfig(guildId);
-                }
+            for (const guildId of await this.storage.listGuildIds()) {
+                configs[guildId] = await this.getVCConfig(guildId);
             }
 
             return configs;
@@ -250,3 +548,9 @@ class VCConfig {
 }
 
 module.exports = VCConfig;
+module.exports.normalizeChannelRoles = normalizeChannelRoles;
+module.exports.normalizeStateRules = normalizeStateRules;
+module.exports.normalizeChannelFilters = normalizeChannelFilters;
+module.exports.STATE_RULE_CONDITIONS = STATE_RULE_CONDITIONS;
+module.exports.RUNTIME_KEYS = RUNTIME_KEYS;
+module.exports.toRevisionState = toRevisionState;
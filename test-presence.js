@@ -1,61 +1,62 @@
-// Simple test script to verify presence functionality
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-
-// Mock the required modules
-const mockClient = {
-  user: {
-    setPresence: (presence) => {
-      console.log('Setting presence:', presence);
-      return Promise.resolve();
-    },
-    presence: {
-      status: 'online',
-      activities: []
-    }
-  },
-  isReady: () => true,
-  guilds: {
-    cache: {
-      size: 5,
-      reduce: (fn, initial) => initial + 25 // For member count
-    }
-  }
-};
-
-// Import the ready module
-const readyModule = await import('./src/events/ready.js');
-
-// Test the functions
-console.log('Testing setBasicPresence...');
-const result = await readyModule.setBasicPresence(mockClient, {
-  name: 'Test Bot',
-  type: 'PLAYING',
-  status: 'online'
+// Simple test script to verify presence rotation without connecting to Discord
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { PresenceService } = require('./src/services/presenceService');
+const { PresenceConfig } = require('./src/utils/presence-loader');
+const { createFakeClock, createFakeClient } = require('./__tests__/helpers/presenceFakes');
+
+const mockClient = createFakeClient({
+  guilds: [{ memberCount: 25, voiceStates: { cache: new Map() }, channels: { cache: new Map() } }],
+  onPresence: presence => console.log('Setting presence:', presence.activities[0].name, `(${presence.status})`)
 });
 
-console.log('setBasicPresence result:', result);
-
-console.log('Testing updatePresence...');
-const updateResult = await readyModule.updatePresence(mockClient, {
-  config: {
+async function main() {
+  const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'presence-')), 'presence-config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
     status: 'online',
     activities: [
-      { name: 'with 5 servers', type: 'PLAYING' },
-      { name: 'with 25 users', type: 'WATCHING' }
+      { name: 'with {guilds} servers', type: 'PLAYING' },
+      { name: 'with {users} users', type: 'WATCHING' }
+    ],
+    rotation: { enabled: true, interval: 60000, randomize: false },
+    schedules: [
+      { name: 'Game night', days: ['fri'], start: '19:00', end: '23:00', activity: { name: 'Game night' }, status: 'dnd' }
     ]
-  }
-});
+  }));
+
+  const clock = createFakeClock(Date.parse('2025-01-03T12:00:00'));
+  const service = new PresenceService({ clock, config: new PresenceConfig(configPath), version: 'test' });
+  service.on('state', ({ state }) => console.log('State:', state));
 
-console.log('updatePresence result:', updateResult);
+  console.log('Starting...');
+  await service.start(mockClient);
 
-console.log('Testing startPresenceRotation...');
-const rotationResult = await readyModule.startPresenceRotation(mockClient);
-console.log('startPresenceRotation result:', rotationResult);
+  console.log('Rotating twice...');
+  for (let i = 0; i < 2; i++) {
+    clock.tick(60000);
+    await service.pending;
+  }
 
-// Clean up after a short delay
-setTimeout(() => {
-  console.log('Stopping presence rotation...');
-  readyModule.stopPresenceRotation();
+  console.log('Pausing for ten minutes...');
+  service.pause();
+  clock.tick(600000);
+  await service.resume();
+
+  console.log('Waiting until Friday 19:00...');
+  service.pause();
+  clock.tick(Date.parse('2025-01-03T18:59:30') - clock.now());
+  await service.resume();
+  clock.tick(60000);
+  await service.pending;
+
+  console.log('Status:', service.getStatus());
+  service.stop();
+  fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
   console.log('Done!');
-}, 3000);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});